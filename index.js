@@ -2,6 +2,18 @@
  * Created by Shyam on 3/28/2017.
  */
 var dataUtils = require('utils-data');
+var evaluator = require('./lib/evaluator');
+var parser = require('./lib/parser');
+var params = require('./lib/params');
+var schema = require('./lib/schema');
+var ejson = require('./lib/ejson');
+var describer = require('./lib/describe');
+var advisor = require('./lib/advisor');
+var geo = require('./lib/geo');
+var expr = require('./lib/expr');
+var dates = require('./lib/dates');
+var sql = require('./lib/sql');
+var errors = require('./lib/errors');
 
 /**
  * Parses a search string into one or more space separated tokens, * for
@@ -18,99 +30,273 @@ var dataUtils = require('utils-data');
  * beginning of the word. It will match all three if matchWithinWords is true.
  * <p>Note that special characters like # are skipped while calculating the
  * beginning of a word.
+ * <p>Tokens can also be:
+ * <ul>
+ * <li>negated, like -draft or -"first draft", to exclude documents with
+ * them in any of the fields.</li>
+ * <li>field-scoped, like title:report or status:"in review", to be
+ * matched only in that field. This applies only to the fields searched
+ * in, otherwise the whole token is searched as it is.</li>
+ * <li>OR'ed, like cats OR dogs, to match either of them.</li>
+ * </ul>
+ * <p>By default, word beginnings and wildcards consider only ASCII
+ * letters and digits. The unicodeSearch option makes them consider
+ * all Unicode letters and digits instead, e.g. for "Łódź", and the
+ * foldDiacritics option makes "cafe" match "café" and vice versa.
  * @param {QueryBuilder} parentBuilder The parent query builder
  * @param {string} queryStr Input string containing one or more space separated
  * tokens.
  * @param {boolean} [matchWithinWords=false] If true, matching is done anywhere.
  * By default, matching is done only at word beginnings.
+ * @param {{unicodeSearch: boolean, foldDiacritics: boolean}} [searchOptions]
+ * The search options, see {@link QueryBuilder}.
  * @constructor
  */
-var SearchQueryBuilder = function (parentBuilder, queryStr, matchWithinWords) {
-    var regExps = SearchQueryBuilder.searchQueryToRegexps(queryStr, matchWithinWords);
+var SearchQueryBuilder = function (parentBuilder, queryStr, matchWithinWords, searchOptions) {
+    var clauses = SearchQueryBuilder.parseSearchQuery(queryStr);
 
     /**
-     * Matches the given Regular expression with all the fields.
+     * Creates the condition for a search token in the fields.
      * @param {Array.<string>} fields Array of document fields.
-     * @param {boolean} [matchAnyRegex=false] If true, match any
-     * of the search query tokens, else match all.
-     * @returns {QueryBuilder} the parent Builder.
+     * @param {RegExp|{$not: RegExp}} condition The regex condition.
+     * @param {boolean} matchAnyField If true, the condition should
+     * match in at least one of the fields, else in all.
+     * @returns {{}} the query.
      * @private
      */
-    function _matchAllFields(fields, matchAnyRegex) {
-        var regExp = regExps ? matchAnyRegex ? regExps.any : regExps.all : null;
-        if (regExp) {
-            for (var i = 0; i < fields.length; ++i) {
-                parentBuilder.field(fields[i]).is("$regex", regExp);
-            }
+    function _fieldsQuery(fields, condition, matchAnyField) {
+        var query = {};
+        var queries = [];
+        var fq;
+        for (var i = 0; i < fields.length; ++i) {
+            fq = {};
+            fq[fields[i]] = condition;
+            queries.push(fq);
+            query[fields[i]] = condition;
+        }
+        return matchAnyField && queries.length > 1 ? {$or: queries} : query;
+    }
+
+    /**
+     * Adds a query to a list of OR'ed queries, flattening it if
+     * it is an $or itself.
+     * @param {Array.<{}>} queries The OR'ed queries.
+     * @param {{}} query
+     * @private
+     */
+    function _pushOrBranch(queries, query) {
+        if (query.$or && Object.keys(query).length == 1) {
+            for (var i = 0; i < query.$or.length; ++i) queries.push(query.$or[i]);
+        } else {
+            queries.push(query);
         }
-        return parentBuilder;
     }
 
     /**
-     * Matches the given Regular expression with at least one
-     * of the fields.
+     * Matches the search query with the fields.
      * @param {Array.<string>} fields Array of document fields.
-     * @param {boolean} [matchAnyRegex=false] If true, match any
-     * of the search query tokens, else match all.
+     * @param {boolean} matchAnyRegex If true, match any of the
+     * search query tokens, else match all.
+     * @param {boolean} matchAnyField If true, match in at least one
+     * of the fields, else in all.
      * @returns {QueryBuilder} the parent Builder.
      * @private
      */
-    function _matchAnyField(fields, matchAnyRegex) {
-        var regExp = regExps ? matchAnyRegex ? regExps.any : regExps.all : null;
+    function _match(fields, matchAnyRegex, matchAnyField) {
+        fields = Array.prototype.slice.call(fields);
+        if (!fields.length && searchOptions && searchOptions.strict) {
+            parentBuilder._problem(new errors.InvalidFieldError("Empty search field list: the search " + dataUtils.JSONstringify(queryStr) +
+                " is ignored without fields to search in", {code: "EMPTY_FIELDS"}));
+        }
+        if (searchOptions && searchOptions.schema) {
+            for (var f = 0; f < fields.length; ++f) {
+                var type = schema.resolve(searchOptions.schema, fields[f]).type;
+                if (type != "string" && type != "mixed") throw new errors.InvalidFieldError("Invalid search field " + dataUtils.JSONstringify(fields[f]) + ", should be a string field: " + type, {field: fields[f]});
+            }
+        }
+        var compiled = _compileSearchClauses(clauses, fields, matchWithinWords, searchOptions);
+
+        var positives = [];
+        var regExp = compiled.regExps ? matchAnyRegex ? compiled.regExps.any : compiled.regExps.all : null;
         if (regExp) {
-            var orBuilder = parentBuilder.either();
-            for (var i = 0; i < fields.length; ++i) {
-                orBuilder = orBuilder.or().field(fields[i]).is("$regex", regExp);
+            if (matchAnyRegex) _pushOrBranch(positives, _fieldsQuery(fields, {$regex: regExp}, matchAnyField));
+            else positives.push(_fieldsQuery(fields, {$regex: regExp}, matchAnyField));
+        }
+
+        // field-scoped tokens, and OR groups of them
+        var i, j, terms, branches;
+        for (i = 0; i < compiled.scoped.length; ++i) {
+            terms = compiled.scoped[i];
+            branches = [];
+            for (j = 0; j < terms.length; ++j) {
+                _pushOrBranch(branches, _fieldsQuery(terms[j].field ? [terms[j].field] : fields,
+                    {$regex: terms[j].regExp}, matchAnyField));
             }
+            if (matchAnyRegex) positives = positives.concat(branches);
+            else parentBuilder._or(branches);
+        }
+        if (positives.length) {
+            if (matchAnyRegex) parentBuilder._or(positives);
+            else parentBuilder._and(positives);
+        }
+
+        // negated tokens are excluded from all the fields
+        for (i = 0; i < compiled.negated.length; ++i) {
+            parentBuilder._and([_fieldsQuery(compiled.negated[i].field ? [compiled.negated[i].field] : fields,
+                {$not: compiled.negated[i].regExp}, false)]);
         }
         return parentBuilder;
     }
 
     /**
-     * Add fields that are to be matched with all of the search tokens.
-     * @param {...string} [field] One or more fields to be matched
-     * with all tokens in the search query.
+     * Add fields that are to be matched with any of the search tokens.
+     * @param {...string} [field] One or more fields, each to be matched
+     * with at least one of the tokens in the search query.
      * @returns {QueryBuilder} the parent Builder. Use {@link #andSearch}()
      * to chain further with this builder.
      */
     this.in = function (field) {
-        return _matchAllFields(arguments, true);
+        return _match(arguments, true, false);
     };
 
     /**
-     * Add fields that are to be matched with any of the search tokens.
-     * @param {...string} [field] One or more fields to be matched
-     * with at least one of the tokens in the search query.
+     * Add fields that are to be matched with all of the search tokens.
+     * @param {...string} [field] One or more fields, each to be matched
+     * with all of the tokens in the search query.
      * @returns {QueryBuilder} the parent Builder. Use {@link #andSearch}()
      * to chain further with this builder.
      */
     this.anyIn = function (field) {
-        return _matchAllFields(arguments, false);
+        return _match(arguments, false, false);
     };
 
     /**
-     * Matches all of the tokens in at least one of the fields.
+     * Matches at least one of the tokens in at least one of the fields.
      * @param {...string} [field] One or more fields to be matched
-     * with all of the tokens in the search query.
+     * with at least one of the tokens in the search query.
      * @returns {QueryBuilder} the parent Builder. Use {@link #andSearch}()
      * to chain further with this builder.
      */
     this.inAny = function (field) {
-        return _matchAnyField(arguments, true);
+        return _match(arguments, true, true);
     };
 
     /**
-     * Matches at least one of the tokens in at least one of the fields.
+     * Matches all of the tokens in at least one of the fields.
      * @param {...string} [field] One or more fields to be matched
-     * with at least one of the tokens in the search query.
+     * with all of the tokens in the search query.
      * @returns {QueryBuilder} the parent Builder. Use {@link #andSearch}()
      * to chain further with this builder.
      */
     this.anyInAny = function (field) {
-        return _matchAnyField(arguments, false);
-    }
+        return _match(arguments, false, true);
+    };
+
+    /**
+     * Matches at least one of the tokens in at least one of the fields,
+     * like {@link SearchQueryBuilder#inAny}(), and ranks the matches
+     * by relevance. The score adds up the field weight for each token
+     * found in a field, with bonuses for tokens found at a word
+     * beginning, and for exact phrases, see
+     * {@link SearchQueryBuilder.RANK_POINTS}.
+     * <p>Use {@link QueryBuilder#buildPipeline}() to get the $match,
+     * $addFields and $sort stages for an aggregation.
+     * @param {Object.<string, number>} weights The fields to search in,
+     * with their weights, e.g. {title: 5, tags: 2, body: 1}.
+     * @param {string} [scoreField="rank"] The field to add the score in,
+     * which should not be the text score field of a $text search.
+     * @returns {QueryBuilder} the parent Builder. Use {@link #andSearch}()
+     * to chain further with this builder.
+     */
+    this.rankedIn = function (weights, scoreField) {
+        if (!dataUtils.isJSON(weights) || !Object.keys(weights).length) throw new errors.InvalidValueError("Invalid weights, should be a non-empty JSON: " + dataUtils.JSONstringify(weights));
+        var fields = Object.keys(weights);
+        var i, j, k;
+        for (i = 0; i < fields.length; ++i) {
+            if (typeof weights[fields[i]] != "number" || weights[fields[i]] <= 0) throw new errors.InvalidValueError("Invalid weight, should be a positive number: " + dataUtils.JSONstringify(weights));
+        }
+
+        _match(fields, true, true);
+
+        var scores = [];
+        var term, termField, text, points;
+        for (i = 0; i < clauses.length; ++i) {
+            if (clauses[i].negated) continue;
+            for (j = 0; j < clauses[i].terms.length; ++j) {
+                term = clauses[i].terms[j];
+                termField = term.field && weights.hasOwnProperty(term.field) ? term.field : null;
+                text = termField || !term.field ? term.text : term.field + ":" + term.text;
+                points = [
+                    {regex: SearchQueryBuilder._tokenToRegexStr(text, true, searchOptions), points: SearchQueryBuilder.RANK_POINTS.match},
+                    {regex: SearchQueryBuilder._tokenToRegexStr(text, false, searchOptions), points: SearchQueryBuilder.RANK_POINTS.wordStart}
+                ];
+                if (/\s/.test(text.trim())) points.push({regex: points[1].regex, points: SearchQueryBuilder.RANK_POINTS.phrase});
+                for (k = 0; k < fields.length; ++k) {
+                    if (termField && termField != fields[k]) continue;
+                    for (var l = 0; l < points.length; ++l) {
+                        scores.push({
+                            $cond: [
+                                {$regexMatch: {input: _rankInput(fields[k]), regex: points[l].regex, options: "i"}},
+                                points[l].points * weights[fields[k]],
+                                0
+                            ]
+                        });
+                    }
+                }
+            }
+        }
+        if (scores.length) parentBuilder._rank(scoreField || "rank", {$add: scores});
+        return parentBuilder;
+    };
 };
 
+/**
+ * The points scored by each token found in a field by
+ * {@link SearchQueryBuilder#rankedIn}(), multiplied by the field
+ * weight. A token scores "match" if found anywhere, "wordStart" more
+ * if found at a word beginning, and a phrase of more than one word
+ * scores "phrase" more if found at a word beginning.
+ * @type {{match: number, wordStart: number, phrase: number}}
+ */
+SearchQueryBuilder.RANK_POINTS = {match: 1, wordStart: 1, phrase: 2};
+
+/**
+ * Creates the aggregation expression for the string value of a
+ * field, to be matched by {@link SearchQueryBuilder#rankedIn}().
+ * Array values are joined with spaces, and missing values, and those
+ * that have no string form, e.g. embedded documents, are empty.
+ * @param {string} field A field in the target document.
+ * @returns {{}} the expression.
+ * @private
+ */
+function _rankInput(field) {
+    var ref = "$" + field;
+    return {
+        $cond: [
+            {$isArray: ref},
+            {
+                $reduce: {
+                    input: ref,
+                    initialValue: "",
+                    in: {$concat: ["$$value", " ", _rankString("$$this")]}
+                }
+            },
+            _rankString(ref)
+        ]
+    };
+}
+
+/**
+ * Creates the aggregation expression converting a value to a string,
+ * or to an empty string if missing, null, or not convertible.
+ * @param {string} value The value expression.
+ * @returns {{}} the expression.
+ * @private
+ */
+function _rankString(value) {
+    return {$convert: {input: value, to: "string", onError: "", onNull: ""}};
+}
+
 /**
  * Regular expression to split a search query string into
  * string tokens and double-quoted phrases.
@@ -121,6 +307,12 @@ var SearchQueryBuilder = function (parentBuilder, queryStr, matchWithinWords) {
  * @type {RegExp}
  */
 SearchQueryBuilder.TOKENIZE_REGEX = /(?:[^\s"]+|"[^"]*")+/g;
+/**
+ * Regular expression to split a field-scoped token, like
+ * title:report, into the field and the value.
+ * @type {RegExp}
+ */
+SearchQueryBuilder.FIELD_TOKEN_REGEX = /^([A-Za-z_][\w.]*):(.+)$/;
 /**
  * If prefixed with this, the resulting Regular expression will
  * ensure that match is done at the beginning of a word. For
@@ -130,43 +322,498 @@ SearchQueryBuilder.TOKENIZE_REGEX = /(?:[^\s"]+|"[^"]*")+/g;
  * @type {string}
  */
 SearchQueryBuilder.SEARCH_WORD_BEG_REGEX_PREFIX = "(^|[^a-zA-Z0-9']+)"; // "[\\b_]"; - MongoDB does not support \b
+/**
+ * Same as {@link SearchQueryBuilder.SEARCH_WORD_BEG_REGEX_PREFIX}, but for
+ * Unicode letters, digits and combining marks.
+ * @type {string}
+ */
+SearchQueryBuilder.UNICODE_SEARCH_WORD_BEG_REGEX_PREFIX = "(^|[^\\p{L}\\p{N}\\p{M}']+)";
+/**
+ * Regular expression string to replace * wildcards with.
+ * @type {string}
+ */
+SearchQueryBuilder.WILDCARD_REGEX = "[A-Za-z0-9_-]*";
+/**
+ * Same as {@link SearchQueryBuilder.WILDCARD_REGEX}, but for Unicode
+ * letters, digits and combining marks.
+ * @type {string}
+ */
+SearchQueryBuilder.UNICODE_WILDCARD_REGEX = "[\\p{L}\\p{N}\\p{M}_-]*";
+/**
+ * Regular expression to find tokens in scripts that do not separate
+ * words with spaces, like Chinese and Japanese, which are therefore
+ * matched anywhere in Unicode searches.
+ * @type {RegExp}
+ */
+SearchQueryBuilder.NO_WORD_SEPARATOR_SCRIPT_REGEX = /^[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/;
+/**
+ * Letters with diacritics, by their base letter, to expand letters
+ * into while folding diacritics.
+ * @type {Object.<string, string>}
+ */
+SearchQueryBuilder.DIACRITIC_LETTERS = {
+    a: "àáâãäåāăą", c: "çćĉċč", d: "ďđ", e: "èéêëēĕėęě", g: "ĝğġģ", h: "ĥħ",
+    i: "ìíîïĩīĭįı", j: "ĵ", k: "ķ", l: "ĺļľŀł", n: "ñńņňŉ", o: "òóôõöøōŏő",
+    r: "ŕŗř", s: "śŝşšș", t: "ţťŧț", u: "ùúûüũūŭůűų", w: "ŵ", y: "ýÿŷ", z: "źżž"
+};
 
 /**
- *
+ * Parses a search query string into clauses. Each clause is either
+ * a negated token, or a group of one or more OR'ed tokens.
+ * <p>For example, the string:
+ * <pre>cats OR dogs -draft title:report</pre>
+ * will create the following clauses:
+ * <pre>[
+ *   {negated: false, terms: [{field: null, text: "cats"}, {field: null, text: "dogs"}]},
+ *   {negated: true, terms: [{field: null, text: "draft"}]},
+ *   {negated: false, terms: [{field: "title", text: "report"}]}
+ * ]</pre>
+ * Malformed parts, like a lone - or an unbalanced quote, are skipped.
+ * @param {string} queryStr Input string containing one or more space separated
+ * tokens.
+ * @return {Array.<{negated:boolean, terms:Array.<{field:?string, text:string}>}>}
+ */
+SearchQueryBuilder.parseSearchQuery = function (queryStr) {
+    var clauses = [];
+    var tokens = dataUtils.isValidStr(queryStr) ? queryStr.trim().match(SearchQueryBuilder.TOKENIZE_REGEX) || [] : [];
+    var orPending = false;
+    var token, negated, field, fieldMatch, text, last;
+    for (var i = 0; i < tokens.length; ++i) {
+        token = tokens[i].trim();
+        // OR joins the tokens on either side
+        if (token == "OR") {
+            orPending = clauses.length > 0 && !clauses[clauses.length - 1].negated;
+            continue;
+        }
+
+        negated = token.charAt(0) == "-";
+        if (negated) token = token.substr(1);
+        fieldMatch = token.match(SearchQueryBuilder.FIELD_TOKEN_REGEX);
+        field = fieldMatch ? fieldMatch[1] : null;
+        text = (fieldMatch ? fieldMatch[2] : token).replace(/^"|"$/g, ""); // double-quoted phrases - trim quotes.
+        if (!text.trim().length) {
+            orPending = false;
+            continue;
+        }
+
+        last = clauses[clauses.length - 1];
+        if (orPending && !negated) {
+            last.terms.push({field: field, text: text});
+        } else {
+            clauses.push({negated: negated, terms: [{field: field, text: text}]});
+        }
+        orPending = false;
+    }
+    return clauses;
+};
+
+/**
+ * Removes the diacritics from the letters of a string, e.g. "Łódź"
+ * becomes "Lodz".
+ * @param {string} str
+ * @return {string} the string without diacritics.
+ * @private
+ */
+SearchQueryBuilder._removeDiacritics = function (str) {
+    return str.normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "") // combining marks
+        .replace(/[łŁ]/g, "l").replace(/[øØ]/g, "o").replace(/[đĐ]/g, "d")
+        .replace(/[ħĦ]/g, "h").replace(/ı/g, "i").replace(/[ŧŦ]/g, "t");
+};
+
+/**
+ * Converts a search token to a regular expression string.
+ * @param {string} text The token text.
+ * @param {boolean} [matchWithinWords=false] If true, matching is done anywhere.
+ * By default, matching is done only at word beginnings.
+ * @param {{unicodeSearch: boolean, foldDiacritics: boolean}} [searchOptions]
+ * The search options, see {@link QueryBuilder}.
+ * @return {string} the regular expression string.
+ * @private
+ */
+SearchQueryBuilder._tokenToRegexStr = function (text, matchWithinWords, searchOptions) {
+    var unicode = !!(searchOptions && searchOptions.unicodeSearch);
+    var r = text.trim();
+    if (searchOptions && searchOptions.foldDiacritics) r = SearchQueryBuilder._removeDiacritics(r);
+    r = r.replace(/([\\\^$.|?+()\[\]{}])/g, "\\$1"); // escape Regex special chars \^$.|?+()[]{} except * used for wildcards
+    if (searchOptions && searchOptions.foldDiacritics) {
+        // letters to any of their forms with diacritics
+        r = r.replace(/[a-z]/gi, function (letter) {
+            var letters = SearchQueryBuilder.DIACRITIC_LETTERS[letter.toLowerCase()];
+            return letters ? "[" + letter + letters + "]" : letter;
+        });
+    }
+    r = r.replace(/\*/g, unicode ? SearchQueryBuilder.UNICODE_WILDCARD_REGEX : SearchQueryBuilder.WILDCARD_REGEX); // wildcard * - to find word characters and -
+    if (r.length && !matchWithinWords && !(unicode && SearchQueryBuilder.NO_WORD_SEPARATOR_SCRIPT_REGEX.test(r))) {
+        r = (unicode ? SearchQueryBuilder.UNICODE_SEARCH_WORD_BEG_REGEX_PREFIX : SearchQueryBuilder.SEARCH_WORD_BEG_REGEX_PREFIX) + r;
+    }
+    return r;
+};
+
+/**
+ * Converts the tokens of a search query string, as parsed by
+ * {@link SearchQueryBuilder.parseSearchQuery}(), to RegExps. Negated tokens are
+ * left out, and field-scoped tokens are searched as they are.
  * @param {string} queryStr Input string containing one or more space separated
  * tokens.
  * @param {boolean} [matchWithinWords=false] If true, matching is done anywhere.
  * By default, matching is done only at word beginnings.
+ * @param {{unicodeSearch: boolean, foldDiacritics: boolean}} [searchOptions]
+ * The search options, see {@link QueryBuilder}.
  * @return {null|{all:RegExp, any:RegExp}}
  */
-SearchQueryBuilder.searchQueryToRegexps = function (queryStr, matchWithinWords) {
+SearchQueryBuilder.searchQueryToRegexps = function (queryStr, matchWithinWords, searchOptions) {
+    return _compileSearchClauses(SearchQueryBuilder.parseSearchQuery(queryStr), [], matchWithinWords, searchOptions).regExps;
+};
+
+/**
+ * Turns a RegExp created from a search query back into the search
+ * tokens, e.g. to describe the query. This is the reverse of
+ * {@link SearchQueryBuilder.searchQueryToRegexps}(), and of the RegExps
+ * of single tokens.
+ * <p>For example, the RegExp for all the tokens of:
+ * <pre>rep* "annual report"</pre>
+ * is turned into:
+ * <pre>{match: "all", clauses: [
+ *   [{text: "rep*", wordStart: true}],
+ *   [{text: "annual report", wordStart: true}]
+ * ]}</pre>
+ * @param {RegExp|string} regExp The RegExp, or its source.
+ * @return {null|{match: string, clauses: Array.<Array.<{text: string, wordStart: boolean}>>}}
+ * whether "all" or "any" of the clauses are matched, and the clauses,
+ * each a group of OR'ed tokens, or null if the RegExp was not created
+ * from a search query.
+ */
+SearchQueryBuilder.regexToSearchTerms = function (regExp) {
+    var source = regExp instanceof RegExp ? regExp.source : String(regExp);
+    var atoms = _regexStrAtoms(source);
+    if (!atoms) return null;
+
+    var clauses = [];
+    var i, j, terms, term, inner;
+    // (?=.*token)(?=.*(?:token|token))...
+    if (atoms.length && atoms[0].indexOf("(?=.*") === 0) {
+        for (i = 0; i < atoms.length; ++i) {
+            if (atoms[i].indexOf("(?=.*") !== 0) return null;
+            inner = atoms[i].substr(5, atoms[i].length - 6);
+            var innerAtoms = _regexStrAtoms(inner);
+            var alternatives = innerAtoms && innerAtoms.length == 1 && innerAtoms[0].indexOf("(?:") === 0 ?
+                _regexStrAlternatives(inner.substr(3, inner.length - 4)) : [inner];
+            if (!alternatives) return null;
+            terms = [];
+            for (j = 0; j < alternatives.length; ++j) {
+                term = _regexStrToSearchTerm(alternatives[j]);
+                if (!term) return null;
+                terms.push(term);
+            }
+            clauses.push(terms);
+        }
+        return {match: "all", clauses: clauses};
+    }
+
+    // (token)|(token)...
+    var alternativesStr = _regexStrAlternatives(source);
+    if (!alternativesStr) return null;
+    var wrapped = true;
+    for (i = 0; i < alternativesStr.length && wrapped; ++i) {
+        atoms = _regexStrAtoms(alternativesStr[i]);
+        wrapped = atoms && atoms.length == 1 && atoms[0].charAt(0) == "(" && atoms[0].charAt(1) != "?";
+    }
+    if (wrapped) {
+        for (i = 0; i < alternativesStr.length; ++i) {
+            term = _regexStrToSearchTerm(alternativesStr[i].substr(1, alternativesStr[i].length - 2));
+            if (!term) return null;
+            clauses.push([term]);
+        }
+        return {match: "any", clauses: clauses};
+    }
+
+    // a single token
+    term = _regexStrToSearchTerm(source);
+    return term ? {match: "all", clauses: [[term]]} : null;
+};
+
+/**
+ * Splits a regular expression string into its top-level atoms, i.e.
+ * groups, character classes, escaped characters, other characters
+ * and alternation bars. Quantifiers are kept with their atoms.
+ * @param {string} str The regular expression string.
+ * @return {null|Array.<string>} the atoms, or null if unbalanced.
+ * @private
+ */
+function _regexStrAtoms(str) {
+    var atoms = [];
+    var depth = 0;
+    var inClass = false;
+    var start = 0;
+    var c;
+    for (var i = 0; i < str.length; ++i) {
+        c = str.charAt(i);
+        if (c == "\\") {
+            ++i;
+        } else if (inClass) {
+            if (c == "]") inClass = false;
+        } else if (c == "[") {
+            inClass = true;
+        } else if (c == "(") {
+            ++depth;
+        } else if (c == ")") {
+            if (--depth < 0) return null;
+        }
+        if (!depth && !inClass) {
+            // quantifiers belong to the atom before
+            while (i + 1 < str.length && "*+?".indexOf(str.charAt(i + 1)) >= 0) ++i;
+            atoms.push(str.substring(start, i + 1));
+            start = i + 1;
+        }
+    }
+    return depth || inClass ? null : atoms;
+}
+
+/**
+ * Splits a regular expression string at its top-level alternation bars.
+ * @param {string} str The regular expression string.
+ * @return {null|Array.<string>} the alternatives, or null if unbalanced.
+ * @private
+ */
+function _regexStrAlternatives(str) {
+    var atoms = _regexStrAtoms(str);
+    if (!atoms) return null;
+    var alternatives = [""];
+    for (var i = 0; i < atoms.length; ++i) {
+        if (atoms[i] == "|") alternatives.push("");
+        else alternatives[alternatives.length - 1] += atoms[i];
+    }
+    return alternatives;
+}
+
+/**
+ * Turns the regular expression string of a search token back into the
+ * token, if it was created by {@link SearchQueryBuilder._tokenToRegexStr}()
+ * with any of the search options.
+ * @param {string} r The regular expression string.
+ * @return {null|{text: string, wordStart: boolean}} the token, and whether
+ * it is matched at word beginnings, or null.
+ * @private
+ */
+function _regexStrToSearchTerm(r) {
+    var searchOptions, prefix, wordStart, text;
+    for (var unicode = 0; unicode < 2; ++unicode) {
+        for (var fold = 0; fold < 2; ++fold) {
+            searchOptions = {unicodeSearch: !!unicode, foldDiacritics: !!fold};
+            prefix = unicode ? SearchQueryBuilder.UNICODE_SEARCH_WORD_BEG_REGEX_PREFIX : SearchQueryBuilder.SEARCH_WORD_BEG_REGEX_PREFIX;
+            wordStart = r.indexOf(prefix) === 0;
+            text = (wordStart ? r.substr(prefix.length) : r)
+                .split(unicode ? SearchQueryBuilder.UNICODE_WILDCARD_REGEX : SearchQueryBuilder.WILDCARD_REGEX).join("*");
+            if (fold) {
+                text = text.replace(/\[([a-z])([^\]]+)\]/gi, function (letterClass, letter, letters) {
+                    return SearchQueryBuilder.DIACRITIC_LETTERS[letter.toLowerCase()] == letters ? letter : letterClass;
+                });
+            }
+            text = text.replace(/\\(.)/g, "$1");
+            // only if the token creates the same RegExp
+            if (text.length && SearchQueryBuilder._tokenToRegexStr(text, !wordStart, searchOptions) == r) {
+                return {text: text, wordStart: wordStart};
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Compiles parsed search clauses for the given fields. Tokens scoped
+ * to one of the fields are routed to it, and tokens scoped to other
+ * fields are searched as they are, e.g. "title:report".
+ * @param {Array.<{negated:boolean, terms:Array.<{field:?string, text:string}>}>} clauses
+ * The clauses from {@link SearchQueryBuilder.parseSearchQuery}().
+ * @param {Array.<string>} fields The fields searched in.
+ * @param {boolean} [matchWithinWords=false] If true, matching is done anywhere.
+ * By default, matching is done only at word beginnings.
+ * @param {{unicodeSearch: boolean, foldDiacritics: boolean}} [searchOptions]
+ * The search options, see {@link QueryBuilder}.
+ * @return {{regExps: null|{all:RegExp, any:RegExp},
+ * scoped: Array.<Array.<{field:?string, regExp:RegExp}>>,
+ * negated: Array.<{field:?string, regExp:RegExp}>}} the RegExps of
+ * the clauses with no field-scoped tokens, the OR groups with some,
+ * and the negated tokens.
+ * @private
+ */
+function _compileSearchClauses(clauses, fields, matchWithinWords, searchOptions) {
+    // Unicode properties need the u flag in JavaScript, MongoDB supports them anyway
+    var flags = searchOptions && searchOptions.unicodeSearch ? "iu" : "i";
     var regExpsStr = [];
+    var allRegExpsStr = [];
+    var scoped = [];
+    var negated = [];
 
-    // read tokens
-    var tokens = dataUtils.isValidStr(queryStr) ? queryStr.trim().match(SearchQueryBuilder.TOKENIZE_REGEX) : [];
-    var r;
-    var i;
-    for (i = 0; i < tokens.length; ++i) {
-        if (tokens[i].length) {
-            r = tokens[i].trim()
-                .replace(/^"|"$/g, "") // double-quoted phrases - trim quotes.
-                .replace(/([\\\^$.|?+()\[{])/g, "\\$1") // escape Regex special chars \^$.|?+()[{ except * used for wildcards
-                .replace(/\*/g, "[A-Za-z0-9_-]*"); // wildcard * - to find word characters and -
-            if (r.length) {
-                if (!matchWithinWords) r = SearchQueryBuilder.SEARCH_WORD_BEG_REGEX_PREFIX + r;
-                if (regExpsStr.indexOf(r) < 0) regExpsStr.push(r);
-                // r = new RegExp(r, "i");
-                // if (!utils.arrayContainsValue(regExpsStr, r)) regExpsStr.push(r);
+    var i, j, term, field, r, terms, termsStr, hasScopedTerm;
+    for (i = 0; i < clauses.length; ++i) {
+        terms = [];
+        termsStr = [];
+        hasScopedTerm = false;
+        for (j = 0; j < clauses[i].terms.length; ++j) {
+            term = clauses[i].terms[j];
+            field = term.field && fields.indexOf(term.field) >= 0 ? term.field : null;
+            r = SearchQueryBuilder._tokenToRegexStr(field || !term.field ? term.text : term.field + ":" + term.text,
+                matchWithinWords, searchOptions);
+            if (!r.length || termsStr.indexOf(r) >= 0) continue;
+            hasScopedTerm = hasScopedTerm || !!field;
+            termsStr.push(r);
+            terms.push({field: field, regExp: new RegExp(r, flags)});
+        }
+        if (!terms.length) continue;
+
+        if (clauses[i].negated) {
+            negated.push(terms[0]);
+        } else if (hasScopedTerm) {
+            scoped.push(terms);
+        } else {
+            r = termsStr.length == 1 ? termsStr[0] : "(?:" + termsStr.join("|") + ")";
+            if (regExpsStr.indexOf(r) < 0) regExpsStr.push(r);
+            for (j = 0; j < termsStr.length; ++j) {
+                if (allRegExpsStr.indexOf(termsStr[j]) < 0) allRegExpsStr.push(termsStr[j]);
             }
         }
     }
 
-    return !regExpsStr.length ? null :
-        {
-            // /^.*(?=.*name)(?=.*my).*$/i
-            all: new RegExp("(?=.*" + regExpsStr.join(")(?=.*") + ")", "i"),
-            any: new RegExp("(" + regExpsStr.join(")|(") + ")", "i")
+    return {
+        regExps: !regExpsStr.length ? null :
+            {
+                // /^.*(?=.*name)(?=.*my).*$/i
+                all: new RegExp("(?=.*" + regExpsStr.join(")(?=.*") + ")", flags),
+                any: new RegExp("(" + allRegExpsStr.join(")|(") + ")", flags)
+            },
+        scoped: scoped,
+        negated: negated
+    };
+}
+
+/**
+ * Searches documents using a $text index, instead of RegExps. It
+ * takes the same search query strings as {@link SearchQueryBuilder},
+ * and the same methods, so that either can be used. The fields are
+ * however decided by the text index, not by the arguments.
+ * <p>For example, the string:
+ * <pre>hello "Shyam Dasgupta" -draft</pre>
+ * matched with all the tokens, creates the following $search string:
+ * <pre>"hello" "Shyam Dasgupta" -draft</pre>
+ * Note that a $text search matches whole stemmed words, so * wildcards
+ * are dropped, and field-scoped tokens are searched without the field.
+ * @param {QueryBuilder} parentBuilder The parent query builder
+ * @param {string} queryStr Input string containing one or more space separated
+ * tokens.
+ * @param {{}} [options]
+ * @param {string} [options.language] The $language of the search.
+ * @param {boolean} [options.caseSensitive] The $caseSensitive flag.
+ * @param {boolean} [options.diacriticSensitive] The $diacriticSensitive flag.
+ * @param {string} [options.scoreField="score"] The field to project the
+ * text score into.
+ * @constructor
+ */
+var TextSearchQueryBuilder = function (parentBuilder, queryStr, options) {
+    options = options || {};
+    var clauses = SearchQueryBuilder.parseSearchQuery(queryStr);
+
+    /**
+     * Adds the $text condition to the parent builder.
+     * @param {boolean} matchAnyToken If true, match any of the
+     * search query tokens, else match all.
+     * @returns {QueryBuilder} the parent Builder.
+     * @private
+     */
+    function _match(matchAnyToken) {
+        var search = TextSearchQueryBuilder.searchQueryToTextSearch(clauses, matchAnyToken);
+        if (!search.length) return parentBuilder;
+
+        var text = {$search: search};
+        if (options.language) text.$language = options.language;
+        if (options.caseSensitive !== undefined) text.$caseSensitive = !!options.caseSensitive;
+        if (options.diacriticSensitive !== undefined) text.$diacriticSensitive = !!options.diacriticSensitive;
+        return parentBuilder._text(text, options.scoreField || "score");
+    }
+
+    /**
+     * Matches any of the search tokens, like {@link SearchQueryBuilder#in}().
+     * @param {...string} [field] Ignored, the text index decides the
+     * fields.
+     * @returns {QueryBuilder} the parent Builder.
+     */
+    this.in = function (field) {
+        return _match(true);
+    };
+
+    /**
+     * Matches all of the search tokens, like {@link SearchQueryBuilder#anyIn}().
+     * @param {...string} [field] Ignored, the text index decides the
+     * fields.
+     * @returns {QueryBuilder} the parent Builder.
+     */
+    this.anyIn = function (field) {
+        return _match(false);
+    };
+
+    /**
+     * Matches any of the search tokens. Same as {@link TextSearchQueryBuilder#in}().
+     * @param {...string} [field] Ignored, the text index decides the
+     * fields.
+     * @returns {QueryBuilder} the parent Builder.
+     */
+    this.inAny = function (field) {
+        return _match(true);
+    };
+
+    /**
+     * Matches all of the search tokens. Same as {@link TextSearchQueryBuilder#anyIn}().
+     * @param {...string} [field] Ignored, the text index decides the
+     * fields.
+     * @returns {QueryBuilder} the parent Builder.
+     */
+    this.anyInAny = function (field) {
+        return _match(false);
+    };
+};
+
+/**
+ * Converts parsed search clauses to a $text $search string. To match
+ * all the tokens, each is quoted as a phrase, since $text requires all
+ * the phrases but only any of the plain words. OR'ed tokens are left as
+ * plain words, so they cannot be combined with other tokens when
+ * matching all, and negated ones are prefixed with -.
+ * @param {Array.<{negated:boolean, terms:Array.<{field:?string, text:string}>}>} clauses
+ * The clauses from {@link SearchQueryBuilder.parseSearchQuery}().
+ * @param {boolean} [matchAnyToken=false] If true, match any of the tokens,
+ * else match all.
+ * @return {string} the $search string.
+ */
+TextSearchQueryBuilder.searchQueryToTextSearch = function (clauses, matchAnyToken) {
+    var parts = [];
+    var i, j, text, part;
+    var positives = clauses.filter(function (clause) {
+        return !clause.negated;
+    });
+    // $text ORs the plain words, and ANDs them only with the phrases
+    if (!matchAnyToken && positives.length > 1 && positives.some(function (clause) {
+            return clause.terms.length > 1;
+        })) {
+        throw new errors.InvalidValueError("Unsupported search in $text: OR'ed tokens cannot be combined with other tokens when matching all of them", {code: "UNSUPPORTED_VALUE", operator: "$text"});
+    }
+    for (i = 0; i < clauses.length; ++i) {
+        for (j = 0; j < clauses[i].terms.length; ++j) {
+            // no wildcards or nested quotes in $text
+            text = clauses[i].terms[j].text.replace(/\*/g, "").replace(/"/g, " ").replace(/\s+/g, " ").trim();
+            if (!text.length) continue;
+
+            if (clauses[i].negated) {
+                part = "-" + (text.indexOf(" ") >= 0 ? "\"" + text + "\"" : text);
+            } else if (matchAnyToken || clauses[i].terms.length > 1) {
+                part = text;
+            } else {
+                part = "\"" + text + "\"";
+            }
+            if (parts.indexOf(part) < 0) parts.push(part);
         }
+    }
+    return parts.join(" ");
 };
 
 /**
@@ -175,10 +822,26 @@ SearchQueryBuilder.searchQueryToRegexps = function (queryStr, matchWithinWords)
  *
  * @param {QueryBuilder} parentBuilder The parent query builder.
  * @param {string} field A field in the target document.
+ * @param {{}} [options] The options of the parent query builder.
  * @constructor
  */
-var FieldQueryBuilder = function (parentBuilder, field) {
-    if (!dataUtils.isValidStr(field)) throw "Invalid field, should be a string: " + dataUtils.JSONstringify(field);
+var FieldQueryBuilder = function (parentBuilder, field, options) {
+    if (!dataUtils.isValidStr(field)) throw new errors.InvalidFieldError("Invalid field, should be a string: " + dataUtils.JSONstringify(field));
+    options = options || {};
+    if (options.schema) schema.resolve(options.schema, field);
+
+    /**
+     * Checks a comparison against the schema, if any, and coerces
+     * the value to the field type.
+     * @param {?string} comparator e.g. "$gt", "$in", etc., or null
+     * for an equality match.
+     * @param {*} value
+     * @returns {*} the coerced value.
+     * @private
+     */
+    function _coerce(comparator, value) {
+        return options.schema ? schema.coerce(options.schema, field, comparator, value) : value;
+    }
 
     /**
      * Ensures a comparison of the field with the value.
@@ -188,7 +851,7 @@ var FieldQueryBuilder = function (parentBuilder, field) {
      * to chain further with this builder.
      */
     this.is = function (comparator, value) {
-        return parentBuilder._compare(field, comparator, value);
+        return parentBuilder._compare(field, comparator, parentBuilder._safeValue(field, comparator, _coerce(comparator, value)));
     };
 
     /**
@@ -199,7 +862,7 @@ var FieldQueryBuilder = function (parentBuilder, field) {
      * to chain further with this builder.
      */
     this.matches = function (value) {
-        return parentBuilder._matchesAll(field, [value]);
+        return parentBuilder._matchesAll(field, [parentBuilder._safeValue(field, null, _coerce(null, value))]);
     };
 
     /**
@@ -209,7 +872,9 @@ var FieldQueryBuilder = function (parentBuilder, field) {
      * to chain further with this builder.
      */
     this.matchesAll = function (values) {
-        return parentBuilder._matchesAll(field, values);
+        return parentBuilder._matchesAll(field, values.map(function (value) {
+            return parentBuilder._safeValue(field, null, _coerce(null, value));
+        }));
     };
 
     /**
@@ -221,58 +886,414 @@ var FieldQueryBuilder = function (parentBuilder, field) {
      * to chain further with this builder.
      */
     this.matchesAny = function (values, addToExistingOr) {
-        return parentBuilder._matchesAny(field, values, addToExistingOr);
+        if (options.strict && Array.isArray(values) && !values.length) {
+            parentBuilder._problem(new errors.InvalidValueError("Empty matchesAny() values for field \"" + field +
+                "\": the condition is ignored, instead of matching nothing", {code: "EMPTY_VALUES", field: field, operator: "$in"}));
+        }
+        // the whole list, whose values can only be matched literally by $in
+        return parentBuilder._matchesAny(field, parentBuilder._safeValue(field, "$in", _coerce("$in", values)), addToExistingOr);
     };
-};
-
-/**
- * This builder helps create efficient OR queries and expressions.
- * @constructor
- */
-var OrQueryBuilder = function () {
-    var _orBuilder = this;
-    var _queries = [];
-    var _currentChildBuilder = new ChildQueryBuilder(_orBuilder);
 
     /**
-     * Process the current OR entry, and continue adding to this OR
-     * query group.
-     * @returns {ChildQueryBuilder} A new {@link ChildQueryBuilder}
-     * child in this OR group.
+     * Starts a query builder scoped to the elements of this array
+     * field, so that all its conditions are matched by the same
+     * element, e.g. {items: {$elemMatch: {sku: "a", qty: {$gt: 1}}}}.
+     * Use {@link ElemMatchQueryBuilder#end}() to return to the
+     * parent builder.
+     * @returns {ElemMatchQueryBuilder} a new {@link ElemMatchQueryBuilder}.
      */
-    this.or = function () {
-        _orBuilder.flush();
-        return _currentChildBuilder;
+    this.elemMatch = function () {
+        var elemOptions = options;
+        if (options.schema) {
+            // the fields within are those of the elements
+            elemOptions = {};
+            for (var key in options) {
+                if (options.hasOwnProperty(key)) elemOptions[key] = options[key];
+            }
+            elemOptions.schema = schema.elementSchema(options.schema, field);
+        }
+        return new ElemMatchQueryBuilder(parentBuilder, field, elemOptions);
     };
 
     /**
-     * Returns the array of query objects generated by this
-     * builder.
-     * @returns {Array.<{}>} the array of query objects generated
-     * by this builder.
+     * Creates a $near or $nearSphere condition.
+     * @param {string} operator "$near" or "$nearSphere".
+     * @param {Array.<number>|{}} point
+     * @param {{maxDistance: number, minDistance: number}} [nearOptions]
+     * @returns {QueryBuilder} the parent Builder.
+     * @private
      */
-    this.flush = function () {
-        // save current builder
-        var q = _currentChildBuilder.build();
-        // only if the query is non-empty
-        if (Object.keys(q).length) {
-            if (!dataUtils.arrayContainsValue(_queries, q)) _queries.push(q);
-            // renew current builder
-            _currentChildBuilder = new ChildQueryBuilder(_orBuilder);
-        }
-        return _queries;
-    };
-};
+    function _near(operator, point, nearOptions) {
+        nearOptions = nearOptions || {};
+        var near = {$geometry: geo.point(geo.position(point))};
+        ["maxDistance", "minDistance"].forEach(function (option) {
+            if (nearOptions[option] === undefined) return;
+            if (typeof nearOptions[option] != "number" || !(nearOptions[option] >= 0)) throw new errors.InvalidValueError("Invalid " + option + ", should be a non-negative number of meters: " + dataUtils.JSONstringify(nearOptions[option]), {field: field, operator: operator});
+            near["$" + option] = nearOptions[option];
+        });
+        parentBuilder._registerNear();
+        return parentBuilder._compare(field, operator, near);
+    }
 
-/**
- * A subclass of QueryBuilder, spawned by the either()
+    /**
+     * Ensures that the field is near a point, sorting the matches from
+     * the nearest to the farthest. Needs a 2dsphere index. Only one
+     * $near or $nearSphere is allowed per query, and not inside OR or
+     * NOT groups, or $elemMatch.
+     * @param {Array.<number>|{type: string, coordinates: Array.<number>}} point
+     * The point, as [longitude, latitude] or as a GeoJSON Point.
+     * @param {{maxDistance: number, minDistance: number}} [nearOptions]
+     * The maximum and minimum distances from the point, in meters.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.near = function (point, nearOptions) {
+        return _near("$near", point, nearOptions);
+    };
+
+    /**
+     * Same as {@link FieldQueryBuilder#near}(), but with $nearSphere,
+     * which always computes distances on a sphere.
+     * @param {Array.<number>|{type: string, coordinates: Array.<number>}} point
+     * The point, as [longitude, latitude] or as a GeoJSON Point.
+     * @param {{maxDistance: number, minDistance: number}} [nearOptions]
+     * The maximum and minimum distances from the point, in meters.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.nearSphere = function (point, nearOptions) {
+        return _near("$nearSphere", point, nearOptions);
+    };
+
+    /**
+     * Ensures that the field is within a box, of legacy coordinate
+     * pairs, e.g. with a 2d index.
+     * @param {Array.<number>} bottomLeft The bottom left corner, as
+     * [longitude, latitude].
+     * @param {Array.<number>} upperRight The upper right corner, as
+     * [longitude, latitude].
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.withinBox = function (bottomLeft, upperRight) {
+        return parentBuilder._compare(field, "$geoWithin", {$box: [geo.position(bottomLeft), geo.position(upperRight)]});
+    };
+
+    /**
+     * Ensures that the field is within a polygon.
+     * @param {{type: string, coordinates: Array}|Array} polygon A GeoJSON
+     * Polygon or MultiPolygon, or the rings of a polygon, see
+     * geo.polygon() in lib/geo.js.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.withinPolygon = function (polygon) {
+        if (!dataUtils.isJSON(polygon)) polygon = geo.polygon(polygon);
+        else if (polygon.type != "Polygon" && polygon.type != "MultiPolygon") throw new errors.InvalidValueError("Invalid polygon, should be a GeoJSON Polygon or MultiPolygon: " + dataUtils.JSONstringify(polygon), {field: field, operator: "$geoWithin"});
+        return parentBuilder._compare(field, "$geoWithin", {$geometry: geo.validate(polygon)});
+    };
+
+    /**
+     * Ensures that the field is within a circle on a sphere.
+     * @param {Array.<number>|{type: string, coordinates: Array.<number>}} center
+     * The center, as [longitude, latitude] or as a GeoJSON Point.
+     * @param {number} radius The radius in radians, e.g. from
+     * geo.radians(5, "km") in lib/geo.js.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.withinCenterSphere = function (center, radius) {
+        if (typeof radius != "number" || !(radius >= 0)) throw new errors.InvalidValueError("Invalid radius, should be a non-negative number of radians: " + dataUtils.JSONstringify(radius), {field: field, operator: "$geoWithin"});
+        return parentBuilder._compare(field, "$geoWithin", {$centerSphere: [geo.position(center), radius]});
+    };
+
+    /**
+     * Ensures that the field intersects a geometry.
+     * @param {{type: string, coordinates: Array}} geometry A GeoJSON geometry.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.intersects = function (geometry) {
+        return parentBuilder._compare(field, "$geoIntersects", {$geometry: geo.validate(geometry)});
+    };
+
+    /**
+     * Returns the options of the date helpers, from those of a call and
+     * of the builder.
+     * @param {{tz: string}} [dateOptions]
+     * @returns {{tz: string, clock: function():(Date|number), inclusive: boolean}}
+     * the options.
+     * @private
+     */
+    function _dateOptions(dateOptions) {
+        dateOptions = dateOptions || {};
+        return {
+            tz: dateOptions.tz || options.timeZone,
+            clock: options.clock,
+            inclusive: dateOptions.inclusive
+        };
+    }
+
+    /**
+     * Ensures that the field is within a date range.
+     * @param {{start: Date, end: Date, inclusive: boolean}} range
+     * @returns {QueryBuilder} the parent Builder.
+     * @private
+     */
+    function _inRange(range) {
+        var lt = range.inclusive ? "$lte" : "$lt";
+        parentBuilder._compare(field, "$gte", parentBuilder._safeValue(field, "$gte", _coerce("$gte", range.start)));
+        return parentBuilder._compare(field, lt, parentBuilder._safeValue(field, lt, _coerce(lt, range.end)));
+    }
+
+    /**
+     * Ensures that the field is within the last amount of a unit, up to
+     * now, e.g. inLast(7, "days"). Days and longer units are calendar
+     * units in the time zone, e.g. 7 days ago at the same time of the
+     * day, even across a DST change.
+     * @param {number} amount
+     * @param {string} unit "milliseconds", "seconds", "minutes", "hours",
+     * "days", "weeks", "months" or "years", or their singulars.
+     * @param {{tz: string}} [dateOptions] The time zone, by default
+     * options.timeZone.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.inLast = function (amount, unit, dateOptions) {
+        return _inRange(dates.last(amount, unit, _dateOptions(dateOptions)));
+    };
+
+    /**
+     * Ensures that the field is within a day in a time zone, e.g.
+     * onDay("2026-10-19", {tz: "Europe/Berlin"}).
+     * @param {string|Date|number} day A day like "2026-10-19", or an
+     * instant in the day.
+     * @param {{tz: string}} [dateOptions] The time zone, by default
+     * options.timeZone.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.onDay = function (day, dateOptions) {
+        return _inRange(dates.onDay(day, _dateOptions(dateOptions)));
+    };
+
+    /**
+     * Ensures that the field is within a month in a time zone, e.g.
+     * inMonth(2026, 10) for October 2026.
+     * @param {number} year
+     * @param {number} month From 1 to 12.
+     * @param {{tz: string}} [dateOptions] The time zone, by default
+     * options.timeZone.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.inMonth = function (year, month, dateOptions) {
+        return _inRange(dates.inMonth(year, month, _dateOptions(dateOptions)));
+    };
+
+    /**
+     * Ensures that the field is between two dates, from included to
+     * excluded, unless inclusive.
+     * @param {Date|number|string} from A Date, milliseconds, an ISO
+     * string (in the time zone if without an offset), a day like
+     * "2026-10-19" (its start in the time zone), or a relative time like
+     * "30 days" (ago).
+     * @param {Date|number|string} to Same as from. An inclusive day
+     * includes the whole day.
+     * @param {{tz: string, inclusive: boolean}} [dateOptions] The time
+     * zone, by default options.timeZone, and whether to include the end.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.between = function (from, to, dateOptions) {
+        return _inRange(dates.between(from, to, _dateOptions(dateOptions)));
+    };
+
+    /**
+     * Ensures that the field is before a date, e.g. before("30 days")
+     * for older than 30 days.
+     * @param {Date|number|string} date Same as from in
+     * {@link FieldQueryBuilder#between}().
+     * @param {{tz: string}} [dateOptions] The time zone, by default
+     * options.timeZone.
+     * @returns {QueryBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.before = function (date, dateOptions) {
+        var before = new Date(dates.toTime(date, _dateOptions(dateOptions)));
+        return parentBuilder._compare(field, "$lt", parentBuilder._safeValue(field, "$lt", _coerce("$lt", before)));
+    };
+
+    /**
+     * Returns the field of this builder, e.g. for custom methods.
+     * @returns {string} the field.
+     */
+    this.fieldName = function () {
+        return field;
+    };
+
+    /**
+     * Returns the parent builder, e.g. for custom methods that search
+     * the field with parent().search(queryStr).in(fieldName()).
+     * @returns {QueryBuilder} the parent Builder.
+     */
+    this.parent = function () {
+        return parentBuilder;
+    };
+
+    // the custom methods, see QueryBuilder.defineFieldMethod()
+    var _fieldBuilder = this;
+    Object.keys(FieldQueryBuilder.methods).forEach(function (name) {
+        var method = FieldQueryBuilder.methods[name];
+        _fieldBuilder[name] = function () {
+            return method.apply(_fieldBuilder, arguments);
+        };
+    });
+};
+
+/**
+ * The custom methods of {@link FieldQueryBuilder}, by name. See
+ * {@link QueryBuilder.defineFieldMethod}().
+ * @type {Object.<string, function(...*):QueryBuilder>}
+ */
+FieldQueryBuilder.methods = {};
+
+/**
+ * This builder helps create efficient OR queries and expressions.
+ * @param {QueryBuilder} parentBuilder The parent query builder.
+ * @param {{}} [options] The options of the parent query builder,
+ * passed on to the children.
+ * @constructor
+ */
+var OrQueryBuilder = function (parentBuilder, options) {
+    var _orBuilder = this;
+    var _queries = [];
+    var _currentChildBuilder = new ChildQueryBuilder(_orBuilder, options);
+
+    /**
+     * Records a problem found by the strict mode in the parent builder.
+     * @param {QueryBuilderError} error
+     * @private
+     */
+    this._problem = function (error) {
+        parentBuilder._problem(error);
+    };
+
+    /**
+     * Sets the relevance score of a ranked search in the parent
+     * builder, which adds it for all the documents.
+     * @param {string} scoreField
+     * @param {{}} expression The score expression.
+     * @private
+     */
+    this._rank = function (scoreField, expression) {
+        parentBuilder._rank(scoreField, expression);
+    };
+
+    /**
+     * Process the current OR entry, and continue adding to this OR
+     * query group.
+     * @returns {ChildQueryBuilder} A new {@link ChildQueryBuilder}
+     * child in this OR group.
+     */
+    this.or = function () {
+        _orBuilder.flush();
+        return _currentChildBuilder;
+    };
+
+    /**
+     * Returns the array of query objects generated by this
+     * builder.
+     * @returns {Array.<{}>} the array of query objects generated
+     * by this builder.
+     */
+    this.flush = function () {
+        // save current builder
+        var q = _currentChildBuilder.build();
+        // only if the query is non-empty
+        if (Object.keys(q).length) {
+            if (!dataUtils.arrayContainsValue(_queries, q)) _queries.push(q);
+            // renew current builder
+            _currentChildBuilder = new ChildQueryBuilder(_orBuilder, options);
+        }
+        return _queries;
+    };
+
+    /**
+     * Returns the array of query objects generated by this builder
+     * so far, including the current entry, without processing it.
+     * @returns {Array.<{}>} the array of query objects.
+     */
+    this.queries = function () {
+        var q = _currentChildBuilder.build();
+        if (!Object.keys(q).length || dataUtils.arrayContainsValue(_queries, q)) return _queries.slice();
+        return _queries.concat([q]);
+    };
+
+    /**
+     * Closes this OR query group, and adds it to the parent
+     * query builder.
+     * @returns {QueryBuilder} the parent query builder.
+     */
+    this.end = function () {
+        parentBuilder._closeOr();
+        return parentBuilder;
+    };
+};
+
+/**
+ * A subclass of QueryBuilder, spawned by the either()
  * method.
  *
  * @param {OrQueryBuilder} parentOr
+ * @param {{}} [options] The options of the parent query builder.
  * @constructor
  */
-var ChildQueryBuilder = function (parentOr) {
-    QueryBuilder.call(this);
+var ChildQueryBuilder = function (parentOr, options) {
+    QueryBuilder.call(this, null, options);
+
+    /**
+     * Records a problem found by the strict mode in the root builder,
+     * which reports them all.
+     * @param {QueryBuilderError} error
+     * @private
+     */
+    this._problem = function (error) {
+        parentOr._problem(error);
+    };
+
+    /**
+     * The problems are reported by the root builder.
+     * @private
+     */
+    this._reportProblems = function () {
+    };
+
+    /**
+     * $near is not allowed in $or.
+     * @private
+     */
+    this._registerNear = function () {
+        throw new errors.IllegalChainError("Illegal near() call: $near and $nearSphere are not allowed inside an OR group!", {operator: "$near"});
+    };
+
+    /**
+     * $text is not allowed in $or.
+     * @private
+     */
+    this._registerText = function () {
+        throw new errors.IllegalChainError("Illegal textSearch() call: $text is not allowed inside an OR group!", {operator: "$text"});
+    };
+
+    /**
+     * Sets the relevance score of a ranked search in the root builder.
+     * @param {string} scoreField
+     * @param {{}} expression The score expression.
+     * @private
+     */
+    this._rank = function (scoreField, expression) {
+        parentOr._rank(scoreField, expression);
+    };
 
     /**
      * Continue adding to the OR query group started with
@@ -283,94 +1304,474 @@ var ChildQueryBuilder = function (parentOr) {
     this.or = function () {
         return parentOr.or();
     };
+
+    /**
+     * Closes the OR query group started with {@link QueryBuilder#either}(),
+     * and returns to the builder it was started from.
+     * @returns {QueryBuilder} the builder that started this OR group.
+     */
+    this.end = function () {
+        return parentOr.end();
+    };
 };
 
 /**
- * The query builder class helps create efficient document
- * queries and expressions. In case OR queries are spawned
- * using the either() method, the final query should always
- * be obtained from the root QueryBuilder's build() method.
+ * A subclass of QueryBuilder, spawned by the group() and
+ * not() methods, to build a parenthesized query group.
  *
- * @param {{}} [q] An existing query to be used as the source
- * of this query builder.
+ * @param {QueryBuilder} parentBuilder The parent query builder.
+ * @param {boolean} negate If true, the group is added to
+ * the parent as a NOT ($nor) group.
+ * @param {{}} [options] The options of the parent query builder.
  * @constructor
  */
-var QueryBuilder = function (q) {
-    q = dataUtils.isJSON(q) ? q : {};
+var GroupQueryBuilder = function (parentBuilder, negate, options) {
+    QueryBuilder.call(this, null, options);
 
-    var _builder = this;
+    /**
+     * Records a problem found by the strict mode in the root builder,
+     * which reports them all.
+     * @param {QueryBuilderError} error
+     * @private
+     */
+    this._problem = function (error) {
+        parentBuilder._problem(error);
+    };
 
     /**
-     * The last {@link SearchQueryBuilder} generated from the
-     * last {@link QueryBuilder#search}() call.
-     * @type {SearchQueryBuilder}
+     * The problems are reported by the root builder.
      * @private
      */
-    var _lastSearchQueryBuilder;
+    this._reportProblems = function () {
+    };
+
+    var _groupBuilder = this;
 
     /**
-     * The last {@link FieldQueryBuilder} generated from the
-     * last {@link QueryBuilder#field}() call.
-     * @type {FieldQueryBuilder}
+     * Checks that a $near is allowed here, i.e. not in a NOT group,
+     * and the only one in the query.
      * @private
      */
-    var _lastFieldQueryBuilder;
+    this._registerNear = function () {
+        if (negate) throw new errors.IllegalChainError("Illegal near() call: $near and $nearSphere are not allowed inside a NOT group!", {operator: "$near"});
+        if (_hasNear(_groupBuilder.build())) throw new errors.IllegalChainError("Illegal near() call: Only one $near or $nearSphere is allowed per query!", {operator: "$near"});
+        parentBuilder._registerNear();
+    };
 
     /**
-     * The last {@link OrQueryBuilder} generated from the
-     * last {@link QueryBuilder#field}() call.
-     * @type {OrQueryBuilder}
+     * Registers a $text search with the root builder, which projects
+     * and sorts by its score, unless in a NOT group.
+     * @param {string} scoreField The field to project the text score into.
      * @private
      */
-    var _lastOrQueryBuilder;
+    this._registerText = function (scoreField) {
+        if (negate) throw new errors.IllegalChainError("Illegal textSearch() call: $text is not allowed inside a NOT group!", {operator: "$text"});
+        parentBuilder._registerText(scoreField);
+    };
 
     /**
-     * Creates an $or query. If an $or exists already, both
-     * the existing and this are moved to $and as entries.
-     * @param {Array.<{}>} queries
+     * Sets the relevance score of a ranked search in the root builder,
+     * unless in a NOT group, whose matches are never in the results.
+     * @param {string} scoreField
+     * @param {{}} expression The score expression.
      * @private
      */
-    this._or = function (queries) {
-        if (!queries || !queries.length) return;
+    this._rank = function (scoreField, expression) {
+        if (negate) throw new errors.IllegalChainError("Illegal rankedIn() call: Ranked searches are not allowed inside a NOT group!");
+        parentBuilder._rank(scoreField, expression);
+    };
 
-        // single element $or is as good as $and
-        if (queries.length == 1) {
-            return _builder._and(queries);
-        }
-        // $and with existing $or, if any
-        else if (q.$or) {
-            q.$and = q.$and || [];
-            q.$and.push({$or: q.$or}, {$or: queries});
-            delete q.$or;
-        }
-        else {
-            q.$or = queries;
+    /**
+     * Closes this query group, and adds it to the parent
+     * query builder.
+     * @returns {QueryBuilder} the parent query builder.
+     */
+    this.end = function () {
+        var gq = _groupBuilder.build();
+        // only if the query is non-empty
+        if (Object.keys(gq).length) {
+            parentBuilder._and([negate ? {$nor: [gq]} : gq]);
         }
+        return parentBuilder;
     };
+};
+
+/**
+ * A subclass of QueryBuilder, spawned by the
+ * {@link FieldQueryBuilder#elemMatch}() method, to build
+ * conditions on the elements of an array field.
+ *
+ * @param {QueryBuilder} parentBuilder The parent query builder.
+ * @param {string} field The array field in the target document.
+ * @param {{}} [options] The options of the parent query builder.
+ * @constructor
+ */
+var ElemMatchQueryBuilder = function (parentBuilder, field, options) {
+    QueryBuilder.call(this, null, options);
 
     /**
-     * Creates an $and query. Tries to merge query directly
-     * into the main query, or as entries to an $and operator.
-     * @param {Array.<{}>} queries
+     * Records a problem found by the strict mode in the root builder,
+     * which reports them all.
+     * @param {QueryBuilderError} error
      * @private
      */
-    this._and = function (queries) {
-        // merge query, its existing $and, and the given values
-        var i;
-        var toBeAnded = [];
-        if (Object.keys(q).length) {
-            toBeAnded.push(q);
-        }
-        if (q.$and) {
-            var aq;
-            for (i = 0; i < q.$and.length; ++i) {
-                aq = q.$and[i];
-                if (!dataUtils.arrayContainsValue(toBeAnded, aq)) {
-                    toBeAnded.push(aq);
-                }
-            }
-            delete q.$and;
-        }
+    this._problem = function (error) {
+        parentBuilder._problem(error);
+    };
+
+    /**
+     * The problems are reported by the root builder.
+     * @private
+     */
+    this._reportProblems = function () {
+    };
+
+    var _elemMatchBuilder = this;
+
+    /**
+     * $near is not allowed in $elemMatch.
+     * @private
+     */
+    this._registerNear = function () {
+        throw new errors.IllegalChainError("Illegal near() call: $near and $nearSphere are not allowed inside $elemMatch!", {operator: "$near"});
+    };
+
+    /**
+     * $text is not allowed in $elemMatch.
+     * @private
+     */
+    this._registerText = function () {
+        throw new errors.IllegalChainError("Illegal textSearch() call: $text is not allowed inside $elemMatch!", {operator: "$text"});
+    };
+
+    /**
+     * Ranked searches score the fields of the documents, not of the
+     * elements.
+     * @private
+     */
+    this._rank = function () {
+        throw new errors.IllegalChainError("Illegal rankedIn() call: Ranked searches are not allowed inside $elemMatch!");
+    };
+
+    /**
+     * Closes this element scope, and adds it to the parent
+     * query builder as an $elemMatch on the field.
+     * @returns {QueryBuilder} the parent query builder.
+     */
+    this.end = function () {
+        var eq = _elemMatchBuilder.build();
+        // only if the query is non-empty
+        if (Object.keys(eq).length) {
+            parentBuilder._compare(field, "$elemMatch", eq);
+        }
+        return parentBuilder;
+    };
+};
+
+/**
+ * This builder starts $expr conditions, spawned by the
+ * {@link QueryBuilder#expr}() method, to compare fields with each
+ * other, or computed values, e.g.:
+ * <pre>builder.expr().field("qty").times(expr.field("price")).gte(100)</pre>
+ * The comparison ends the expression, ANDs it with the query, and
+ * returns the parent builder. The operands are built with the helpers
+ * of lib/expr.js, exported as expr.
+ *
+ * @param {QueryBuilder} parentBuilder The parent query builder.
+ * @param {{}} [options] The options of the parent query builder.
+ * @constructor
+ */
+var ExprQueryBuilder = function (parentBuilder, options) {
+    options = options || {};
+
+    /**
+     * ANDs a boolean expression with the parent query.
+     * @param {expr.Expression} expression
+     * @returns {QueryBuilder} the parent Builder.
+     * @private
+     */
+    function _finish(expression) {
+        parentBuilder._and([{$expr: expression.build()}]);
+        return parentBuilder;
+    }
+
+    /**
+     * Starts an expression with a field.
+     * @param {string} field A field in the target document.
+     * @returns {expr.Expression} the expression, whose comparisons
+     * return the parent Builder.
+     */
+    this.field = function (field) {
+        if (options.schema && dataUtils.isValidStr(field)) schema.resolve(options.schema, field);
+        return expr.field(field, _finish);
+    };
+
+    /**
+     * Starts an expression with a literal value.
+     * @param {*} value
+     * @returns {expr.Expression} the expression, whose comparisons
+     * return the parent Builder.
+     */
+    this.value = function (value) {
+        return expr.value(value, _finish);
+    };
+
+    /**
+     * Starts an expression with a variable, e.g. "NOW".
+     * @param {string} name
+     * @returns {expr.Expression} the expression, whose comparisons
+     * return the parent Builder.
+     */
+    this.variable = function (name) {
+        return expr.variable(name, _finish);
+    };
+
+    /**
+     * Starts an expression with a conditional.
+     * @param {*} condition A boolean expression, or an operator object.
+     * @param {*} then The value if true.
+     * @param {*} otherwise The value if false.
+     * @returns {expr.Expression} the expression, whose comparisons
+     * return the parent Builder.
+     */
+    this.cond = function (condition, then, otherwise) {
+        return expr.cond(condition, then, otherwise, _finish);
+    };
+
+    /**
+     * Ensures that a boolean expression is true, e.g.
+     * expr.field("a").gt(expr.field("b")).or(expr.field("c").eq(true)).
+     * @param {expr.Expression|{}} expression The expression, or a raw
+     * aggregation expression.
+     * @returns {QueryBuilder} the parent Builder.
+     */
+    this.matches = function (expression) {
+        return _finish(expr.raw(expression));
+    };
+};
+
+/**
+ * The query builder class helps create efficient document
+ * queries and expressions. In case OR queries are spawned
+ * using the either() method, the final query should always
+ * be obtained from the root QueryBuilder's build() method.
+ * <p>Groups can be nested to any depth, and each of them is
+ * closed with end(), which returns to the enclosing builder.
+ * For example, (A AND (B OR C)) OR NOT D is built with:
+ * <pre>
+ * builder.either()
+ *     .field("a").matches(1)
+ *     .either().field("b").matches(2)
+ *     .or().field("c").matches(3)
+ *     .end()
+ *     .or().not().field("d").matches(4).end()
+ *     .end();
+ * </pre>
+ *
+ * @param {{}} [q] An existing query to be used as the source
+ * of this query builder.
+ * @param {{}} [options] Builder options.
+ * @param {Array.<string>} [options.scalarFields] Fields that never hold
+ * arrays. Conditions ANDed on such a field are simplified, e.g.
+ * ranges are tightened and $in lists intersected, and {a: 1} AND
+ * {a: 2} can never match, so that $or branches like it are dropped.
+ * This does not hold for arrays, e.g. a tags field with both "x" and
+ * "y", so other fields are only merged structurally, unless declared
+ * in options.schema with a type other than an array or "mixed".
+ * @param {Array.<string>} [options.arrayFields] Fields that may hold
+ * arrays, which are never simplified, even if in options.scalarFields
+ * or the schema. Also used by {@link QueryBuilder#toSQL}().
+ * @param {string} [options.searchMode="regex"] "text" to make
+ * {@link QueryBuilder#search}() use a $text index, like
+ * {@link QueryBuilder#textSearch}(), instead of RegExps.
+ * @param {{}} [options.textSearch] The options for $text searches,
+ * see {@link TextSearchQueryBuilder}.
+ * @param {boolean} [options.unicodeSearch=false] If true, searches find
+ * word beginnings and wildcard characters by Unicode letters and digits,
+ * instead of ASCII ones.
+ * @param {boolean} [options.foldDiacritics=false] If true, searches ignore
+ * diacritics, e.g. "cafe" matches "café" and vice versa.
+ * @param {boolean|string} [options.safeMode=false] Guards against operator
+ * injection from untrusted values given to {@link FieldQueryBuilder}:
+ * "reject" (or true) rejects values with $-prefixed keys, and "literal"
+ * matches such values literally, e.g. {$ne: null} as an object. Either
+ * way, fields with a $ prefix are rejected, and comparators are limited
+ * to options.allowedComparators.
+ * @param {Array.<string>} [options.allowedComparators] The comparators
+ * allowed in safe mode, by default {@link QueryBuilder.SAFE_COMPARATORS}.
+ * @param {Array.<string>} [options.allowedUnsafeOperators] Operators out of
+ * {@link QueryBuilder.UNSAFE_OPERATORS} to allow in values, which are
+ * otherwise rejected in safe mode.
+ * @param {{}} [options.schema] The schema of the documents, see
+ * lib/schema.js. With it, {@link QueryBuilder#field}() rejects fields not
+ * in the schema, values are coerced to the field types, e.g. ISO strings
+ * to Dates, comparators are checked against the field types, e.g. $regex
+ * needs a string field, and searches are allowed only in string fields.
+ * @param {function(string):*} [options.createObjectId] Creates ObjectIds
+ * from the hex strings of {$oid: ...} in Extended JSON queries, e.g. the
+ * ObjectId of the MongoDB driver. By default, they are left as strings.
+ * @param {string} [options.timeZone="UTC"] The time zone of the date
+ * helpers of {@link FieldQueryBuilder}, e.g. "Europe/Berlin".
+ * @param {function():(Date|number)} [options.clock] Returns the current
+ * time for the relative dates of {@link FieldQueryBuilder}, e.g. a fixed
+ * time in tests. By default, Date.now().
+ * @param {boolean} [options.strict=false] Validates the queries: the
+ * operators should be known MongoDB operators, see
+ * {@link QueryBuilder.KNOWN_COMPARATORS}, conditions should not mix
+ * operators and fields, and matchesAny() and the search in() methods
+ * should not be given no values or fields, which are otherwise
+ * ignored. All the problems are reported at once by
+ * {@link QueryBuilder#build}(), in a QueryValidationError.
+ * <p>Defaults for all the options can be set in {@link QueryBuilder.defaultOptions}.
+ * @constructor
+ */
+var QueryBuilder = function (q, options) {
+    options = _withDefaultOptions(options);
+    // copied, and converted from Extended JSON, if so
+    q = dataUtils.isJSON(q) ? ejson.deserialize(q, options) : {};
+    if (options.schema) schema.validate(options.schema);
+
+    var _builder = this;
+
+    /**
+     * The last {@link SearchQueryBuilder} generated from the
+     * last {@link QueryBuilder#search}() call.
+     * @type {SearchQueryBuilder|TextSearchQueryBuilder}
+     * @private
+     */
+    var _lastSearchQueryBuilder;
+
+    /**
+     * The last {@link FieldQueryBuilder} generated from the
+     * last {@link QueryBuilder#field}() call.
+     * @type {FieldQueryBuilder}
+     * @private
+     */
+    var _lastFieldQueryBuilder;
+
+    /**
+     * The last {@link OrQueryBuilder} generated from the
+     * last {@link QueryBuilder#field}() call.
+     * @type {OrQueryBuilder}
+     * @private
+     */
+    var _lastOrQueryBuilder;
+
+    /**
+     * The sort spec set by the last {@link QueryBuilder#sort}()
+     * call.
+     * @type {Object.<string, number>}
+     * @private
+     */
+    var _sort;
+
+    /**
+     * Whether {@link QueryBuilder#before}() was called, so that the
+     * documents are fetched in the reverse order of the sort spec.
+     * @type {boolean}
+     * @private
+     */
+    var _backward = false;
+
+    /**
+     * The field to project the text score into, set by the $text
+     * search, if any.
+     * @type {string}
+     * @private
+     */
+    var _textScoreField;
+
+    /**
+     * The relevance score field and expression, set by the
+     * ranked search, if any.
+     * @type {{field: string, expression: {}}}
+     * @private
+     */
+    var _rankScore;
+
+    /**
+     * The problems found by the strict mode while building, reported
+     * by {@link QueryBuilder#build}() with those of the query.
+     * @type {Array.<QueryBuilderError>}
+     * @private
+     */
+    var _problems = [];
+
+    /**
+     * Records a problem found by the strict mode.
+     * @param {QueryBuilderError} error
+     * @private
+     */
+    this._problem = function (error) {
+        _problems.push(error);
+    };
+
+    /**
+     * Reports all the problems found by the strict mode, while
+     * building and in the final query, if any.
+     * @param {{}} query The final query.
+     * @private
+     */
+    this._reportProblems = function (query) {
+        if (!options.strict) return;
+        var problems = _problems.concat(_strictProblems(query, ""));
+        if (problems.length) throw errors.QueryValidationError.of(problems);
+    };
+
+    /**
+     * Creates an $or query. If an $or exists already, both
+     * the existing and this are moved to $and as entries.
+     * @param {Array.<{}>} queries
+     * @private
+     */
+    this._or = function (queries) {
+        if (!queries || !queries.length) return;
+
+        // drop branches that can never match, unless none is left
+        var satisfiable = [];
+        for (var i = 0; i < queries.length; ++i) {
+            if (!_isQueryUnsatisfiable(queries[i], options)) satisfiable.push(queries[i]);
+        }
+        if (satisfiable.length) queries = satisfiable;
+
+        // single element $or is as good as $and
+        if (queries.length == 1) {
+            return _builder._and(queries);
+        }
+        // $and with existing $or, if any
+        else if (q.$or) {
+            q.$and = q.$and || [];
+            q.$and.push({$or: q.$or}, {$or: queries});
+            delete q.$or;
+        }
+        else {
+            q.$or = queries;
+        }
+    };
+
+    /**
+     * Creates an $and query. Tries to merge query directly
+     * into the main query, or as entries to an $and operator.
+     * @param {Array.<{}>} queries
+     * @private
+     */
+    this._and = function (queries) {
+        // merge query, its existing $and, and the given values
+        var i;
+        var toBeAnded = [];
+        if (Object.keys(q).length) {
+            toBeAnded.push(q);
+        }
+        if (q.$and) {
+            var aq;
+            for (i = 0; i < q.$and.length; ++i) {
+                aq = q.$and[i];
+                if (!dataUtils.arrayContainsValue(toBeAnded, aq)) {
+                    toBeAnded.push(aq);
+                }
+            }
+            delete q.$and;
+        }
         var query;
         for (i = 0; i < queries.length; ++i) {
             query = queries[i];
@@ -379,7 +1780,7 @@ var QueryBuilder = function (q) {
             }
         }
         // use the merged value as the new q
-        var mergedResult = _mergeManyQueryJSONs(toBeAnded);
+        var mergedResult = _mergeManyQueryJSONs(toBeAnded, options);
         q = mergedResult.shift();
         // and any residues as the new $and
         if (mergedResult.length) {
@@ -388,173 +1789,1840 @@ var QueryBuilder = function (q) {
     };
 
     /**
-     * Ensures that the field matches all the values.
-     * @param {string} field A field in the target document.
-     * @param {Array.<{}>} values Array of values to be matched.
-     * @returns {QueryBuilder} this builder for further chaining.
+     * Ensures that the field matches all the values.
+     * @param {string} field A field in the target document.
+     * @param {Array.<{}>} values Array of values to be matched.
+     * @returns {QueryBuilder} this builder for further chaining.
+     * @private
+     */
+    this._matchesAll = function (field, values) {
+        if (!dataUtils.isValidStr(field)) throw new errors.InvalidFieldError("Invalid field, should be a string: " + dataUtils.JSONstringify(field));
+
+        var queries = [];
+        var vq;
+        for (var i = 0; i < values.length; ++i) {
+            vq = {};
+            vq[field] = values[i];
+            if (!dataUtils.arrayContainsValue(queries, vq)) {
+                queries.push(vq);
+            }
+        }
+
+        _builder._and(queries);
+        return _builder;
+    };
+
+    /**
+     * Ensures that the field matches at least one of the values.
+     * @param {string} field A field in the target document.
+     * @param {Array.<{}>} values Array of values to be matched.
+     * @param {boolean} [addToExistingOr=false] If true, this will
+     * be added to the existing OR list ($in), if any.
+     * @returns {QueryBuilder} this builder for further chaining.
+     * @private
+     */
+    this._matchesAny = function (field, values, addToExistingOr) {
+        if (!dataUtils.isValidStr(field)) throw new errors.InvalidFieldError("Invalid field, should be a string: " + dataUtils.JSONstringify(field));
+
+        if (values.length == 1 && !addToExistingOr) {
+            // still a literal match in safe mode, as in $in
+            return _builder._matchesAll(field, options.safeMode ? [_equalityCondition(values[0])] : values);
+        }
+
+        // collect any existing 'or' values
+        var existingFieldValues;
+        if (addToExistingOr && q[field] && q[field].$in) {
+            existingFieldValues = q[field].$in.slice();
+            // and delete them. We'll collate and add the $in again.
+            if (Object.keys(q[field]).length == 1) { // field: { $in: [] }
+                delete q[field];
+            } else { // field: { $in: [], prop1: something, ... }
+                var rest = {};
+                for (var key in q[field]) {
+                    if (q[field].hasOwnProperty(key) && key != "$in") rest[key] = q[field][key];
+                }
+                q[field] = rest;
+            }
+
+        } else {
+            existingFieldValues = [];
+        }
+        // add 'values' to the 'or' list
+        var v;
+        for (var i = 0; i < values.length; ++i) {
+            v = values[i];
+            if (!dataUtils.arrayContainsValue(existingFieldValues, v)) {
+                existingFieldValues.push(v);
+            }
+        }
+        // add the 'or' list to the actual query
+        if (existingFieldValues.length) {
+            _builder._compare(field, "$in", existingFieldValues);
+        }
+
+        return _builder;
+    };
+
+    /**
+     * Ensures the comparison of the field with value.
+     * @param {string} field A field in the target document.
+     * @param {string} comparator e.g. "$gt", "$gte", etc.
+     * @param {*} value
+     * @private
+     */
+    this._compare = function (field, comparator, value) {
+        if (!dataUtils.isValidStr(field)) throw new errors.InvalidFieldError("Invalid field, should be a string: " + dataUtils.JSONstringify(field));
+        if (!dataUtils.isValidStr(comparator)) throw new errors.InvalidOperatorError("Invalid comparator, should be a string: " + dataUtils.JSONstringify(comparator), {field: field});
+
+        var cq = {};
+        cq[comparator] = value;
+        return _builder._matchesAll(field, [cq]);
+    };
+
+    /**
+     * Checks that a $near or $nearSphere can be added, i.e. the
+     * query has none yet.
+     * @private
+     */
+    this._registerNear = function () {
+        if (_hasNear(q)) throw new errors.IllegalChainError("Illegal near() call: Only one $near or $nearSphere is allowed per query!", {operator: "$near"});
+    };
+
+    /**
+     * Guards a value given to a {@link FieldQueryBuilder} against
+     * operator injection, as per the safeMode option.
+     * @param {string} field A field in the target document.
+     * @param {?string} comparator e.g. "$gt", "$in", etc., or null
+     * for an equality match.
+     * @param {*} value
+     * @returns {*} the value to be used, which is wrapped in $eq for
+     * literal equality matches.
+     * @private
+     */
+    this._safeValue = function (field, comparator, value) {
+        if (!options.safeMode) return value;
+
+        if (field.charAt(0) == "$") throw new errors.InvalidFieldError("Unsafe field \"" + field + "\": fields should not start with $", {code: "UNSAFE_FIELD", field: field});
+        var allowedComparators = options.allowedComparators || QueryBuilder.SAFE_COMPARATORS;
+        if (comparator && allowedComparators.indexOf(comparator) < 0) {
+            throw new errors.InvalidOperatorError("Unsafe comparator for field \"" + field + "\": " + comparator + " is not allowed", {code: "UNSAFE_OPERATOR", field: field, operator: comparator});
+        }
+
+        // operators in the value, e.g. {$ne: null}
+        var path = _findOperatorPath(value, field, options.allowedUnsafeOperators || [], false);
+        if (path) throw new errors.InvalidOperatorError("Unsafe value for field \"" + field + "\": operator at " + path + " is not allowed", {code: "UNSAFE_OPERATOR", field: field, operator: path.substring(path.lastIndexOf(".") + 1)});
+        path = _findOperatorPath(value, field, [], true);
+        if (!path) return value;
+
+        // operator objects are expected by these
+        if (comparator == "$not" || comparator == "$elemMatch") return value;
+        // other operands are matched literally, except in $in, $nin and $all lists
+        if (options.safeMode == "literal" && (!comparator || !Array.isArray(value))) {
+            return comparator ? value : {$eq: value};
+        }
+        throw new errors.InvalidOperatorError("Unsafe value for field \"" + field + "\": operator at " + path + " is not allowed", {code: "UNSAFE_OPERATOR", field: field, operator: path.substring(path.lastIndexOf(".") + 1)});
+    };
+
+    /**
+     * All other functions are by default ANDed. So
+     * this is just a helper function to improve
+     * readability of complex queries.
+     *
+     * @returns {QueryBuilder} this query builder.
+     */
+    this.and = function () {
+        return _builder;
+    };
+
+    /**
+     * Creates a new {@link SearchQueryBuilder} to search fields using
+     * string queries. If the searchMode option is "text", this is
+     * same as calling {@link QueryBuilder#textSearch}().
+     *
+     * @param {string} queryStr Input string containing one or more
+     * space separated tokens.
+     * @param {boolean} [matchWithinWords=false] If true, matching is done anywhere.
+     * By default, matching is done only at word beginnings.
+     * @returns {SearchQueryBuilder|TextSearchQueryBuilder} a new {@link SearchQueryBuilder}
+     */
+    this.search = function (queryStr, matchWithinWords) {
+        if (options.searchMode == "text") return _builder.textSearch(queryStr);
+        return _lastSearchQueryBuilder = new SearchQueryBuilder(_builder, queryStr, matchWithinWords, options);
+    };
+
+    /**
+     * Creates a new {@link TextSearchQueryBuilder} to search using a
+     * $text index. Use {@link QueryBuilder#buildProjection}() and
+     * {@link QueryBuilder#buildSort}() to get the text score, and to
+     * sort by it.
+     *
+     * @param {string} queryStr Input string containing one or more
+     * space separated tokens.
+     * @param {{}} [textOptions] The options for the $text search, see
+     * {@link TextSearchQueryBuilder}. Defaults to the textSearch option.
+     * @returns {TextSearchQueryBuilder} a new {@link TextSearchQueryBuilder}
+     */
+    this.textSearch = function (queryStr, textOptions) {
+        return _lastSearchQueryBuilder = new TextSearchQueryBuilder(_builder, queryStr, textOptions || options.textSearch);
+    };
+
+    /**
+     * Sets the relevance score for ranking the results.
+     * @param {string} scoreField The field to add the score in.
+     * @param {{}} expression The score expression.
+     * @private
+     */
+    this._rank = function (scoreField, expression) {
+        if (_rankScore) throw new errors.IllegalChainError("Illegal rankedIn() call: Only one ranked search is allowed per query!");
+        if (scoreField == _textScoreField) throw new errors.IllegalChainError("Illegal rankedIn() call: The score field \"" + scoreField + "\" is that of the $text search!");
+        _rankScore = {field: scoreField, expression: expression};
+    };
+
+    /**
+     * Adds a $text condition. Only one is allowed per query.
+     * @param {{$search: string}} text The $text operand.
+     * @param {string} scoreField The field to project the text score into.
+     * @returns {QueryBuilder} this builder for further chaining.
+     * @private
+     */
+    this._text = function (text, scoreField) {
+        _builder._registerText(scoreField);
+        _builder._and([{$text: text}]);
+        return _builder;
+    };
+
+    /**
+     * Checks that a $text search can be added, i.e. the query has none
+     * yet, and sets the field to project its score into.
+     * @param {string} scoreField The field to project the text score into.
+     * @private
+     */
+    this._registerText = function (scoreField) {
+        if (_textScoreField) throw new errors.IllegalChainError("Illegal textSearch() call: Only one $text search is allowed per query!", {operator: "$text"});
+        if (_rankScore && _rankScore.field == scoreField) throw new errors.IllegalChainError("Illegal textSearch() call: The score field \"" + scoreField + "\" is that of the ranked search!", {operator: "$text"});
+        _textScoreField = scoreField;
+    };
+
+    /**
+     * Continue more query chaining with the last {@link SearchQueryBuilder}
+     * from the last {@link QueryBuilder#search}() call.
+     *
+     * @returns {SearchQueryBuilder} the last {@link SearchQueryBuilder}
+     * from the last {@link QueryBuilder#search}() call.
+     */
+    this.andSearch = function () {
+        if (!_lastSearchQueryBuilder) throw new errors.IllegalChainError("Illegal andSearch() call: Should be called only after search() was called!");
+        return _lastSearchQueryBuilder;
+    };
+
+    /**
+     * Creates a new {@link FieldQueryBuilder} to create queries
+     * for document fields.
+     *
+     * @param {string} field A field in the target document.
+     * @returns {FieldQueryBuilder} a new {@link FieldQueryBuilder}.
+     */
+    this.field = function (field) {
+        return _lastFieldQueryBuilder = new FieldQueryBuilder(_builder, field, options);
+    };
+
+    /**
+     * Applies named scopes, defined with {@link QueryBuilder.defineScope}(),
+     * each followed by its arguments, e.g.
+     * scope("active", "ownedBy", userId), if ownedBy takes a user id.
+     * @param {string} name The first scope, followed by its arguments,
+     * and then the next scopes, with theirs. Arguments should not be
+     * undefined.
+     * @returns {QueryBuilder} this builder.
+     */
+    this.scope = function (name) {
+        var args = Array.prototype.slice.call(arguments);
+        var i = 0;
+        var scope, scopeArgs, j;
+        while (i < args.length) {
+            name = args[i];
+            if (typeof name != "string" || !Object.prototype.hasOwnProperty.call(QueryBuilder.scopes, name)) throw new errors.InvalidValueError("Unknown scope: " + dataUtils.JSONstringify(name), {code: "UNKNOWN_SCOPE"});
+            scope = QueryBuilder.scopes[name];
+            if (i + 1 + scope.arity > args.length) throw new errors.InvalidValueError("Missing arguments of scope \"" + name + "\", it takes " + scope.arity + ", got " + (args.length - i - 1));
+            scopeArgs = args.slice(i + 1, i + 1 + scope.arity);
+            for (j = 0; j < scopeArgs.length; ++j) {
+                // e.g. a missing request parameter, which would drop the condition
+                if (scopeArgs[j] === undefined) throw new errors.InvalidValueError("Undefined argument " + (j + 1) + " of scope \"" + name + "\"");
+            }
+            scope.scope.apply(null, [_builder].concat(scopeArgs));
+            i += 1 + scope.arity;
+        }
+        return _builder;
+    };
+
+    /**
+     * Continue more query chaining with the last {@link FieldQueryBuilder}
+     * generated from the last {@link QueryBuilder#field}() call.
+     * @returns {FieldQueryBuilder} the last {@link FieldQueryBuilder}
+     * generated from the last {@link QueryBuilder#field}() call.
+     */
+    this.andField = function () {
+        if (!_lastFieldQueryBuilder) throw new errors.IllegalChainError("Illegal andField() call: Should be called only after field() was called!");
+        return _lastFieldQueryBuilder;
+    };
+
+    /**
+     * Creates a new {@link ExprQueryBuilder} to create $expr
+     * conditions, e.g. to compare fields with each other.
+     *
+     * @returns {ExprQueryBuilder} a new {@link ExprQueryBuilder}.
+     */
+    this.expr = function () {
+        return new ExprQueryBuilder(_builder, options);
+    };
+
+    /**
+     * Starts an OR query builder. Use {@link ChildQueryBuilder#end}()
+     * to close the OR group and return to this builder.
+     * @returns {ChildQueryBuilder} A new {@link ChildQueryBuilder} child in
+     * this OR group.
+     */
+    this.either = function () {
+        _builder._closeOr();
+        _lastOrQueryBuilder = new OrQueryBuilder(_builder, options);
+        return _lastOrQueryBuilder.or();
+    };
+
+    /**
+     * Adds the OR group started by the last {@link QueryBuilder#either}()
+     * call, if any, to the query, and closes it.
+     * @private
+     */
+    this._closeOr = function () {
+        if (_lastOrQueryBuilder) {
+            _builder._or(_lastOrQueryBuilder.flush());
+            _lastOrQueryBuilder = null;
+        }
+    };
+
+    /**
+     * Starts a parenthesized group, ANDed with this query. Use
+     * {@link GroupQueryBuilder#end}() to close the group and return
+     * to this builder.
+     * @returns {GroupQueryBuilder} a new {@link GroupQueryBuilder}.
+     */
+    this.group = function () {
+        return new GroupQueryBuilder(_builder, false, options);
+    };
+
+    /**
+     * Starts a NOT group, i.e. a group of conditions that must not
+     * all match, ANDed with this query as a $nor. Use
+     * {@link GroupQueryBuilder#end}() to close the group and return
+     * to this builder.
+     * @returns {GroupQueryBuilder} a new {@link GroupQueryBuilder}.
+     */
+    this.not = function () {
+        return new GroupQueryBuilder(_builder, true, options);
+    };
+
+    /**
+     * Closes the group of this builder. The root builder has none,
+     * so this always throws here, and is overridden by the group,
+     * OR and $elemMatch builders.
+     */
+    this.end = function () {
+        throw new errors.IllegalChainError("Illegal end() call: There is no group, either() or elemMatch() to close!");
+    };
+
+    /**
+     * Returns the final query object built. An OR group that is not
+     * closed yet is included, but stays open for further chaining.
+     * This can be called any number of times, and each time returns
+     * a new copy, which can be changed freely.
+     * @returns {{}} the final query object built.
+     */
+    this.build = function () {
+        var built = _builder._build();
+        _builder._reportProblems(built);
+        return built;
+    };
+
+    /**
+     * Returns the final query object built, without reporting the
+     * problems found by the strict mode.
+     * @returns {{}} the query.
+     * @private
+     */
+    this._build = function () {
+        var built = q;
+        if (_lastOrQueryBuilder) {
+            // apply the open OR group to a copy
+            q = _cloneQuery(built);
+            _builder._or(_lastOrQueryBuilder.queries());
+            var withOr = q;
+            q = built;
+            built = withOr;
+        }
+        return _cloneQuery(built);
+    };
+
+    /**
+     * Returns the final query object built, in MongoDB Extended JSON,
+     * so that Dates and RegExps survive JSON.stringify(). The query
+     * can be restored with {@link QueryBuilder.fromEJSON}(), or by
+     * passing the Extended JSON to the constructor.
+     * @param {{relaxed: boolean}} [ejsonOptions] relaxed: false for the
+     * canonical form, which keeps the exact number types. By default,
+     * the relaxed form is used.
+     * @returns {{}} the Extended JSON of the query.
+     */
+    this.toEJSON = function (ejsonOptions) {
+        return ejson.serialize(_builder.build(), ejsonOptions);
+    };
+
+    /**
+     * Describes the final query object built as readable text, like:
+     * <pre>status is one of [open, pending] AND (age ≥ 21 OR vip = true)
+     * AND title contains words starting with "rep"</pre>
+     * See {@link QueryBuilder.describe}().
+     * @param {Object.<string, string>|function(string):string} [labels]
+     * The labels of the fields, by field, or a function returning them.
+     * @returns {string} the description.
+     */
+    this.explain = function (labels) {
+        return QueryBuilder.describe(_builder.build(), labels);
+    };
+
+    /**
+     * Analyzes the final query object built, with the sort spec, for
+     * index guidance. See {@link QueryBuilder.adviseIndex}().
+     * @param {{projection: {}, indexes: Array.<{}>}} [adviceOptions] The
+     * projection, and the existing indexes to check.
+     * @returns {{index: ?Object.<string, number>, orIndexes: Array.<?Object.<string, number>>, warnings: Array.<{code: string, field: ?string, message: string}>}}
+     * the advice.
+     */
+    this.adviseIndex = function (adviceOptions) {
+        adviceOptions = adviceOptions || {};
+        return advisor.advise(_builder.build(), {
+            sort: _builder.buildSort(),
+            projection: adviceOptions.projection,
+            indexes: adviceOptions.indexes
+        });
+    };
+
+    /**
+     * Translates the final query object built to a parameterized SQL
+     * WHERE clause on a Postgres JSONB column. See {@link QueryBuilder.toSQL}().
+     * @param {{column: string, paramOffset: number}} [sqlOptions] The
+     * JSONB column, by default "doc", and the number of bind values
+     * before these ones. The array fields are those of the builder.
+     * @returns {{where: string, values: Array.<string>}} the WHERE
+     * clause and its bind values.
+     */
+    this.toSQL = function (sqlOptions) {
+        sqlOptions = sqlOptions || {};
+        return sql.toSQL(_builder.build(), {
+            column: sqlOptions.column,
+            paramOffset: sqlOptions.paramOffset,
+            arrayFields: sqlOptions.arrayFields || options.arrayFields
+        });
+    };
+
+    /**
+     * Returns the state of this builder, besides the query, to be
+     * copied by {@link QueryBuilder#clone}().
+     * @param {{}} [state] If given, the state to set instead.
+     * @returns {{sort: Object.<string, number>, backward: boolean, textScoreField: string, rankScore: {field: string, expression: {}}}}
+     * the state.
+     * @private
+     */
+    this._state = function (state) {
+        if (state) {
+            _sort = state.sort;
+            _backward = !!state.backward;
+            _textScoreField = state.textScoreField;
+            _rankScore = state.rankScore;
+            _problems = state.problems ? state.problems.slice() : [];
+        }
+        return _cloneQuery({sort: _sort, backward: _backward, textScoreField: _textScoreField, rankScore: _rankScore, problems: _problems.slice()});
+    };
+
+    /**
+     * Creates an independent copy of this builder, with the query
+     * built so far, its sort spec and search score, so that a base
+     * query can be extended in different ways, e.g.:
+     * <pre>
+     * var base = new QueryBuilder().field("tenant").matches(t)
+     *     .field("deleted").matches(false);
+     * var list = base.clone().field("status").matches("open");
+     * var archived = base.clone().field("status").matches("archived");
+     * </pre>
+     * The copy is always a {@link QueryBuilder}, and an OR group that
+     * is not closed yet is closed in it.
+     * @returns {QueryBuilder} the copy.
+     */
+    this.clone = function () {
+        var copy = new QueryBuilder(_builder._build(), options);
+        copy._state(_builder._state());
+        return copy;
+    };
+
+    /**
+     * Same as {@link QueryBuilder#clone}(), for branching off a base
+     * query.
+     * @returns {QueryBuilder} the copy.
+     */
+    this.fork = function () {
+        return _builder.clone();
+    };
+
+    /**
+     * Checks whether the final query object can never match any
+     * document, e.g. if it has both {a: 1} and {a: 2}, or both
+     * {a: {$gt: 10}} and {a: {$lt: 5}}, for a field in
+     * options.scalarFields or the schema. Other fields may hold
+     * arrays, which can match both.
+     * @returns {boolean} true if the query can never match.
+     */
+    this.isUnsatisfiable = function () {
+        return _isQueryUnsatisfiable(_builder.build(), options);
+    };
+
+    /**
+     * Returns a predicate that evaluates the final query object
+     * against a plain document, following MongoDB semantics.
+     * Useful for filtering cached results, or testing queries
+     * without a database.
+     * @returns {function({}):boolean} the predicate.
+     */
+    this.toPredicate = function () {
+        return evaluator.toPredicate(_builder.build());
+    };
+
+    /**
+     * Sets the sort spec, e.g. for keyset (cursor) pagination with
+     * {@link QueryBuilder#after}() and {@link QueryBuilder#before}().
+     * The last key should be unique, e.g. _id, for a stable order.
+     * @param {Object.<string, number>} spec e.g. {createdAt: -1, _id: -1}.
+     * @returns {QueryBuilder} this builder for further chaining.
+     */
+    this.sort = function (spec) {
+        _sort = _validateSort(spec);
+        return _builder;
+    };
+
+    /**
+     * Returns the sort spec set by {@link QueryBuilder#sort}(), to
+     * be used along with the final query. After
+     * {@link QueryBuilder#before}(), it is reversed, to fetch the
+     * documents right before the cursor, which are then in reverse
+     * order.
+     * @returns {undefined|Object.<string, number>} the sort spec.
+     */
+    this.buildSort = function () {
+        var spec = _backward ? _reverseSort(_sort) : _sort;
+        if (!_textScoreField) return spec;
+
+        // by text score first
+        var sort = {};
+        sort[_textScoreField] = {$meta: "textScore"};
+        for (var field in spec) {
+            if (spec.hasOwnProperty(field)) sort[field] = spec[field];
+        }
+        return sort;
+    };
+
+    /**
+     * Returns the aggregation pipeline stages for the final query,
+     * i.e. the $match stage, followed by the stages to add and sort
+     * by the relevance score of a {@link SearchQueryBuilder#rankedIn}()
+     * or $text search, if any, and by the sort spec.
+     * @returns {Array.<{}>} the pipeline stages.
+     */
+    this.buildPipeline = function () {
+        var stages = [];
+        var query = _builder.build();
+        if (Object.keys(query).length) stages.push({$match: query});
+
+        var sort = {};
+        if (_rankScore) {
+            var addFields = {};
+            addFields[_rankScore.field] = _rankScore.expression;
+            stages.push({$addFields: addFields});
+            sort[_rankScore.field] = -1;
+        }
+        if (_textScoreField) stages.push({$addFields: _builder.buildProjection()});
+        var otherSort = _builder.buildSort();
+        for (var field in otherSort) {
+            if (otherSort.hasOwnProperty(field) && !sort.hasOwnProperty(field)) sort[field] = otherSort[field];
+        }
+        if (Object.keys(sort).length) stages.push({$sort: sort});
+        return stages;
+    };
+
+    /**
+     * Returns the projection of the text score, if a $text search
+     * was added by {@link QueryBuilder#textSearch}().
+     * @returns {undefined|{}} the projection, e.g.
+     * {score: {$meta: "textScore"}}.
+     */
+    this.buildProjection = function () {
+        if (!_textScoreField) return undefined;
+        var projection = {};
+        projection[_textScoreField] = {$meta: "textScore"};
+        return projection;
+    };
+
+    /**
+     * Restricts the query to the documents after the cursor, in the
+     * order of the sort spec.
+     * @param {string} cursor A cursor from {@link QueryBuilder#encodeCursor}().
+     * @returns {QueryBuilder} this builder for further chaining.
+     */
+    this.after = function (cursor) {
+        if (!_sort) throw new errors.IllegalChainError("Illegal after() call: Should be called only after sort() was called!");
+        _builder._or(_keysetQueries(_sort, QueryBuilder.decodeCursor(cursor, _sort, options), false));
+        return _builder;
+    };
+
+    /**
+     * Restricts the query to the documents before the cursor, in
+     * the order of the sort spec, e.g. for the previous page. The
+     * sort spec of {@link QueryBuilder#buildSort}() is then reversed,
+     * so that a limit keeps the documents closest to the cursor, in
+     * reverse order.
+     * @param {string} cursor A cursor from {@link QueryBuilder#encodeCursor}().
+     * @returns {QueryBuilder} this builder for further chaining.
+     */
+    this.before = function (cursor) {
+        if (!_sort) throw new errors.IllegalChainError("Illegal before() call: Should be called only after sort() was called!");
+        _builder._or(_keysetQueries(_sort, QueryBuilder.decodeCursor(cursor, _sort, options), true));
+        _backward = true;
+        return _builder;
+    };
+
+    /**
+     * Creates the cursor for a document, e.g. the last one of a
+     * page, as per the sort spec.
+     * @param {{}} doc
+     * @returns {string} the cursor.
+     */
+    this.encodeCursor = function (doc) {
+        if (!_sort) throw new errors.IllegalChainError("Illegal encodeCursor() call: Should be called only after sort() was called!");
+        return QueryBuilder.encodeCursor(doc, _sort);
+    };
+};
+
+/**
+ * Default options for all query builders, overridden by the
+ * options given to each. See {@link QueryBuilder}.
+ * @type {{}}
+ */
+QueryBuilder.defaultOptions = {};
+
+/**
+ * The comparators allowed by default in safe mode.
+ * @type {Array.<string>}
+ */
+QueryBuilder.SAFE_COMPARATORS = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$all",
+    "$exists", "$type", "$size", "$mod", "$regex", "$options", "$not", "$elemMatch"];
+
+/**
+ * The operators that run code or expressions, which are rejected
+ * in safe mode unless allowed.
+ * @type {Array.<string>}
+ */
+QueryBuilder.UNSAFE_OPERATORS = ["$where", "$function", "$expr"];
+
+/**
+ * The known MongoDB operators on fields, for the strict mode.
+ * @type {Array.<string>}
+ */
+QueryBuilder.KNOWN_COMPARATORS = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$all",
+    "$exists", "$type", "$size", "$mod", "$regex", "$options", "$not", "$elemMatch",
+    "$near", "$nearSphere", "$geoWithin", "$geoIntersects", "$maxDistance", "$minDistance",
+    "$bitsAllSet", "$bitsAnySet", "$bitsAllClear", "$bitsAnyClear"];
+
+/**
+ * The known MongoDB top-level query operators, for the strict mode.
+ * @type {Array.<string>}
+ */
+QueryBuilder.KNOWN_QUERY_OPERATORS = ["$and", "$or", "$nor", "$text", "$where", "$expr", "$comment", "$jsonSchema"];
+
+/**
+ * Finds the problems of a query for the strict mode, i.e. unknown
+ * operators, and conditions mixing operators and fields.
+ * @param {{}} query
+ * @param {string} prefix The path of the query, e.g. "items." within
+ * an $elemMatch on items, for the errors.
+ * @returns {Array.<QueryBuilderError>} the problems.
+ * @private
+ */
+function _strictProblems(query, prefix) {
+    var problems = [];
+    var key;
+    for (key in query) {
+        if (!query.hasOwnProperty(key)) continue;
+        if (key.charAt(0) != "$") {
+            problems = problems.concat(_strictConditionProblems(prefix + key, query[key]));
+        } else if (QueryBuilder.KNOWN_QUERY_OPERATORS.indexOf(key) < 0) {
+            problems.push(new errors.InvalidOperatorError("Unknown query operator: " + key, {code: "UNKNOWN_OPERATOR", operator: key}));
+        } else if ((key == "$and" || key == "$or" || key == "$nor") && Array.isArray(query[key])) {
+            for (var i = 0; i < query[key].length; ++i) {
+                if (dataUtils.isJSON(query[key][i])) problems = problems.concat(_strictProblems(query[key][i], prefix));
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Finds the problems of the condition on a field for the strict mode.
+ * @param {string} field
+ * @param {*} condition
+ * @returns {Array.<QueryBuilderError>} the problems.
+ * @private
+ */
+function _strictConditionProblems(field, condition) {
+    var problems = [];
+    if (!dataUtils.isJSON(condition)) return problems;
+    var keys = Object.keys(condition);
+    var operators = keys.filter(function (key) {
+        return key.charAt(0) == "$";
+    });
+    if (!operators.length) return problems;
+    if (operators.length < keys.length) {
+        problems.push(new errors.InvalidOperatorError("Invalid condition for field \"" + field + "\", mixing operators and fields: " +
+            dataUtils.JSONstringify(condition), {code: "MIXED_CONDITION", field: field}));
+        return problems;
+    }
+    var operator, operand;
+    for (var i = 0; i < operators.length; ++i) {
+        operator = operators[i];
+        operand = condition[operator];
+        if (QueryBuilder.KNOWN_COMPARATORS.indexOf(operator) < 0) {
+            problems.push(new errors.InvalidOperatorError("Unknown operator for field \"" + field + "\": " + operator,
+                {code: "UNKNOWN_OPERATOR", field: field, operator: operator}));
+        } else if (operator == "$not") {
+            problems = problems.concat(_strictConditionProblems(field, operand));
+        } else if (operator == "$elemMatch" && dataUtils.isJSON(operand)) {
+            problems = problems.concat(evaluator.isOperatorObject(operand) ? _strictConditionProblems(field, operand) :
+                _strictProblems(operand, field + "."));
+        }
+    }
+    return problems;
+}
+
+/**
+ * The named scopes, with the number of arguments they take, by name.
+ * See {@link QueryBuilder.defineScope}().
+ * @type {Object.<string, {scope: function(QueryBuilder, ...*), arity: number}>}
+ */
+QueryBuilder.scopes = Object.create(null);
+
+/**
+ * Defines a named scope, i.e. reusable conditions, e.g. for soft
+ * deletes or tenancy, to apply with {@link QueryBuilder#scope}():
+ * <pre>QueryBuilder.defineScope("active", function (builder) {
+ *     builder.field("deletedAt").is("$exists", false);
+ * });
+ * QueryBuilder.defineScope("ownedBy", function (builder, userId) {
+ *     builder.field("ownerId").matches(userId);
+ * });
+ * new QueryBuilder().scope("active", "ownedBy", userId);</pre>
+ * @param {string} name The scope name.
+ * @param {function(QueryBuilder, ...*)} scope Adds the conditions to
+ * the builder, with the arguments it takes from
+ * {@link QueryBuilder#scope}().
+ * @param {number} [arity] The number of arguments after the builder.
+ * By default, the number of declared parameters after the builder,
+ * which does not count rest parameters, nor those after one with a
+ * default value, so give it for such functions.
+ */
+QueryBuilder.defineScope = function (name, scope, arity) {
+    if (!dataUtils.isValidStr(name)) throw new errors.InvalidValueError("Invalid scope name, should be a string: " + dataUtils.JSONstringify(name));
+    if (typeof scope != "function") throw new errors.InvalidValueError("Invalid scope \"" + name + "\", should be a function: " + dataUtils.JSONstringify(scope));
+    if (arity === undefined) arity = Math.max(scope.length - 1, 0);
+    if (Math.floor(arity) !== arity || arity < 0) throw new errors.InvalidValueError("Invalid arity of scope \"" + name + "\", should be a non-negative integer: " + dataUtils.JSONstringify(arity));
+    if (Object.prototype.hasOwnProperty.call(QueryBuilder.scopes, name)) throw new errors.InvalidValueError("Scope already defined: \"" + name + "\"");
+    QueryBuilder.scopes[name] = {scope: scope, arity: arity};
+};
+
+/**
+ * Defines a custom method of {@link FieldQueryBuilder}, which adds
+ * conditions with the other methods, e.g.:
+ * <pre>QueryBuilder.defineFieldMethod("isDomain", function (domain) {
+ *     return this.is("$regex", new RegExp("@" + domain.replace(/\./g, "\\.") + "$", "i"));
+ * });
+ * new QueryBuilder().field("email").isDomain("acme.com");</pre>
+ * @param {string} name The method name, which should not be that of
+ * another method.
+ * @param {function(...*):QueryBuilder} method Called on the
+ * {@link FieldQueryBuilder}, with the arguments. It should return the
+ * parent builder, as the other methods do.
+ */
+QueryBuilder.defineFieldMethod = function (name, method) {
+    if (!dataUtils.isValidStr(name) || !/^[A-Za-z_$][\w$]*$/.test(name)) throw new errors.InvalidValueError("Invalid field method name, should be an identifier: " + dataUtils.JSONstringify(name));
+    if (typeof method != "function") throw new errors.InvalidValueError("Invalid field method \"" + name + "\", should be a function: " + dataUtils.JSONstringify(method));
+    if (name in new FieldQueryBuilder(null, "_")) throw new errors.InvalidValueError("Field method already defined: \"" + name + "\"");
+    FieldQueryBuilder.methods[name] = method;
+};
+
+/**
+ * Returns the options of a query builder, with the defaults from
+ * {@link QueryBuilder.defaultOptions} for those not given.
+ * @param {{}} [options] The query builder options.
+ * @returns {{}} the options.
+ * @private
+ */
+function _withDefaultOptions(options) {
+    var result = {};
+    var key;
+    for (key in QueryBuilder.defaultOptions) {
+        if (QueryBuilder.defaultOptions.hasOwnProperty(key)) result[key] = QueryBuilder.defaultOptions[key];
+    }
+    for (key in options) {
+        if (options.hasOwnProperty(key)) result[key] = options[key];
+    }
+    return result;
+}
+
+/**
+ * Deep copies a query. Plain objects and arrays are copied, as are
+ * Dates and RegExps, and other values, e.g. ObjectIds, are shared.
+ * @param {*} value
+ * @returns {*} the copy.
+ * @private
+ */
+function _cloneQuery(value) {
+    if (Array.isArray(value)) return value.map(_cloneQuery);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+    if (value === null || typeof value != "object") return value;
+    var proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return value;
+
+    var copy = {};
+    for (var key in value) {
+        if (value.hasOwnProperty(key)) copy[key] = _cloneQuery(value[key]);
+    }
+    return copy;
+}
+
+/**
+ * Checks whether a query has a $near or $nearSphere condition, at the
+ * top level or ANDed.
+ * @param {{}} query
+ * @returns {boolean}
+ * @private
+ */
+function _hasNear(query) {
+    for (var key in query) {
+        if (!query.hasOwnProperty(key)) continue;
+        if (key == "$and") {
+            for (var i = 0; i < query.$and.length; ++i) {
+                if (_hasNear(query.$and[i])) return true;
+            }
+        } else if (dataUtils.isJSON(query[key]) && (query[key].hasOwnProperty("$near") || query[key].hasOwnProperty("$nearSphere"))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Finds an operator, i.e. a $-prefixed key, in a value, searching
+ * nested objects and arrays.
+ * @param {*} value
+ * @param {string} path The path of the value, to report.
+ * @param {Array.<string>} allowed Operators to skip.
+ * @param {boolean} anyOperator If true, finds any operator, else only
+ * those in {@link QueryBuilder.UNSAFE_OPERATORS}.
+ * @returns {?string} the path of the operator found, e.g. "a.b.$ne",
+ * or null.
+ * @private
+ */
+function _findOperatorPath(value, path, allowed, anyOperator) {
+    var found, i;
+    if (Array.isArray(value)) {
+        for (i = 0; i < value.length; ++i) {
+            found = _findOperatorPath(value[i], path + "." + i, allowed, anyOperator);
+            if (found) return found;
+        }
+    } else if (dataUtils.isJSON(value)) {
+        var keys = Object.keys(value);
+        for (i = 0; i < keys.length; ++i) {
+            if (keys[i].charAt(0) == "$" && allowed.indexOf(keys[i]) < 0 &&
+                (anyOperator || QueryBuilder.UNSAFE_OPERATORS.indexOf(keys[i]) >= 0)) {
+                return path + "." + keys[i];
+            }
+            found = _findOperatorPath(value[keys[i]], path + "." + keys[i], allowed, anyOperator);
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Converts a query to MongoDB Extended JSON. See
+ * {@link QueryBuilder#toEJSON}().
+ * @param {{}} query
+ * @param {{relaxed: boolean}} [ejsonOptions] relaxed: false for the
+ * canonical form. By default, the relaxed form is used.
+ * @returns {{}} the Extended JSON of the query.
+ */
+QueryBuilder.toEJSON = function (query, ejsonOptions) {
+    if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid query, should be a JSON: " + dataUtils.JSONstringify(query));
+    return ejson.serialize(query, ejsonOptions);
+};
+
+/**
+ * Creates a query builder from a query in MongoDB Extended JSON,
+ * either canonical or relaxed, e.g. from {@link QueryBuilder#toEJSON}().
+ * ObjectIds become hex strings, unless options.createObjectId is given,
+ * e.g. the ObjectId of the MongoDB driver.
+ * @param {string|{}} ejsonQuery The Extended JSON, or its JSON string.
+ * @param {{}} [options] The query builder options.
+ * @returns {QueryBuilder} a new query builder with the query.
+ */
+QueryBuilder.fromEJSON = function (ejsonQuery, options) {
+    if (typeof ejsonQuery == "string") {
+        try {
+            ejsonQuery = JSON.parse(ejsonQuery);
+        } catch (e) {
+            throw new errors.InvalidValueError("Invalid Extended JSON: " + e.message);
+        }
+    }
+    if (!dataUtils.isJSON(ejsonQuery)) throw new errors.InvalidValueError("Invalid Extended JSON, should be a JSON: " + dataUtils.JSONstringify(ejsonQuery));
+    return new QueryBuilder(ejsonQuery, options);
+};
+
+/**
+ * Describes a query as readable text. Searches created by
+ * {@link SearchQueryBuilder} are described by their tokens, and
+ * other RegExps as they are.
+ * @param {{}} query The query, e.g. from {@link QueryBuilder#build}().
+ * @param {Object.<string, string>|function(string):string} [labels]
+ * The labels of the fields, by field, or a function returning them,
+ * e.g. {createdAt: "Created"}. By default, fields are shown as they are.
+ * @returns {string} the description.
+ */
+QueryBuilder.describe = function (query, labels) {
+    return describer.describe(query, {labels: labels, searchTerms: SearchQueryBuilder.regexToSearchTerms});
+};
+
+/**
+ * Analyzes a query for index guidance: suggests the compound index
+ * with the keys in the equality-sort-range order, warns about the
+ * clauses that cannot use an index, e.g. the unanchored RegExps of
+ * searches, $ne and $nin, or $or branches with no indexable field,
+ * and finds the best fit of the existing indexes, if given.
+ * @param {{}} query The query, e.g. from {@link QueryBuilder#build}().
+ * @param {{sort: {}, projection: {}, indexes: Array.<{}>}} [adviceOptions]
+ * The sort spec, the projection, and the existing indexes, as index keys
+ * or as index specs with key and name. See lib/advisor.js.
+ * @returns {{index: ?Object.<string, number>, orIndexes: Array.<?Object.<string, number>>, warnings: Array.<{code: string, field: ?string, message: string}>}}
+ * the advice.
+ */
+QueryBuilder.adviseIndex = function (query, adviceOptions) {
+    return advisor.advise(query, adviceOptions);
+};
+
+/**
+ * Translates a query to a parameterized SQL WHERE clause on a Postgres
+ * JSONB column, e.g. to serve the same filter from both stores:
+ * <pre>var sql = QueryBuilder.toSQL(query, {column: "doc"});
+ * client.query("SELECT * FROM items WHERE " + sql.where, sql.values);</pre>
+ * It covers equality, comparisons, $in, $nin, $all, $exists, $size,
+ * $not, $elemMatch, $and, $or, $nor, dotted paths and RegExps, e.g. of
+ * searches, with ~ or ~*. Other operators, e.g. $text, $where, $expr or
+ * the geospatial ones, are rejected. See lib/sql.js.
+ * @param {{}} query The query, e.g. from {@link QueryBuilder#build}().
+ * @param {{column: string, paramOffset: number, arrayFields: Array.<string>}} [sqlOptions]
+ * The JSONB column, by default "doc", the number of bind values before
+ * these ones, and the fields that may hold arrays, whose conditions
+ * match any of their elements.
+ * @returns {{where: string, values: Array.<string>}} the WHERE clause,
+ * without "WHERE", and its bind values, for $1, $2, etc.
+ */
+QueryBuilder.toSQL = function (query, sqlOptions) {
+    return sql.toSQL(query, sqlOptions);
+};
+
+/**
+ * Creates a query builder from a text filter, like:
+ * <pre>status in (open, pending) and (age >= 21 or vip = true) and name ~ "smi*"</pre>
+ * Comparisons (=, !=, >, >=, <, <=) map to {@link FieldQueryBuilder#is}(),
+ * lists (in, not in) to {@link FieldQueryBuilder#matchesAny}(), OR'ed
+ * parentheses to {@link QueryBuilder#either}() groups, not to
+ * {@link QueryBuilder#not}() groups, and ~ to
+ * {@link QueryBuilder#search}(). Values are always literals: numbers,
+ * true, false, null, quoted strings, or bare words as strings.
+ * @param {string} filter The text filter.
+ * @param {{}} [options] The query builder options, and:
+ * @param {Array.<string>|Object.<string, boolean|Array.<string>>} [options.fields]
+ * The allowed fields, or the allowed operators by field. By default,
+ * all fields are allowed.
+ * @param {Array.<string>} [options.operators] The allowed operators. By
+ * default, all are allowed.
+ * @returns {QueryBuilder} a new query builder with the filter applied.
+ */
+QueryBuilder.parse = function (filter, options) {
+    var tree = parser.parse(filter, options);
+    return parser.apply(new QueryBuilder(null, options), tree);
+};
+
+/**
+ * Creates a query builder from request query parameters, like
+ * ?age[gte]=21&status=open,closed&q=foo, as declared by a filter spec.
+ * See the params module for the spec entries.
+ * @param {{}} requestParams The request query parameters, e.g. req.query.
+ * @param {Object.<string, {}>} spec The filter spec, by parameter.
+ * @param {{}} [options] The query builder options.
+ * @returns {{builder: QueryBuilder, errors: Array.<{param: string, operator: string, value: *, code: string, message: string}>}}
+ * a new query builder with the valid parameters applied, and the
+ * errors for the invalid ones.
+ */
+QueryBuilder.fromParams = function (requestParams, spec, options) {
+    var builder = new QueryBuilder(null, options);
+    var errors = params.applyParams(builder, requestParams, spec);
+    return {builder: builder, errors: errors};
+};
+
+/**
+ * Creates an opaque cursor for a document, holding the values of
+ * the sort spec fields, which should be strings, numbers, booleans,
+ * Dates or ObjectIds.
+ * @param {{}} doc
+ * @param {Object.<string, number>} sort The sort spec.
+ * @returns {string} the cursor.
+ */
+QueryBuilder.encodeCursor = function (doc, sort) {
+    if (!dataUtils.isJSON(doc)) throw new errors.InvalidValueError("Invalid cursor document, should be a JSON: " + dataUtils.JSONstringify(doc));
+    var fields = Object.keys(_validateSort(sort));
+    var values = [];
+    var value;
+    for (var i = 0; i < fields.length; ++i) {
+        value = _getPathValue(doc, fields[i]);
+        if (value === undefined || value === null) throw new errors.InvalidValueError("Invalid cursor document, missing sort field: " + fields[i], {field: fields[i]});
+        if (!_isCursorValue(value)) throw new errors.InvalidValueError("Invalid cursor document, sort field should be a string, number, boolean, Date or ObjectId: " + fields[i], {field: fields[i]});
+        values.push(ejson.serialize(value));
+    }
+    return Buffer.from(JSON.stringify(values)).toString("base64");
+};
+
+/**
+ * Decodes the sort field values of a cursor. Cursors come from
+ * clients, so anything but strings, numbers, booleans, Dates and
+ * ObjectIds, e.g. operators like {$ne: null}, is rejected.
+ * @param {string} cursor A cursor from {@link QueryBuilder.encodeCursor}().
+ * @param {Object.<string, number>} sort The sort spec.
+ * @param {{createObjectId: function(string):*}} [options] Creates the
+ * ObjectIds, e.g. the ObjectId of the MongoDB driver. By default, they
+ * are decoded as hex strings, which do not match ObjectIds.
+ * @returns {Array.<*>} the values, in the order of the sort spec.
+ */
+QueryBuilder.decodeCursor = function (cursor, sort, options) {
+    var fields = Object.keys(_validateSort(sort));
+    var values;
+    try {
+        values = JSON.parse(Buffer.from(String(cursor), "base64").toString());
+        if (Array.isArray(values)) values = ejson.deserialize(values, options);
+    } catch (e) {
+        values = null;
+    }
+    if (!Array.isArray(values) || values.length != fields.length || !values.every(_isCursorValue)) {
+        throw new errors.InvalidValueError("Invalid cursor: " + dataUtils.JSONstringify(cursor));
+    }
+    return values;
+};
+
+/**
+ * Returns true for the values allowed in cursors: strings, numbers,
+ * booleans, Dates and ObjectIds.
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _isCursorValue(value) {
+    if (typeof value == "string" || typeof value == "boolean") return true;
+    if (typeof value == "number") return !isNaN(value);
+    if (value instanceof Date) return !isNaN(value.getTime());
+    return !!value && typeof value == "object" && typeof value.toHexString == "function";
+}
+
+/**
+ * Reverses a sort spec.
+ * @param {Object.<string, number>} sort The sort spec.
+ * @returns {Object.<string, number>} the reversed sort spec.
+ * @private
+ */
+function _reverseSort(sort) {
+    var reversed = {};
+    for (var field in sort) {
+        if (sort.hasOwnProperty(field)) reversed[field] = -sort[field];
+    }
+    return reversed;
+}
+
+/**
+ * Validates a sort spec.
+ * @param {Object.<string, number>} sort The sort spec.
+ * @returns {Object.<string, number>} the sort spec.
+ * @private
+ */
+function _validateSort(sort) {
+    if (!dataUtils.isJSON(sort) || !Object.keys(sort).length) throw new errors.InvalidValueError("Invalid sort, should be a non-empty JSON: " + dataUtils.JSONstringify(sort));
+    for (var field in sort) {
+        if (sort.hasOwnProperty(field) && sort[field] !== 1 && sort[field] !== -1) {
+            throw new errors.InvalidValueError("Invalid sort direction, should be 1 or -1: " + dataUtils.JSONstringify(sort));
+        }
+    }
+    return sort;
+}
+
+/**
+ * Returns the value of a dotted path in a document.
+ * @param {{}} doc
+ * @param {string} path
+ * @returns {*} the value, or undefined if missing.
+ * @private
+ */
+function _getPathValue(doc, path) {
+    var parts = path.split(".");
+    var value = doc;
+    for (var i = 0; i < parts.length && value !== undefined && value !== null; ++i) {
+        value = value[parts[i]];
+    }
+    return value;
+}
+
+/**
+ * Creates the OR'ed queries for the documents after (or before)
+ * the given sort field values. For example, for the sort spec
+ * {a: -1, b: 1} and the values [5, 7], the documents after are:
+ * <pre>[{a: {$lt: 5}}, {a: 5, b: {$gt: 7}}]</pre>
+ * @param {Object.<string, number>} sort The sort spec.
+ * @param {Array.<*>} values The sort field values.
+ * @param {boolean} reverse If true, creates the queries for the
+ * documents before.
+ * @returns {Array.<{}>} the queries.
+ * @private
+ */
+function _keysetQueries(sort, values, reverse) {
+    var fields = Object.keys(sort);
+    var queries = [];
+    var query, ascending, i, j;
+    for (i = 0; i < fields.length; ++i) {
+        query = {};
+        // equal on all the preceding fields
+        for (j = 0; j < i; ++j) {
+            query[fields[j]] = values[j];
+        }
+        ascending = (sort[fields[i]] == 1) != reverse;
+        query[fields[i]] = ascending ? {$gt: values[i]} : {$lt: values[i]};
+        queries.push(query);
+    }
+    return queries;
+}
+
+/**
+ * This builder helps create update expressions for a
+ * document field (path).
+ *
+ * @param {UpdateBuilder} parentBuilder The parent update builder.
+ * @param {string} path A field path in the target document.
+ * @constructor
+ */
+var FieldUpdateBuilder = function (parentBuilder, path) {
+    if (!dataUtils.isValidStr(path)) throw new errors.InvalidFieldError("Invalid field, should be a string: " + dataUtils.JSONstringify(path));
+
+    /**
+     * Sets the field to the value ($set). If set again, the
+     * last value wins.
+     * @param {*} value
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.set = function (value) {
+        return parentBuilder._update("$set", path, value);
+    };
+
+    /**
+     * Removes the field ($unset).
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.unset = function () {
+        return parentBuilder._update("$unset", path, "");
+    };
+
+    /**
+     * Increments the field by the amount ($inc). Repeated
+     * increments are summed up.
+     * @param {number} amount
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.inc = function (amount) {
+        if (typeof amount != "number") throw new errors.InvalidValueError("Invalid $inc amount, should be a number: " + dataUtils.JSONstringify(amount), {field: path, operator: "$inc"});
+        return parentBuilder._update("$inc", path, amount, function (a, b) {
+            return a + b;
+        });
+    };
+
+    /**
+     * Multiplies the field by the factor ($mul). Repeated
+     * multiplications are multiplied together.
+     * @param {number} factor
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.mul = function (factor) {
+        if (typeof factor != "number") throw new errors.InvalidValueError("Invalid $mul factor, should be a number: " + dataUtils.JSONstringify(factor), {field: path, operator: "$mul"});
+        return parentBuilder._update("$mul", path, factor, function (a, b) {
+            return a * b;
+        });
+    };
+
+    /**
+     * Updates the field only if the value is less than the
+     * current one ($min). Repeated calls keep the least value.
+     * @param {*} value
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.min = function (value) {
+        return parentBuilder._update("$min", path, value, function (a, b) {
+            var c = evaluator.compareValues(a, b);
+            if (c === null) throw new errors.QueryBuilderError("Conflicting update: $min on \"" + path + "\" with incomparable values", {code: "CONFLICTING_UPDATE", field: path, operator: "$min"});
+            return c <= 0 ? a : b;
+        });
+    };
+
+    /**
+     * Updates the field only if the value is greater than the
+     * current one ($max). Repeated calls keep the greatest value.
+     * @param {*} value
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.max = function (value) {
+        return parentBuilder._update("$max", path, value, function (a, b) {
+            var c = evaluator.compareValues(a, b);
+            if (c === null) throw new errors.QueryBuilderError("Conflicting update: $max on \"" + path + "\" with incomparable values", {code: "CONFLICTING_UPDATE", field: path, operator: "$max"});
+            return c >= 0 ? a : b;
+        });
+    };
+
+    /**
+     * Appends the value to the array field ($push).
+     * @param {*} value
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.push = function (value) {
+        return this.pushEach([value]);
+    };
+
+    /**
+     * Appends the values to the array field ($push with $each).
+     * Repeated pushes are appended to the same $each list, and
+     * must use the same modifiers.
+     * @param {Array.<*>} values
+     * @param {{}} [modifiers]
+     * @param {number} [modifiers.slice] Limits the array size after
+     * the push ($slice), e.g. -5 to keep the last five.
+     * @param {{}|number} [modifiers.sort] Sorts the array after the
+     * push ($sort), e.g. {score: -1}.
+     * @param {number} [modifiers.position] Inserts the values at this
+     * index ($position).
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.pushEach = function (values, modifiers) {
+        if (!Array.isArray(values)) throw new errors.InvalidValueError("Invalid $push values, should be an array: " + dataUtils.JSONstringify(values), {field: path, operator: "$push"});
+        modifiers = modifiers || {};
+
+        var push = {$each: values.slice()};
+        if (modifiers.hasOwnProperty("position")) push.$position = modifiers.position;
+        if (modifiers.hasOwnProperty("slice")) push.$slice = modifiers.slice;
+        if (modifiers.hasOwnProperty("sort")) push.$sort = modifiers.sort;
+        return parentBuilder._update("$push", path, push, function (a, b) {
+            var aModifiers = dataUtils.JSONstringify(_pushModifiers(a));
+            if (aModifiers != dataUtils.JSONstringify(_pushModifiers(b))) {
+                throw new errors.QueryBuilderError("Conflicting update: $push on \"" + path + "\" with different modifiers", {code: "CONFLICTING_UPDATE", field: path, operator: "$push"});
+            }
+            a.$each = a.$each.concat(b.$each);
+            return a;
+        });
+    };
+
+    /**
+     * Adds the value to the array field, unless already present
+     * ($addToSet).
+     * @param {*} value
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.addToSet = function (value) {
+        return this.addToSetEach([value]);
+    };
+
+    /**
+     * Adds the values to the array field, unless already present
+     * ($addToSet with $each). Repeated calls are merged into the
+     * same $each list.
+     * @param {Array.<*>} values
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.addToSetEach = function (values) {
+        if (!Array.isArray(values)) throw new errors.InvalidValueError("Invalid $addToSet values, should be an array: " + dataUtils.JSONstringify(values), {field: path, operator: "$addToSet"});
+
+        var each = [];
+        for (var i = 0; i < values.length; ++i) {
+            if (!dataUtils.arrayContainsValue(each, values[i])) each.push(values[i]);
+        }
+        return parentBuilder._update("$addToSet", path, {$each: each}, function (a, b) {
+            for (var i = 0; i < b.$each.length; ++i) {
+                if (!dataUtils.arrayContainsValue(a.$each, b.$each[i])) a.$each.push(b.$each[i]);
+            }
+            return a;
+        });
+    };
+
+    /**
+     * Removes the array elements matching the condition ($pull).
+     * Repeated pulls of values are merged into an $in list.
+     * @param {QueryBuilder|{}|*} condition A query builder, or query,
+     * to be matched by array elements that are documents; or an
+     * operator object, e.g. {$gte: 6}; or a value to be removed.
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.pull = function (condition) {
+        if (condition instanceof QueryBuilder) condition = condition.build();
+        return parentBuilder._update("$pull", path, condition, function (a, b) {
+            if (dataUtils.isJSON(a) && !(Object.keys(a).length == 1 && Array.isArray(a.$in)) ||
+                dataUtils.isJSON(b)) {
+                throw new errors.QueryBuilderError("Conflicting update: $pull on \"" + path + "\" with more than one condition", {code: "CONFLICTING_UPDATE", field: path, operator: "$pull"});
+            }
+            var values = dataUtils.isJSON(a) ? a.$in : [a];
+            if (!dataUtils.arrayContainsValue(values, b)) values.push(b);
+            return {$in: values};
+        });
+    };
+
+    /**
+     * Renames the field ($rename).
+     * @param {string} newPath The new field path.
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.rename = function (newPath) {
+        if (!dataUtils.isValidStr(newPath)) throw new errors.InvalidFieldError("Invalid field, should be a string: " + dataUtils.JSONstringify(newPath));
+        parentBuilder._checkPath(newPath, "$rename");
+        return parentBuilder._update("$rename", path, newPath);
+    };
+
+    /**
+     * Sets the field to the current date ($currentDate).
+     * @param {string} [type="date"] "date" or "timestamp".
+     * @returns {UpdateBuilder} the parent Builder. Use .andField()
+     * to chain further with this builder.
+     */
+    this.currentDate = function (type) {
+        if (type && type != "date" && type != "timestamp") throw new errors.InvalidValueError("Invalid $currentDate type, should be \"date\" or \"timestamp\": " + dataUtils.JSONstringify(type), {field: path, operator: "$currentDate"});
+        return parentBuilder._update("$currentDate", path, type == "timestamp" ? {$type: "timestamp"} : true);
+    };
+};
+
+/**
+ * The update builder class helps create update documents, in
+ * the same fluent style as {@link QueryBuilder}. Repeated
+ * operations on the same path are merged, and operations on
+ * conflicting paths, e.g. $set on "a" and $inc on "a.b", are
+ * rejected.
+ *
+ * @constructor
+ */
+var UpdateBuilder = function () {
+    var _updateBuilder = this;
+
+    /**
+     * The update document, by operator and path.
+     * @type {Object.<string, {}>}
+     * @private
+     */
+    var u = {};
+
+    /**
+     * The operator updating each path.
+     * @type {Object.<string, string>}
+     * @private
+     */
+    var _pathOperators = {};
+
+    /**
+     * The last {@link FieldUpdateBuilder} generated from the
+     * last {@link UpdateBuilder#field}() call.
+     * @type {FieldUpdateBuilder}
+     * @private
+     */
+    var _lastFieldUpdateBuilder;
+
+    /**
+     * Ensures that the path does not conflict with a path updated
+     * by another operator, or by the same one for another path.
+     * Paths conflict if they are the same, or one is a prefix of
+     * the other, e.g. "a" and "a.b".
+     * @param {string} path A field path in the target document.
+     * @param {string} operator e.g. "$set", "$inc", etc.
+     * @private
+     */
+    this._checkPath = function (path, operator) {
+        var paths = Object.keys(_pathOperators);
+        var p;
+        for (var i = 0; i < paths.length; ++i) {
+            p = paths[i];
+            if (p == path && _pathOperators[p] == operator && operator != "$rename") continue;
+            if (p == path || p.indexOf(path + ".") == 0 || path.indexOf(p + ".") == 0) {
+                throw new errors.QueryBuilderError("Conflicting update: " + operator + " on \"" + path + "\" conflicts with " +
+                _pathOperators[p] + " on \"" + p + "\"", {code: "CONFLICTING_UPDATE", field: path, operator: operator});
+            }
+        }
+        _pathOperators[path] = operator;
+    };
+
+    /**
+     * Adds an update operation on the path.
+     * @param {string} operator e.g. "$set", "$inc", etc.
+     * @param {string} path A field path in the target document.
+     * @param {*} value
+     * @param {function(*, *):*} [merge] Merges the existing value
+     * of the same operation on the same path with the new one. By
+     * default, the new value replaces the existing one.
+     * @returns {UpdateBuilder} this builder for further chaining.
+     * @private
+     */
+    this._update = function (operator, path, value, merge) {
+        _updateBuilder._checkPath(path, operator);
+
+        u[operator] = u[operator] || {};
+        u[operator][path] = merge && u[operator].hasOwnProperty(path) ?
+            merge(u[operator][path], value) : value;
+        return _updateBuilder;
+    };
+
+    /**
+     * Creates a new {@link FieldUpdateBuilder} to create update
+     * expressions for document fields.
+     *
+     * @param {string} path A field path in the target document.
+     * @returns {FieldUpdateBuilder} a new {@link FieldUpdateBuilder}.
+     */
+    this.field = function (path) {
+        return _lastFieldUpdateBuilder = new FieldUpdateBuilder(_updateBuilder, path);
+    };
+
+    /**
+     * Continue more update chaining with the last {@link FieldUpdateBuilder}
+     * generated from the last {@link UpdateBuilder#field}() call.
+     * @returns {FieldUpdateBuilder} the last {@link FieldUpdateBuilder}
+     * generated from the last {@link UpdateBuilder#field}() call.
+     */
+    this.andField = function () {
+        if (!_lastFieldUpdateBuilder) throw new errors.IllegalChainError("Illegal andField() call: Should be called only after field() was called!");
+        return _lastFieldUpdateBuilder;
+    };
+
+    /**
+     * Returns the final update document built, a copy that can be
+     * changed without changing the builder.
+     * @returns {{}} the final update document built.
+     */
+    this.build = function () {
+        var update = {};
+        var operators = Object.keys(u);
+        var paths, value;
+        for (var i = 0; i < operators.length; ++i) {
+            update[operators[i]] = {};
+            paths = Object.keys(u[operators[i]]);
+            for (var j = 0; j < paths.length; ++j) {
+                value = u[operators[i]][paths[j]];
+                // a single value needs no $each
+                if ((operators[i] == "$push" || operators[i] == "$addToSet") &&
+                    value.$each.length == 1 && Object.keys(value).length == 1) {
+                    value = value.$each[0];
+                }
+                // copied, so that changing the document does not change the builder
+                update[operators[i]][paths[j]] = _cloneQuery(value);
+            }
+        }
+        return update;
+    };
+};
+
+/**
+ * Returns the modifiers of a $push operation, i.e. all but $each.
+ * @param {{}} push The $push operation.
+ * @returns {{}} the modifiers.
+ * @private
+ */
+function _pushModifiers(push) {
+    var modifiers = {};
+    var keys = Object.keys(push).sort();
+    for (var i = 0; i < keys.length; ++i) {
+        if (keys[i] != "$each") modifiers[keys[i]] = push[keys[i]];
+    }
+    return modifiers;
+}
+
+/**
+ * The pipeline builder class helps create aggregation pipelines,
+ * reusing {@link QueryBuilder} queries for the $match stages.
+ * Adjacent $match stages are merged into one.
+ *
+ * @param {{}} [options] Query builder options, used while merging
+ * $match stages. See {@link QueryBuilder}.
+ * @constructor
+ */
+var PipelineBuilder = function (options) {
+    var _pipelineBuilder = this;
+
+    /**
+     * The pipeline stages.
+     * @type {Array.<{}>}
      * @private
      */
-    this._matchesAll = function (field, values) {
-        if (!dataUtils.isValidStr(field)) throw "Invalid field, should be a string: " + dataUtils.JSONstringify(field);
+    var _stages = [];
 
-        var queries = [];
-        var vq;
-        for (var i = 0; i < values.length; ++i) {
-            vq = {};
-            vq[field] = values[i];
-            if (!dataUtils.arrayContainsValue(queries, vq)) {
-                queries.push(vq);
-            }
-        }
+    /**
+     * Returns the operand of the last stage, if it is of the
+     * given type.
+     * @param {string} type e.g. "$match".
+     * @returns {*} the operand, or undefined.
+     * @private
+     */
+    function _lastStage(type) {
+        var last = _stages[_stages.length - 1];
+        return last && last.hasOwnProperty(type) ? last[type] : undefined;
+    }
 
-        _builder._and(queries);
-        return _builder;
+    /**
+     * Adds a stage to the pipeline.
+     * @param {{}} stage A stage, e.g. {$limit: 10}.
+     * @returns {PipelineBuilder} this builder for further chaining.
+     */
+    this.stage = function (stage) {
+        if (!dataUtils.isJSON(stage) || Object.keys(stage).length != 1) throw new errors.InvalidValueError("Invalid stage, should be a JSON with one key: " + dataUtils.JSONstringify(stage));
+        // copied, so that the stage can be changed, or merged into, without changing the caller's
+        _stages.push(_cloneQuery(stage));
+        return _pipelineBuilder;
     };
 
     /**
-     * Ensures that the field matches at least one of the values.
-     * @param {string} field A field in the target document.
-     * @param {Array.<{}>} values Array of values to be matched.
-     * @param {boolean} [addToExistingOr=false] If true, this will
-     * be added to the existing OR list ($in), if any.
-     * @returns {QueryBuilder} this builder for further chaining.
-     * @private
+     * Adds a $match stage, or merges it into the previous stage
+     * if that is a $match too.
+     * @param {QueryBuilder|{}} query A query builder, or a query.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this._matchesAny = function (field, values, addToExistingOr) {
-        if (!dataUtils.isValidStr(field)) throw "Invalid field, should be a string: " + dataUtils.JSONstringify(field);
+    this.match = function (query) {
+        if (query instanceof QueryBuilder) query = query.build();
+        if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid $match query, should be a JSON: " + dataUtils.JSONstringify(query));
+        // empty queries match everything
+        if (!Object.keys(query).length) return _pipelineBuilder;
 
-        if (values.length == 1 && !addToExistingOr) {
-            return _builder._matchesAll(field, values);
+        var previous = _lastStage("$match");
+        if (previous) {
+            _stages[_stages.length - 1].$match = _mergeMatchQueries(previous, query, options);
+            return _pipelineBuilder;
         }
+        return _pipelineBuilder.stage({$match: query});
+    };
 
-        // collect any existing 'or' values
-        var existingFieldValues;
-        if (addToExistingOr && q[field] && q[field].$in) {
-            existingFieldValues = q[field].$in;
-            // and delete them. We'll collate and add the $in again.
-            if (Object.keys(q[field]).length == 1) { // field: { $in: [] }
-                delete q[field];
-            } else { // field: { $in: [], prop1: something, ... }
-                delete q[field].$in;
-            }
-
-        } else {
-            existingFieldValues = [];
-        }
-        // add 'values' to the 'or' list
-        var v;
-        for (var i = 0; i < values.length; ++i) {
-            v = values[i];
-            if (!dataUtils.arrayContainsValue(existingFieldValues, v)) {
-                existingFieldValues.push(v);
-            }
-        }
-        // add the 'or' list to the actual query
-        if (existingFieldValues.length) {
-            _builder._compare(field, "$in", existingFieldValues);
-        }
+    /**
+     * Adds a $project stage.
+     * @param {{}} spec e.g. {name: 1, total: {$add: ["$a", "$b"]}}.
+     * @returns {PipelineBuilder} this builder for further chaining.
+     */
+    this.project = function (spec) {
+        if (!dataUtils.isJSON(spec)) throw new errors.InvalidValueError("Invalid $project, should be a JSON: " + dataUtils.JSONstringify(spec));
+        return _pipelineBuilder.stage({$project: spec});
+    };
 
-        return _builder;
+    /**
+     * Adds an $addFields stage.
+     * @param {{}} fields e.g. {total: {$add: ["$a", "$b"]}}.
+     * @returns {PipelineBuilder} this builder for further chaining.
+     */
+    this.addFields = function (fields) {
+        if (!dataUtils.isJSON(fields)) throw new errors.InvalidValueError("Invalid $addFields, should be a JSON: " + dataUtils.JSONstringify(fields));
+        return _pipelineBuilder.stage({$addFields: fields});
     };
 
     /**
-     * Ensures the comparison of the field with value.
-     * @param {string} field A field in the target document.
-     * @param {string} comparator e.g. "$gt", "$gte", etc.
-     * @param {*} value
-     * @private
+     * Adds a $group stage.
+     * @param {*} id The group key, e.g. "$status", or null to
+     * group all the documents together.
+     * @param {{}} [accumulators] Accumulated fields, e.g.
+     * {total: PipelineBuilder.sum("$price")}.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this._compare = function (field, comparator, value) {
-        if (!dataUtils.isValidStr(field)) throw "Invalid field, should be a string: " + dataUtils.JSONstringify(field);
-        if (!dataUtils.isValidStr(comparator)) throw "Invalid comparator, should be a string: " + dataUtils.JSONstringify(comparator);
+    this.group = function (id, accumulators) {
+        if (accumulators !== undefined && !dataUtils.isJSON(accumulators)) throw new errors.InvalidValueError("Invalid $group accumulators, should be a JSON: " + dataUtils.JSONstringify(accumulators));
+        var group = {_id: id === undefined ? null : id};
+        var fields = Object.keys(accumulators || {});
+        for (var i = 0; i < fields.length; ++i) {
+            if (fields[i] == "_id") throw new errors.InvalidValueError("Invalid $group accumulator field: _id");
+            group[fields[i]] = accumulators[fields[i]];
+        }
+        return _pipelineBuilder.stage({$group: group});
+    };
 
-        var cq = {};
-        cq[comparator] = value;
-        return _builder._matchesAll(field, [cq]);
+    /**
+     * Adds a $sort stage.
+     * @param {{}} spec e.g. {createdAt: -1, _id: 1}.
+     * @returns {PipelineBuilder} this builder for further chaining.
+     */
+    this.sort = function (spec) {
+        if (!dataUtils.isJSON(spec) || !Object.keys(spec).length) throw new errors.InvalidValueError("Invalid $sort, should be a non-empty JSON: " + dataUtils.JSONstringify(spec));
+        return _pipelineBuilder.stage({$sort: spec});
     };
 
     /**
-     * All other functions are by default ANDed. So
-     * this is just a helper function to improve
-     * readability of complex queries.
-     *
-     * @returns {QueryBuilder} this query builder.
+     * Adds a $skip stage.
+     * @param {number} count Number of documents to skip.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this.and = function () {
-        return _builder;
+    this.skip = function (count) {
+        if (!_isNonNegativeInteger(count)) throw new errors.InvalidValueError("Invalid $skip, should be a non-negative integer: " + dataUtils.JSONstringify(count));
+        return _pipelineBuilder.stage({$skip: count});
     };
 
     /**
-     * Creates a new {@link SearchQueryBuilder} to search fields using
-     * string queries.
-     *
-     * @param {string} queryStr Input string containing one or more
-     * space separated tokens.
-     * @param {boolean} [matchWithinWords=false] If true, matching is done anywhere.
-     * By default, matching is done only at word beginnings.
-     * @returns {SearchQueryBuilder} a new {@link SearchQueryBuilder}
+     * Adds a $limit stage.
+     * @param {number} count Maximum number of documents.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this.search = function (queryStr, matchWithinWords) {
-        return _lastSearchQueryBuilder = new SearchQueryBuilder(_builder, queryStr, matchWithinWords);
+    this.limit = function (count) {
+        if (!_isNonNegativeInteger(count) || !count) throw new errors.InvalidValueError("Invalid $limit, should be a positive integer: " + dataUtils.JSONstringify(count));
+        return _pipelineBuilder.stage({$limit: count});
     };
 
     /**
-     * Continue more query chaining with the last {@link SearchQueryBuilder}
-     * from the last {@link QueryBuilder#search}() call.
-     *
-     * @returns {SearchQueryBuilder} the last {@link SearchQueryBuilder}
-     * from the last {@link QueryBuilder#search}() call.
+     * Adds an $unwind stage.
+     * @param {string} path The array field, with or without the $ prefix.
+     * @param {{}} [options]
+     * @param {boolean} [options.preserveNullAndEmptyArrays=false] If
+     * true, documents without the array, or with an empty one, are kept.
+     * @param {string} [options.includeArrayIndex] Field to hold the
+     * array index of the element.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this.andSearch = function () {
-        if (!_lastSearchQueryBuilder) throw "Illegal andSearch() call: Should be called only after search() was called!";
-        return _lastSearchQueryBuilder;
+    this.unwind = function (path, options) {
+        if (!dataUtils.isValidStr(path)) throw new errors.InvalidValueError("Invalid $unwind path, should be a string: " + dataUtils.JSONstringify(path));
+        path = path.charAt(0) == "$" ? path : "$" + path;
+        if (!options) return _pipelineBuilder.stage({$unwind: path});
+
+        var unwind = {path: path};
+        if (options.preserveNullAndEmptyArrays) unwind.preserveNullAndEmptyArrays = true;
+        if (options.includeArrayIndex) unwind.includeArrayIndex = options.includeArrayIndex;
+        return _pipelineBuilder.stage({$unwind: unwind});
     };
 
     /**
-     * Creates a new {@link FieldQueryBuilder} to create queries
-     * for document fields.
-     *
-     * @param {string} field A field in the target document.
-     * @returns {FieldQueryBuilder} a new {@link FieldQueryBuilder}.
+     * Adds a $lookup stage, joining documents from another collection.
+     * @param {{}} spec
+     * @param {string} spec.from The collection to join.
+     * @param {string} spec.as The output array field.
+     * @param {string} [spec.localField] Field of the input documents,
+     * for equality joins.
+     * @param {string} [spec.foreignField] Field of the joined documents,
+     * for equality joins.
+     * @param {{}} [spec.let] Variables for the pipeline.
+     * @param {PipelineBuilder|Array.<{}>} [spec.pipeline] Pipeline to
+     * run on the joined documents.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this.field = function (field) {
-        return _lastFieldQueryBuilder = new FieldQueryBuilder(_builder, field);
+    this.lookup = function (spec) {
+        if (!dataUtils.isJSON(spec) || !dataUtils.isValidStr(spec.from) || !dataUtils.isValidStr(spec.as)) {
+            throw new errors.InvalidValueError("Invalid $lookup, should have from and as: " + dataUtils.JSONstringify(spec));
+        }
+        if (!spec.pipeline && !(dataUtils.isValidStr(spec.localField) && dataUtils.isValidStr(spec.foreignField))) {
+            throw new errors.InvalidValueError("Invalid $lookup, should have either localField and foreignField, or pipeline: " + dataUtils.JSONstringify(spec));
+        }
+
+        var lookup = {from: spec.from};
+        if (spec.localField) lookup.localField = spec.localField;
+        if (spec.foreignField) lookup.foreignField = spec.foreignField;
+        if (spec.let) lookup.let = spec.let;
+        if (spec.pipeline) lookup.pipeline = _toPipeline(spec.pipeline);
+        lookup.as = spec.as;
+        return _pipelineBuilder.stage({$lookup: lookup});
     };
 
     /**
-     * Continue more query chaining with the last {@link FieldQueryBuilder}
-     * generated from the last {@link QueryBuilder#field}() call.
-     * @returns {FieldQueryBuilder} the last {@link FieldQueryBuilder}
-     * generated from the last {@link QueryBuilder#field}() call.
+     * Adds a $facet stage, running several sub-pipelines on the
+     * same input documents.
+     * @param {Object.<string, PipelineBuilder|Array.<{}>>} facets
+     * Sub-pipelines by output field.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this.andField = function () {
-        if (!_lastFieldQueryBuilder) throw "Illegal andField() call: Should be called only after field() was called!";
-        return _lastFieldQueryBuilder;
+    this.facet = function (facets) {
+        if (!dataUtils.isJSON(facets) || !Object.keys(facets).length) throw new errors.InvalidValueError("Invalid $facet, should be a non-empty JSON: " + dataUtils.JSONstringify(facets));
+        var facet = {};
+        var names = Object.keys(facets);
+        for (var i = 0; i < names.length; ++i) {
+            facet[names[i]] = _toPipeline(facets[names[i]]);
+        }
+        return _pipelineBuilder.stage({$facet: facet});
     };
 
     /**
-     * Starts an OR query builder.
-     * @returns {ChildQueryBuilder} A new {@link ChildQueryBuilder} child in
-     * this OR group.
+     * Adds a $count stage.
+     * @param {string} field The output field to hold the count.
+     * @returns {PipelineBuilder} this builder for further chaining.
      */
-    this.either = function () {
-        if (_lastOrQueryBuilder) _builder.build();
-        _lastOrQueryBuilder = new OrQueryBuilder(_builder);
-        return _lastOrQueryBuilder.or();
+    this.count = function (field) {
+        if (!dataUtils.isValidStr(field) || field.charAt(0) == "$") throw new errors.InvalidValueError("Invalid $count field: " + dataUtils.JSONstringify(field));
+        return _pipelineBuilder.stage({$count: field});
     };
 
     /**
-     * Returns the final query object built.
-     * @returns {{}} the final query object built.
+     * Returns the final pipeline built, a copy that can be changed
+     * without changing the builder.
+     * @returns {Array.<{}>} the final pipeline built.
      */
     this.build = function () {
-        if (_lastOrQueryBuilder) {
-            _builder._or(_lastOrQueryBuilder.flush());
-        }
-        return q;
+        return _cloneQuery(_stages);
     };
 };
 
+/**
+ * Creates a $sum accumulator, e.g. PipelineBuilder.sum("$price"),
+ * or PipelineBuilder.sum(1) to count.
+ * @param {*} expression
+ * @returns {{$sum: *}}
+ */
+PipelineBuilder.sum = function (expression) {
+    return {$sum: expression};
+};
+/**
+ * Creates an $avg accumulator.
+ * @param {*} expression
+ * @returns {{$avg: *}}
+ */
+PipelineBuilder.avg = function (expression) {
+    return {$avg: expression};
+};
+/**
+ * Creates a $min accumulator.
+ * @param {*} expression
+ * @returns {{$min: *}}
+ */
+PipelineBuilder.min = function (expression) {
+    return {$min: expression};
+};
+/**
+ * Creates a $max accumulator.
+ * @param {*} expression
+ * @returns {{$max: *}}
+ */
+PipelineBuilder.max = function (expression) {
+    return {$max: expression};
+};
+/**
+ * Creates a $first accumulator.
+ * @param {*} expression
+ * @returns {{$first: *}}
+ */
+PipelineBuilder.first = function (expression) {
+    return {$first: expression};
+};
+/**
+ * Creates a $last accumulator.
+ * @param {*} expression
+ * @returns {{$last: *}}
+ */
+PipelineBuilder.last = function (expression) {
+    return {$last: expression};
+};
+/**
+ * Creates a $push accumulator.
+ * @param {*} expression
+ * @returns {{$push: *}}
+ */
+PipelineBuilder.push = function (expression) {
+    return {$push: expression};
+};
+/**
+ * Creates an $addToSet accumulator.
+ * @param {*} expression
+ * @returns {{$addToSet: *}}
+ */
+PipelineBuilder.addToSet = function (expression) {
+    return {$addToSet: expression};
+};
+/**
+ * Creates a $sum accumulator counting the documents.
+ * @returns {{$sum: number}}
+ */
+PipelineBuilder.count = function () {
+    return {$sum: 1};
+};
+
+/**
+ * Returns true if the value is a non-negative integer.
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _isNonNegativeInteger(value) {
+    return typeof value == "number" && value >= 0 && value % 1 === 0;
+}
+
+/**
+ * Returns the stages of a pipeline.
+ * @param {PipelineBuilder|Array.<{}>} pipeline A pipeline builder,
+ * or an array of stages.
+ * @returns {Array.<{}>} the stages.
+ * @private
+ */
+function _toPipeline(pipeline) {
+    if (pipeline instanceof PipelineBuilder) return pipeline.build();
+    if (!Array.isArray(pipeline)) throw new errors.InvalidValueError("Invalid pipeline, should be a PipelineBuilder or an array: " + dataUtils.JSONstringify(pipeline));
+    return pipeline;
+}
+
+/**
+ * ANDs two $match queries, merging them as much as possible,
+ * with any residues moved to $and.
+ * @param {{}} q1 first query
+ * @param {{}} q2 second query
+ * @param {{}} [options] The query builder options.
+ * @returns {{}} the merged query.
+ * @private
+ */
+function _mergeMatchQueries(q1, q2, options) {
+    var toBeMerged = [];
+    var queries = [q1, q2];
+    var query, key, i, j;
+    for (i = 0; i < queries.length; ++i) {
+        // the top-level fields, and each of the $and entries
+        query = {};
+        for (key in queries[i]) {
+            if (queries[i].hasOwnProperty(key) && key != "$and") query[key] = queries[i][key];
+        }
+        if (Object.keys(query).length) toBeMerged.push(query);
+        for (j = 0; queries[i].$and && j < queries[i].$and.length; ++j) {
+            if (!dataUtils.arrayContainsValue(toBeMerged, queries[i].$and[j])) toBeMerged.push(queries[i].$and[j]);
+        }
+    }
+
+    var mergedResult = _mergeManyQueryJSONs(toBeMerged, options);
+    var merged = mergedResult.shift();
+    if (mergedResult.length) merged.$and = mergedResult;
+    return merged;
+}
+
 
 /**
  * Merges two query JSONs, as much as possible, and returns
@@ -563,8 +3631,12 @@ var QueryBuilder = function (q) {
  * one common field with different values, that could not
  * be merged.
  * <p>Merging happens recursively across field values.
+ * Conditions on the same top-level field are simplified
+ * semantically, see {@link _normalizeFieldConditions}().
  * @param {{}} j1 first JSON
  * @param {{}} j2 second JSON
+ * @param {{}} [options] The query builder options.
+ * @param {boolean} [nested=false] true while merging field values.
  * @return {Array.<{}>} Array of JSONs, where the first
  * entry is the merged JSON, and an optional second
  * JSON is a residual JSON that has at least one field
@@ -572,7 +3644,7 @@ var QueryBuilder = function (q) {
  * that could not be merged.
  * @private
  */
-function _mergeQueryJSONs(j1, j2) {
+function _mergeQueryJSONs(j1, j2, options, nested) {
     // if same, return one
     if (dataUtils.deepEquals(j1, j2)) {
         return [j1];
@@ -599,7 +3671,7 @@ function _mergeQueryJSONs(j1, j2) {
     var j1Keys = Object.keys(j1).sort();
     var j2Keys = Object.keys(j2).sort();
 
-    var i, j, key, mergedChildren;
+    var i, key, mergedChildren, normalized;
     // merge j1 properties
     for (i = 0; i < j1Keys.length; ++i) {
         key = j1Keys[i];
@@ -609,18 +3681,31 @@ function _mergeQueryJSONs(j1, j2) {
         }
         // merge keys present in both the JSONs
         else {
-            // combine $in operators for the same field
-            if (j1[key].$in && j2[key].$in) {
-                for (j = 0; j < j2[key].$in.length; ++j) {
-                    if (j1[key].$in.indexOf(j2[key].$in[j]) < 0) {
-                        j1[key].$in.push(j2[key].$in[j]);
-                    }
-                }
-                delete j2[key].$in;
+            // simplify conditions on the same field, e.g. tighten
+            // ranges and intersect $in lists
+            normalized = !nested && key.charAt(0) != "$" && _isScalarField(key, options) ?
+                _normalizeFieldConditions([j1[key], j2[key]]) : null;
+            if (normalized && !normalized.unsatisfiable) {
+                merged[key] = normalized.condition;
+                continue;
+            }
+            // contradicting conditions are kept as they are
+            if (normalized) {
+                merged[key] = j1[key];
+                residue[key] = j2[key];
+                continue;
+            }
+
+            // each $elemMatch may be matched by a different element,
+            // and geospatial and $expr operands are whole
+            if (_ATOMIC_OPERATORS.indexOf(key) >= 0) {
+                merged[key] = j1[key];
+                residue[key] = j2[key];
+                continue;
             }
 
             // merge remaining operators
-            mergedChildren = _mergeQueryJSONs(j1[key], j2[key]);
+            mergedChildren = _mergeQueryJSONs(j1[key], j2[key], options, true);
             if (mergedChildren.length > 0) merged[key] = mergedChildren[0];
             if (mergedChildren.length > 1) residue[key] = mergedChildren[1];
         }
@@ -646,32 +3731,311 @@ function _mergeQueryJSONs(j1, j2) {
  * <p>Merging happens recursively across field values.
  * @param {Array.<{}>} jsonArray Array of JSONs to be
  * merged.
+ * @param {{}} [options] The query builder options.
  * @return {Array.<{}>} Array of JSONs, where the first
  * entry is the merged JSON, and the remaining optional
  * JSONs are residues that have at least field common,
  * but with a different value that could not be merged.
  * @private
  */
-function _mergeManyQueryJSONs(jsonArray) {
+function _mergeManyQueryJSONs(jsonArray, options) {
     if (!jsonArray.length || jsonArray.length == 1) return jsonArray;
 
     var merged = jsonArray[0];
     var residues = [];
     var mergedResult;
     for (var i = 1; i < jsonArray.length; ++i) {
-        mergedResult = _mergeQueryJSONs(merged, jsonArray[i]);
+        mergedResult = _mergeQueryJSONs(merged, jsonArray[i], options);
         merged = mergedResult[0];
         if (mergedResult.length == 2) residues.push(mergedResult[1]);
     }
     // merge the residues recursively
-    residues = _mergeManyQueryJSONs(residues);
+    residues = _mergeManyQueryJSONs(residues, options);
     // done. Add merged as first, and return.
     residues.unshift(merged);
     return residues;
 }
 
+/**
+ * Operators that {@link _normalizeFieldConditions}() can simplify.
+ * @type {Array.<string>}
+ * @private
+ */
+var _NORMALIZABLE_OPERATORS = ["$eq", "$ne", "$in", "$nin", "$gt", "$gte", "$lt", "$lte"];
+
+/**
+ * Operators whose operands are never merged, but kept as they are
+ * when ANDed.
+ * @type {Array.<string>}
+ * @private
+ */
+var _ATOMIC_OPERATORS = ["$elemMatch", "$geoWithin", "$geoIntersects", "$near", "$nearSphere", "$expr"];
+
+/**
+ * Returns true if the field never holds arrays, as per the
+ * options.scalarFields or options.schema query builder options, and
+ * is not in options.arrayFields.
+ * @param {string} field
+ * @param {{}} [options] The query builder options.
+ * @returns {boolean}
+ * @private
+ */
+function _isScalarField(field, options) {
+    if (!options || (options.arrayFields && options.arrayFields.indexOf(field) >= 0)) return false;
+    if (options.scalarFields && options.scalarFields.indexOf(field) >= 0) return true;
+    return !!options.schema && schema.isScalar(options.schema, field);
+}
+
+/**
+ * Returns true if the array contains the value, comparing Dates
+ * by time and everything else deeply.
+ * @param {Array.<*>} array
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _containsValue(array, value) {
+    for (var i = 0; i < array.length; ++i) {
+        if (evaluator.valuesEqual(array[i], value)) return true;
+    }
+    return false;
+}
+
+/**
+ * Tightens a range bound with another one.
+ * @param {null|{value:*, inclusive:boolean}} bound The current bound.
+ * @param {{value:*, inclusive:boolean}} other The other bound.
+ * @param {boolean} isLower true for lower bounds, false for upper.
+ * @returns {null|{value:*, inclusive:boolean}} the tighter bound,
+ * or null if the bounds are of different types, which no single
+ * value can satisfy.
+ * @private
+ */
+function _tightenBound(bound, other, isLower) {
+    if (!bound) return other;
+    var c = evaluator.compareValues(other.value, bound.value);
+    if (c === null) return null;
+    if (c == 0) return {value: bound.value, inclusive: bound.inclusive && other.inclusive};
+    return (isLower ? c > 0 : c < 0) ? other : bound;
+}
+
+/**
+ * Checks a value against a range bound.
+ * @param {*} value
+ * @param {null|{value:*, inclusive:boolean}} bound
+ * @param {boolean} isLower true for lower bounds, false for upper.
+ * @returns {boolean}
+ * @private
+ */
+function _isWithinBound(value, bound, isLower) {
+    if (!bound) return true;
+    var c = evaluator.compareValues(value, bound.value);
+    if (c === null) return false;
+    return c == 0 ? bound.inclusive : isLower ? c > 0 : c < 0;
+}
+
+/**
+ * Returns the condition that matches exactly the given value.
+ * @param {*} value
+ * @returns {*}
+ * @private
+ */
+function _equalityCondition(value) {
+    // values that look like operators need an explicit $eq
+    return evaluator.isOperatorObject(value) ? {$eq: value} : value;
+}
+
+/**
+ * Simplifies conditions ANDed on the same field into one, as far
+ * as they use only $eq, $ne, $in, $nin, $gt, $gte, $lt and $lte,
+ * for fields that hold a single value, see {@link _isScalarField}(). It intersects $in
+ * lists, merges $ne and $nin lists, tightens repeated bounds into
+ * one range and drops the clauses made redundant by the others.
+ * <p>For example, the conditions:
+ * <pre>[{$gt: 1, $lt: 10}, {$gte: 5, $nin: [2, 7]}, {$lte: 8}]</pre>
+ * are simplified to:
+ * <pre>{$gte: 5, $lte: 8, $ne: 7}</pre>
+ * @param {Array.<*>} conditions Field conditions, either operator
+ * objects or values to be matched.
+ * @returns {null|{condition:*}|{unsatisfiable:boolean}} the
+ * simplified condition; or unsatisfiable as true if no value can
+ * satisfy all the conditions; or null if the conditions could not
+ * be simplified, e.g. when using other operators or RegExps.
+ * @private
+ */
+function _normalizeFieldConditions(conditions) {
+    var UNSATISFIABLE = {unsatisfiable: true};
+    var eqs = [];
+    var ins = null;
+    var nins = [];
+    var hasNinOperator = false;
+    var lower = null;
+    var upper = null;
+
+    var i, j, condition, operators, operator, value;
+    for (i = 0; i < conditions.length; ++i) {
+        condition = conditions[i];
+        if (condition instanceof RegExp || Array.isArray(condition)) return null;
+        if (!evaluator.isOperatorObject(condition)) {
+            if (!_containsValue(eqs, condition)) eqs.push(condition);
+            continue;
+        }
+        operators = Object.keys(condition);
+        for (j = 0; j < operators.length; ++j) {
+            operator = operators[j];
+            value = condition[operator];
+            if (_NORMALIZABLE_OPERATORS.indexOf(operator) < 0 || value instanceof RegExp) return null;
+            switch (operator) {
+                case "$eq":
+                    if (Array.isArray(value)) return null;
+                    if (!_containsValue(eqs, value)) eqs.push(value);
+                    break;
+                case "$ne":
+                    if (!_containsValue(nins, value)) nins.push(value);
+                    break;
+                case "$nin":
+                    if (!Array.isArray(value)) return null;
+                    hasNinOperator = true;
+                    for (var k = 0; k < value.length; ++k) {
+                        if (!_containsValue(nins, value[k])) nins.push(value[k]);
+                    }
+                    break;
+                case "$in":
+                    if (!Array.isArray(value)) return null;
+                    for (var l = 0; l < value.length; ++l) {
+                        if (value[l] instanceof RegExp) return null;
+                    }
+                    ins = !ins ? value.slice() : ins.filter(function (v) {
+                        return _containsValue(value, v);
+                    });
+                    break;
+                case "$gt":
+                case "$gte":
+                    lower = _tightenBound(lower, {value: value, inclusive: operator == "$gte"}, true);
+                    if (!lower) return UNSATISFIABLE;
+                    break;
+                default: // $lt, $lte
+                    upper = _tightenBound(upper, {value: value, inclusive: operator == "$lte"}, false);
+                    if (!upper) return UNSATISFIABLE;
+            }
+        }
+    }
+
+    // an empty range, or a range of exactly one value
+    if (lower && upper) {
+        var c = evaluator.compareValues(lower.value, upper.value);
+        if (c === null || c > 0 || (c == 0 && !(lower.inclusive && upper.inclusive))) return UNSATISFIABLE;
+        if (c == 0 && !_containsValue(eqs, lower.value)) eqs.push(lower.value);
+    }
+    if (eqs.length > 1) return UNSATISFIABLE;
+
+    function satisfiesAll(v) {
+        return !_containsValue(nins, v) && (!ins || _containsValue(ins, v)) &&
+            _isWithinBound(v, lower, true) && _isWithinBound(v, upper, false);
+    }
+
+    // an exact value makes every other clause redundant
+    if (eqs.length == 1) {
+        return satisfiesAll(eqs[0]) ? {condition: _equalityCondition(eqs[0])} : UNSATISFIABLE;
+    }
+    // so does a list of exact values
+    if (ins) {
+        ins = ins.filter(satisfiesAll);
+        if (!ins.length) return UNSATISFIABLE;
+        return {condition: ins.length == 1 ? _equalityCondition(ins[0]) : {$in: ins}};
+    }
+
+    var result = {};
+    if (lower) result[lower.inclusive ? "$gte" : "$gt"] = lower.value;
+    if (upper) result[upper.inclusive ? "$lte" : "$lt"] = upper.value;
+    // excluded values out of the range are redundant
+    if (lower || upper) {
+        nins = nins.filter(function (v) {
+            return _isWithinBound(v, lower, true) && _isWithinBound(v, upper, false);
+        });
+    }
+    if (nins.length == 1 && !hasNinOperator) result.$ne = nins[0];
+    else if (nins.length) result.$nin = nins;
+    return {condition: result};
+}
+
+/**
+ * Collects the given query and all the queries ANDed to it
+ * through $and, recursively.
+ * @param {{}} query
+ * @param {Array.<{}>} [collected] The array to collect into.
+ * @returns {Array.<{}>} the collected queries.
+ * @private
+ */
+function _collectAndedQueries(query, collected) {
+    collected = collected || [];
+    collected.push(query);
+    if (Array.isArray(query.$and)) {
+        for (var i = 0; i < query.$and.length; ++i) {
+            _collectAndedQueries(query.$and[i], collected);
+        }
+    }
+    return collected;
+}
+
+/**
+ * Checks whether a query can never match any document, e.g. if it
+ * has both {a: 1} and {a: 2} for a scalar field, see
+ * {@link _isScalarField}(), or if all the branches of an $or can
+ * never match.
+ * @param {{}} query
+ * @param {{}} [options] The query builder options.
+ * @returns {boolean} true if the query can never match.
+ * @private
+ */
+function _isQueryUnsatisfiable(query, options) {
+    var queries = _collectAndedQueries(query);
+    var fieldConditions = {};
+    var i, j, keys, key;
+    for (i = 0; i < queries.length; ++i) {
+        keys = Object.keys(queries[i]);
+        for (j = 0; j < keys.length; ++j) {
+            key = keys[j];
+            if (key == "$or") {
+                if (queries[i].$or.every(function (branch) {
+                        return _isQueryUnsatisfiable(branch, options);
+                    })) {
+                    return true;
+                }
+            }
+            else if (key.charAt(0) != "$" && _isScalarField(key, options)) {
+                fieldConditions[key] = fieldConditions[key] || [];
+                fieldConditions[key].push(queries[i][key]);
+            }
+        }
+    }
+
+    var fields = Object.keys(fieldConditions);
+    var normalized;
+    for (i = 0; i < fields.length; ++i) {
+        normalized = _normalizeFieldConditions(fieldConditions[fields[i]]);
+        if (normalized && normalized.unsatisfiable) return true;
+    }
+    return false;
+}
+
 module.exports = {
     QueryBuilder: QueryBuilder,
     FieldQueryBuilder: FieldQueryBuilder,
-    SearchQueryBuilder: SearchQueryBuilder
+    SearchQueryBuilder: SearchQueryBuilder,
+    TextSearchQueryBuilder: TextSearchQueryBuilder,
+    UpdateBuilder: UpdateBuilder,
+    FieldUpdateBuilder: FieldUpdateBuilder,
+    PipelineBuilder: PipelineBuilder,
+    ExprQueryBuilder: ExprQueryBuilder,
+    geo: geo,
+    expr: expr,
+    matches: evaluator.matches,
+    QueryBuilderError: errors.QueryBuilderError,
+    InvalidFieldError: errors.InvalidFieldError,
+    InvalidOperatorError: errors.InvalidOperatorError,
+    InvalidValueError: errors.InvalidValueError,
+    IllegalChainError: errors.IllegalChainError,
+    FilterSyntaxError: errors.FilterSyntaxError,
+    QueryValidationError: errors.QueryValidationError
 };
\ No newline at end of file
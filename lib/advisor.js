@@ -0,0 +1,403 @@
+/**
+ * Analyzes queries, with their sort and projection, for index
+ * guidance: the compound index to create, following the
+ * equality-sort-range (ESR) order, the clauses that cannot use an
+ * index, and the existing indexes that fit.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+var evaluator = require('./evaluator');
+
+/**
+ * Operators that can use an index only poorly or not at all.
+ * @type {Array.<string>}
+ * @private
+ */
+var _UNINDEXABLE_OPERATORS = ["$mod", "$size", "$type", "$where", "$expr", "$function"];
+
+/**
+ * Creates a warning.
+ * @param {string} code
+ * @param {?string} field
+ * @param {string} message
+ * @returns {{code: string, field: ?string, message: string}} the warning.
+ * @private
+ */
+function _warning(code, field, message) {
+    return {code: code, field: field, message: message};
+}
+
+/**
+ * Returns true if a RegExp can use an index as a range, i.e. it is
+ * anchored at the beginning, case sensitive, and not an alternation.
+ * @param {RegExp} regExp
+ * @returns {boolean}
+ * @private
+ */
+function _isPrefixRegex(regExp) {
+    return /^\^[^|]/.test(regExp.source) && !regExp.ignoreCase && regExp.source.indexOf("|") < 0;
+}
+
+/**
+ * Collects the conditions of a query ANDed at the top level, by kind.
+ * @param {{}} query
+ * @param {string} prefix The path prefix, for $elemMatch conditions.
+ * @param {{equality: Array.<string>, range: Array.<string>, ors: Array.<{branches: Array.<{}>, prefix: string}>, warnings: Array.<{}>}} analysis
+ * The analysis to add to. The $or branches keep their path prefix.
+ * @private
+ */
+function _collect(query, prefix, analysis) {
+    var keys = Object.keys(query);
+    var i, key;
+    for (i = 0; i < keys.length; ++i) {
+        key = keys[i];
+        switch (key) {
+            case "$and":
+                for (var j = 0; j < query.$and.length; ++j) _collect(query.$and[j], prefix, analysis);
+                break;
+            case "$or":
+                analysis.ors.push({branches: query.$or, prefix: prefix});
+                break;
+            case "$nor":
+                analysis.warnings.push(_warning("negation", null, "$nor cannot use an index to narrow down the documents"));
+                break;
+            case "$text":
+                analysis.warnings.push(_warning("text_search", null, "$text needs a text index, which is used instead of the suggested one"));
+                break;
+            default:
+                if (key.charAt(0) == "$") {
+                    analysis.warnings.push(_warning("unindexable_operator", null, key + " cannot use an index"));
+                } else {
+                    _collectCondition(prefix + key, query[key], analysis);
+                }
+        }
+    }
+}
+
+/**
+ * Collects the condition on a field.
+ * @param {string} field
+ * @param {*} condition
+ * @param {{}} analysis The analysis to add to.
+ * @private
+ */
+function _collectCondition(field, condition, analysis) {
+    if (condition instanceof RegExp) {
+        _collectRegex(field, condition, analysis);
+        return;
+    }
+    if (!evaluator.isOperatorObject(condition)) {
+        _add(analysis.equality, field);
+        return;
+    }
+
+    var operators = Object.keys(condition);
+    var operator, operand;
+    for (var i = 0; i < operators.length; ++i) {
+        operator = operators[i];
+        operand = condition[operator];
+        switch (operator) {
+            case "$eq":
+            case "$in":
+            case "$all":
+                if (operator == "$eq" || !Array.isArray(operand) || !_hasRegex(operand)) _add(analysis.equality, field);
+                else analysis.warnings.push(_warning("unanchored_regex", field, operator + " with RegExps on " + field + " scans the index"));
+                break;
+            case "$gt":
+            case "$gte":
+            case "$lt":
+            case "$lte":
+                _add(analysis.range, field);
+                break;
+            case "$regex":
+                _collectRegex(field, operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || ""), analysis);
+                break;
+            case "$options":
+                break;
+            case "$exists":
+                if (operand) _add(analysis.range, field);
+                else analysis.warnings.push(_warning("negation", field, "$exists: false on " + field + " cannot use an index selectively"));
+                break;
+            case "$ne":
+            case "$nin":
+            case "$not":
+                analysis.warnings.push(_warning("negation", field, operator + " on " + field + " cannot use an index selectively"));
+                break;
+            case "$elemMatch":
+                if (evaluator.isOperatorObject(operand) && !operand.$and && !operand.$or && !operand.$nor) {
+                    _collectCondition(field, operand, analysis);
+                } else {
+                    _collect(operand, field + ".", analysis);
+                }
+                break;
+            default:
+                if (_UNINDEXABLE_OPERATORS.indexOf(operator) >= 0) {
+                    analysis.warnings.push(_warning("unindexable_operator", field, operator + " on " + field + " cannot use an index selectively"));
+                } else {
+                    // e.g. geospatial operators, which need their own indexes
+                    _add(analysis.range, field);
+                }
+        }
+    }
+}
+
+/**
+ * Collects a RegExp condition on a field.
+ * @param {string} field
+ * @param {RegExp} regExp
+ * @param {{}} analysis The analysis to add to.
+ * @private
+ */
+function _collectRegex(field, regExp, analysis) {
+    if (_isPrefixRegex(regExp)) {
+        _add(analysis.range, field);
+    } else {
+        analysis.warnings.push(_warning("unanchored_regex", field, "The RegExp on " + field +
+            " is not anchored with ^ or is case insensitive, e.g. a search, so it scans the whole index or collection"));
+    }
+}
+
+/**
+ * Returns true if a list holds a RegExp that cannot use an index.
+ * @param {Array.<*>} values
+ * @returns {boolean}
+ * @private
+ */
+function _hasRegex(values) {
+    for (var i = 0; i < values.length; ++i) {
+        if (values[i] instanceof RegExp && !_isPrefixRegex(values[i])) return true;
+    }
+    return false;
+}
+
+/**
+ * Adds a field to a list, unless already in it.
+ * @param {Array.<string>} fields
+ * @param {string} field
+ * @private
+ */
+function _add(fields, field) {
+    if (fields.indexOf(field) < 0) fields.push(field);
+}
+
+/**
+ * Creates the index keys for the conditions and the sort, in the
+ * equality-sort-range order.
+ * @param {{equality: Array.<string>, range: Array.<string>}} analysis
+ * @param {Object.<string, number>} sort
+ * @returns {?Object.<string, number>} the index keys, or null if none.
+ * @private
+ */
+function _esrKeys(analysis, sort) {
+    var keys = {};
+    var i;
+    for (i = 0; i < analysis.equality.length; ++i) keys[analysis.equality[i]] = 1;
+    for (var field in sort) {
+        if (sort.hasOwnProperty(field) && !keys.hasOwnProperty(field)) keys[field] = sort[field];
+    }
+    for (i = 0; i < analysis.range.length; ++i) {
+        if (!keys.hasOwnProperty(analysis.range[i])) keys[analysis.range[i]] = 1;
+    }
+    return Object.keys(keys).length ? keys : null;
+}
+
+/**
+ * Returns the sort keys that can be taken from an index, i.e. without
+ * $meta sorts.
+ * @param {Object.<string, *>} [sort]
+ * @returns {Object.<string, number>} the sort keys.
+ * @private
+ */
+function _indexableSort(sort) {
+    var result = {};
+    for (var field in sort) {
+        if (sort.hasOwnProperty(field) && (sort[field] === 1 || sort[field] === -1)) result[field] = sort[field];
+    }
+    return result;
+}
+
+/**
+ * Checks how well an existing index fits the conditions and the sort.
+ * @param {Object.<string, number>} keys The index keys.
+ * @param {{equality: Array.<string>, range: Array.<string>}} analysis
+ * @param {Object.<string, number>} sort
+ * @returns {{usable: boolean, equality: number, sortCovered: boolean, range: number}}
+ * whether the index can be used, the number of equality fields in its
+ * prefix, whether it gives the sort order, and the number of range
+ * fields after those.
+ * @private
+ */
+function _fit(keys, analysis, sort) {
+    var indexFields = Object.keys(keys);
+    var sortFields = Object.keys(sort);
+    var i = 0;
+    var equality = 0;
+    while (i < indexFields.length && analysis.equality.indexOf(indexFields[i]) >= 0) {
+        ++equality;
+        ++i;
+    }
+
+    // the sort fields, in order, all in the same or the reverse direction
+    var sortCovered = !sortFields.length;
+    if (sortFields.length) {
+        var direction = 0;
+        var j = 0;
+        var k = i;
+        while (j < sortFields.length && k < indexFields.length) {
+            if (indexFields[k] == sortFields[j]) {
+                var d = keys[indexFields[k]] == sort[sortFields[j]] ? 1 : -1;
+                if (direction && d != direction) break;
+                direction = d;
+                ++j;
+                ++k;
+            } else if (analysis.equality.indexOf(sortFields[j]) >= 0) {
+                // sorting by a field matched for equality is free
+                ++j;
+            } else {
+                break;
+            }
+        }
+        while (j < sortFields.length && analysis.equality.indexOf(sortFields[j]) >= 0) ++j;
+        sortCovered = j == sortFields.length;
+        if (sortCovered) i = k;
+    }
+
+    var range = 0;
+    while (i < indexFields.length && analysis.range.indexOf(indexFields[i]) >= 0) {
+        ++range;
+        ++i;
+    }
+    return {
+        usable: equality > 0 || range > 0 || (sortFields.length > 0 && sortCovered),
+        equality: equality,
+        sortCovered: sortCovered,
+        range: range
+    };
+}
+
+/**
+ * Finds the existing index that fits the conditions and the sort best.
+ * @param {Array.<{}>} indexes The existing indexes, as index keys or as
+ * index specs with key and name.
+ * @param {{equality: Array.<string>, range: Array.<string>}} analysis
+ * @param {Object.<string, number>} sort
+ * @returns {?{key: Object.<string, number>, name: ?string, sortCovered: boolean}}
+ * the index, with whether it gives the sort order, or null if none is
+ * usable.
+ * @private
+ */
+function _bestIndex(indexes, analysis, sort) {
+    var best = null;
+    var bestFit, fit, keys;
+    for (var i = 0; i < indexes.length; ++i) {
+        if (!dataUtils.isJSON(indexes[i])) throw new errors.InvalidValueError("Invalid index, should be a JSON: " + dataUtils.JSONstringify(indexes[i]));
+        keys = dataUtils.isJSON(indexes[i].key) ? indexes[i].key : indexes[i];
+        fit = _fit(keys, analysis, sort);
+        if (!fit.usable) continue;
+        if (!best || fit.equality > bestFit.equality ||
+            (fit.equality == bestFit.equality && (fit.sortCovered && !bestFit.sortCovered ||
+                (fit.sortCovered == bestFit.sortCovered && fit.range > bestFit.range)))) {
+            best = {key: keys, name: indexes[i].name || null, sortCovered: fit.sortCovered};
+            bestFit = fit;
+        }
+    }
+    return best;
+}
+
+/**
+ * Checks whether a projection is covered by index keys, i.e. the
+ * query can be answered from the index alone.
+ * @param {{}} projection
+ * @param {Object.<string, number>} keys
+ * @returns {boolean}
+ * @private
+ */
+function _isCovered(projection, keys) {
+    var fields = Object.keys(projection);
+    if (!fields.length) return false;
+    var hasId = !projection.hasOwnProperty("_id") || projection._id;
+    if (hasId && !keys.hasOwnProperty("_id")) return false;
+    for (var i = 0; i < fields.length; ++i) {
+        if (fields[i] == "_id") continue;
+        if (!projection[fields[i]] || !keys.hasOwnProperty(fields[i])) return false;
+    }
+    return true;
+}
+
+/**
+ * Analyzes a query for index guidance.
+ * <p>For example, the query and sort:
+ * <pre>{status: "open", age: {$gte: 21}}, {createdAt: -1}</pre>
+ * get the suggested index:
+ * <pre>{status: 1, createdAt: -1, age: 1}</pre>
+ * i.e. the fields matched for equality, then the sort fields, then
+ * the fields matched by ranges. Each $or branch needs an index of its
+ * own, so they get their own suggestions.
+ * @param {{}} query The query, e.g. from {@link QueryBuilder#build}().
+ * @param {{}} [options]
+ * @param {Object.<string, *>} [options.sort] The sort spec.
+ * @param {{}} [options.projection] The projection, to check whether the
+ * suggested index covers the query.
+ * @param {Array.<{}>} [options.indexes] The existing indexes, either as
+ * index keys, like {status: 1}, or as index specs, like
+ * {key: {status: 1}, name: "status_1"}, to find the best fit among.
+ * @returns {{index: ?Object.<string, number>, orIndexes: Array.<?Object.<string, number>>,
+ * warnings: Array.<{code: string, field: ?string, message: string}>,
+ * existingIndex: (undefined|null|{key: {}, name: ?string, sortCovered: boolean}),
+ * covered: (undefined|boolean)}}
+ * the suggested index, the indexes suggested for the $or branches,
+ * warnings with the codes unanchored_regex, negation,
+ * unindexable_operator, text_search, or_branch_unindexed,
+ * in_memory_sort and no_usable_index, the best fit of the existing
+ * indexes, if given, and whether the suggested index covers the
+ * projection, if given.
+ */
+function advise(query, options) {
+    if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid query, should be a JSON: " + dataUtils.JSONstringify(query));
+    options = options || {};
+    if (options.sort !== undefined && !dataUtils.isJSON(options.sort)) throw new errors.InvalidValueError("Invalid sort, should be a JSON: " + dataUtils.JSONstringify(options.sort));
+    if (options.indexes !== undefined && !Array.isArray(options.indexes)) throw new errors.InvalidValueError("Invalid indexes, should be an array: " + dataUtils.JSONstringify(options.indexes));
+
+    var sort = _indexableSort(options.sort);
+    var analysis = {equality: [], range: [], ors: [], warnings: []};
+    _collect(query, "", analysis);
+
+    var result = {
+        index: _esrKeys(analysis, sort),
+        orIndexes: [],
+        warnings: analysis.warnings
+    };
+
+    // each $or branch is a separate index scan, unless the ANDed fields narrow down enough
+    var i, j, branch, branchIndex;
+    var narrowed = analysis.equality.length > 0 || analysis.range.length > 0;
+    for (i = 0; i < analysis.ors.length; ++i) {
+        for (j = 0; j < analysis.ors[i].branches.length; ++j) {
+            branch = {equality: [], range: [], ors: [], warnings: result.warnings};
+            _collect(analysis.ors[i].branches[j], analysis.ors[i].prefix, branch);
+            branchIndex = _esrKeys(branch, {});
+            result.orIndexes.push(branchIndex);
+            if (!branchIndex && !narrowed) {
+                result.warnings.push(_warning("or_branch_unindexed", null, "The $or branch " + dataUtils.JSONstringify(analysis.ors[i].branches[j]) +
+                    " has no indexable field, so the whole $or scans the collection"));
+            }
+        }
+    }
+
+    if (options.indexes) {
+        result.existingIndex = _bestIndex(options.indexes, analysis, sort);
+        if (!result.existingIndex && (result.index || Object.keys(sort).length)) {
+            result.warnings.push(_warning("no_usable_index", null, "None of the existing indexes fits the query, so it scans the collection"));
+        } else if (result.existingIndex && Object.keys(sort).length && !result.existingIndex.sortCovered) {
+            result.warnings.push(_warning("in_memory_sort", null, "The best existing index does not give the sort order, so the results are sorted in memory"));
+        }
+    }
+    if (options.projection !== undefined) {
+        result.covered = !!result.index && !analysis.ors.length && _isCovered(options.projection, result.index);
+    }
+    return result;
+}
+
+module.exports = {
+    advise: advise
+};
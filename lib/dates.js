@@ -0,0 +1,347 @@
+/**
+ * Computes date ranges for queries, like the last 7 days, or a day or
+ * a month in a time zone, as half-open [start, end) ranges of UTC
+ * Dates. Days and longer units are calendar units in the time zone,
+ * so that they stay correct across DST changes, e.g. a day may last
+ * 23 or 25 hours.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+
+/**
+ * The units of relative dates, with their lengths in milliseconds for
+ * the fixed ones, or 0 for the calendar ones.
+ * @type {Object.<string, number>}
+ */
+var UNITS = {
+    millisecond: 1,
+    second: 1000,
+    minute: 60000,
+    hour: 3600000,
+    day: 0,
+    week: 0,
+    month: 0,
+    year: 0
+};
+
+/**
+ * The date formatters, by time zone.
+ * @type {Object.<string, Intl.DateTimeFormat>}
+ * @private
+ */
+var _formatters = {};
+
+/**
+ * Returns the date formatter of a time zone.
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat} the formatter.
+ * @private
+ */
+function _formatter(timeZone) {
+    if (!_formatters.hasOwnProperty(timeZone)) {
+        try {
+            _formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+                timeZone: timeZone, hourCycle: "h23",
+                year: "numeric", month: "numeric", day: "numeric",
+                hour: "numeric", minute: "numeric", second: "numeric"
+            });
+        } catch (e) {
+            throw new errors.InvalidValueError("Invalid time zone: " + dataUtils.JSONstringify(timeZone));
+        }
+    }
+    return _formatters[timeZone];
+}
+
+/**
+ * Returns the wall clock time of an instant in a time zone.
+ * @param {number} time The instant, in milliseconds.
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number}}
+ * the wall clock time, with months from 1 to 12.
+ * @private
+ */
+function _wallTime(time, timeZone) {
+    var wall = {millisecond: ((time % 1000) + 1000) % 1000};
+    var parts = _formatter(timeZone).formatToParts(new Date(time));
+    for (var i = 0; i < parts.length; ++i) {
+        if (parts[i].type != "literal") wall[parts[i].type] = parseInt(parts[i].value, 10);
+    }
+    return wall;
+}
+
+/**
+ * Returns the offset of a time zone from UTC at an instant.
+ * @param {number} time The instant, in milliseconds.
+ * @param {string} timeZone
+ * @returns {number} the offset, in milliseconds.
+ * @private
+ */
+function _offset(time, timeZone) {
+    var wall = _wallTime(time, timeZone);
+    return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second, wall.millisecond) - time;
+}
+
+/**
+ * Converts a wall clock time in a time zone to the instant. A time
+ * skipped by a DST change is moved forward by the change, e.g. 02:30
+ * on the day the clocks go from 02:00 to 03:00 becomes 03:30.
+ * @param {number} year
+ * @param {number} month From 1 to 12, or beyond, to roll over.
+ * @param {number} day From 1, or beyond, to roll over.
+ * @param {number} [ms=0] The time of the day, in milliseconds.
+ * @param {string} timeZone
+ * @returns {number} the instant, in milliseconds.
+ */
+function zonedTime(year, month, day, ms, timeZone) {
+    var wall = Date.UTC(year, month - 1, day) + (ms || 0);
+    if (timeZone == "UTC") return wall;
+    var time = wall - _offset(wall, timeZone);
+    var offset = _offset(time, timeZone);
+    // the offset changed in between, e.g. across a DST change
+    if (wall - offset != time) {
+        var other = wall - offset;
+        time = _offset(other, timeZone) == offset ? other : Math.max(time, other);
+    }
+    return time;
+}
+
+/**
+ * Returns the current time.
+ * @param {function():(Date|number)} [clock] Returns the current time. By
+ * default, Date.now().
+ * @returns {number} the current time, in milliseconds.
+ * @private
+ */
+function _now(clock) {
+    var now = clock ? clock() : Date.now();
+    var time = now instanceof Date ? now.getTime() : now;
+    if (typeof time != "number" || isNaN(time)) throw new errors.InvalidValueError("Invalid clock, should return a Date or milliseconds: " + dataUtils.JSONstringify(now));
+    return time;
+}
+
+/**
+ * Normalizes a unit, e.g. "days" to "day".
+ * @param {string} unit
+ * @returns {string} the unit.
+ * @private
+ */
+function _unit(unit) {
+    var singular = typeof unit == "string" ? unit.replace(/s$/, "") : unit;
+    if (!UNITS.hasOwnProperty(singular)) throw new errors.InvalidValueError("Invalid unit, should be one of " + Object.keys(UNITS).join(", ") + ": " + dataUtils.JSONstringify(unit));
+    return singular;
+}
+
+/**
+ * Shifts an instant by an amount of a unit. Days and longer units
+ * keep the wall clock time in the time zone, and months and years
+ * keep the day, or the last day of shorter months.
+ * @param {number} time The instant, in milliseconds.
+ * @param {number} amount May be negative.
+ * @param {string} unit One of {@link UNITS}, or its plural.
+ * @param {string} timeZone
+ * @returns {number} the shifted instant, in milliseconds.
+ */
+function shift(time, amount, unit, timeZone) {
+    if (typeof amount != "number" || !isFinite(amount)) throw new errors.InvalidValueError("Invalid amount, should be a number: " + dataUtils.JSONstringify(amount));
+    unit = _unit(unit);
+    if (UNITS[unit]) return time + amount * UNITS[unit];
+    if (Math.floor(amount) !== amount) throw new errors.InvalidValueError("Invalid amount of " + unit + "s, should be an integer: " + amount);
+
+    var wall = _wallTime(time, timeZone);
+    var ms = ((wall.hour * 60 + wall.minute) * 60 + wall.second) * 1000 + wall.millisecond;
+    var year = wall.year;
+    var month = wall.month;
+    var day = wall.day;
+    if (unit == "day") day += amount;
+    else if (unit == "week") day += 7 * amount;
+    else {
+        month += unit == "year" ? 12 * amount : amount;
+        // the last day of shorter months
+        day = Math.min(day, new Date(Date.UTC(year, month, 0)).getUTCDate());
+    }
+    return zonedTime(year, month, day, ms, timeZone);
+}
+
+/**
+ * Parses a day, like "2026-10-19".
+ * @param {string} day
+ * @returns {?{year: number, month: number, day: number}} the day, or
+ * null if not a day.
+ * @private
+ */
+function _parseDay(day) {
+    var match = typeof day == "string" && day.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    var parsed = {year: +match[1], month: +match[2], day: +match[3]};
+    var date = new Date(Date.UTC(parsed.year, parsed.month - 1, parsed.day));
+    if (date.getUTCMonth() != parsed.month - 1 || date.getUTCDate() != parsed.day) throw new errors.InvalidValueError("Invalid day: " + dataUtils.JSONstringify(day));
+    return parsed;
+}
+
+/**
+ * Parses a local date time, i.e. an ISO string without an offset, like
+ * "2026-10-19T10:00".
+ * @param {string} dateTime
+ * @returns {?{year: number, month: number, day: number, ms: number}} the
+ * day, and the time of the day in milliseconds, or null if not a local
+ * date time.
+ * @private
+ */
+function _parseLocalDateTime(dateTime) {
+    var match = typeof dateTime == "string" && dateTime.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?$/);
+    if (!match) return null;
+    var parsed = _parseDay(match[1]);
+    var hour = +match[2];
+    var minute = +match[3];
+    var second = +(match[4] || 0);
+    if (hour > 23 || minute > 59 || second > 59) throw new errors.InvalidValueError("Invalid date time: " + dataUtils.JSONstringify(dateTime));
+    parsed.ms = ((hour * 60 + minute) * 60 + second) * 1000 + +((match[5] || "0") + "00").substring(0, 3);
+    return parsed;
+}
+
+/**
+ * Parses a relative time, like "30 days" for 30 days ago.
+ * @param {string} relative
+ * @returns {?{amount: number, unit: string}} the relative time, or null.
+ * @private
+ */
+function _parseRelative(relative) {
+    var match = typeof relative == "string" && relative.trim().match(/^(-?\d+)\s*([a-z]+?)s?(\s+ago)?$/i);
+    return match && UNITS.hasOwnProperty(match[2].toLowerCase()) ? {amount: +match[1], unit: match[2].toLowerCase()} : null;
+}
+
+/**
+ * Converts a date to an instant. Days like "2026-10-19" are the start
+ * of the day in the time zone, ISO strings without an offset, like
+ * "2026-10-19T10:00", are in the time zone too, and relative times
+ * like "30 days" are that long ago. Other strings should be ISO
+ * strings with an offset, like "2026-10-19T10:00:00Z".
+ * @param {Date|number|string} date A Date, milliseconds, an ISO string,
+ * a day or a relative time.
+ * @param {{timeZone: string, clock: function():(Date|number)}} options
+ * @returns {number} the instant, in milliseconds.
+ */
+function toTime(date, options) {
+    var time;
+    if (date instanceof Date) time = date.getTime();
+    else if (typeof date == "number") time = date;
+    else if (_parseDay(date)) {
+        var day = _parseDay(date);
+        return zonedTime(day.year, day.month, day.day, 0, options.timeZone);
+    } else if (_parseLocalDateTime(date)) {
+        var local = _parseLocalDateTime(date);
+        return zonedTime(local.year, local.month, local.day, local.ms, options.timeZone);
+    } else if (_parseRelative(date)) {
+        var relative = _parseRelative(date);
+        return shift(_now(options.clock), -relative.amount, relative.unit, options.timeZone);
+    } else if (typeof date == "string" && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(date)) {
+        // not Date parsing in general, which uses the local time zone of the host
+        time = new Date(date).getTime();
+    }
+    if (typeof time != "number" || isNaN(time)) throw new errors.InvalidValueError("Invalid date, should be a Date, milliseconds, an ISO string, a day like 2026-10-19, or a relative time like 30 days: " + dataUtils.JSONstringify(date));
+    return time;
+}
+
+/**
+ * Validates the options, and sets the defaults.
+ * @param {{}} [options]
+ * @returns {{timeZone: string, clock: function():(Date|number)}} the options.
+ * @private
+ */
+function _options(options) {
+    options = options || {};
+    var timeZone = options.tz || options.timeZone || "UTC";
+    _formatter(timeZone);
+    return {timeZone: timeZone, clock: options.clock, inclusive: options.inclusive};
+}
+
+/**
+ * The range of the last amount of a unit, up to now, e.g. the last 7
+ * days.
+ * @param {number} amount
+ * @param {string} unit One of {@link UNITS}, or its plural.
+ * @param {{tz: string, clock: function():(Date|number)}} [options] The
+ * time zone, by default UTC, and the clock, by default Date.now.
+ * @returns {{start: Date, end: Date}} the range.
+ */
+function last(amount, unit, options) {
+    options = _options(options);
+    if (typeof amount != "number" || !(amount > 0)) throw new errors.InvalidValueError("Invalid amount, should be a positive number: " + dataUtils.JSONstringify(amount));
+    var now = _now(options.clock);
+    return {start: new Date(shift(now, -amount, unit, options.timeZone)), end: new Date(now)};
+}
+
+/**
+ * The range of a day in a time zone.
+ * @param {string|Date|number} day A day like "2026-10-19", or an
+ * instant in the day.
+ * @param {{tz: string}} [options] The time zone, by default UTC.
+ * @returns {{start: Date, end: Date}} the range.
+ */
+function onDay(day, options) {
+    options = _options(options);
+    var parsed = _parseDay(day);
+    if (!parsed) {
+        var wall = _wallTime(toTime(day, options), options.timeZone);
+        parsed = {year: wall.year, month: wall.month, day: wall.day};
+    }
+    return {
+        start: new Date(zonedTime(parsed.year, parsed.month, parsed.day, 0, options.timeZone)),
+        end: new Date(zonedTime(parsed.year, parsed.month, parsed.day + 1, 0, options.timeZone))
+    };
+}
+
+/**
+ * The range of a month in a time zone.
+ * @param {number} year
+ * @param {number} month From 1 to 12.
+ * @param {{tz: string}} [options] The time zone, by default UTC.
+ * @returns {{start: Date, end: Date}} the range.
+ */
+function inMonth(year, month, options) {
+    options = _options(options);
+    if (Math.floor(year) !== year) throw new errors.InvalidValueError("Invalid year, should be an integer: " + dataUtils.JSONstringify(year));
+    if (Math.floor(month) !== month || month < 1 || month > 12) throw new errors.InvalidValueError("Invalid month, should be from 1 to 12: " + dataUtils.JSONstringify(month));
+    return {
+        start: new Date(zonedTime(year, month, 1, 0, options.timeZone)),
+        end: new Date(zonedTime(year, month + 1, 1, 0, options.timeZone))
+    };
+}
+
+/**
+ * The range between two dates, see {@link toTime}().
+ * @param {Date|number|string} from The start, included.
+ * @param {Date|number|string} to The end, excluded, unless inclusive.
+ * @param {{tz: string, clock: function():(Date|number), inclusive: boolean}} [options]
+ * The time zone, by default UTC, the clock, and whether the end is
+ * included. An included day like "2026-10-31" includes the whole day.
+ * @returns {{start: Date, end: Date, inclusive: boolean}} the range,
+ * whose end is included if inclusive is still true.
+ */
+function between(from, to, options) {
+    options = _options(options);
+    var start = toTime(from, options);
+    var inclusive = !!options.inclusive;
+    var end;
+    if (inclusive && _parseDay(to)) {
+        end = onDay(to, {timeZone: options.timeZone}).end.getTime();
+        inclusive = false;
+    } else {
+        end = toTime(to, options);
+    }
+    if (start > end) throw new errors.InvalidValueError("Invalid range, the start is after the end: " + dataUtils.JSONstringify(from) + " - " + dataUtils.JSONstringify(to));
+    return {start: new Date(start), end: new Date(end), inclusive: inclusive};
+}
+
+module.exports = {
+    UNITS: UNITS,
+    zonedTime: zonedTime,
+    shift: shift,
+    toTime: function (date, options) {
+        return toTime(date, _options(options));
+    },
+    last: last,
+    onDay: onDay,
+    inMonth: inMonth,
+    between: between
+};
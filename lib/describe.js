@@ -0,0 +1,252 @@
+/**
+ * Renders queries as readable text, like:
+ * <pre>status is one of [open, pending] AND (age ≥ 21 OR vip = true)
+ * AND title contains words starting with "rep"</pre>
+ * e.g. to show what a saved filter does.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+var evaluator = require('./evaluator');
+
+/**
+ * The symbols of the comparison operators.
+ * @type {Object.<string, string>}
+ * @private
+ */
+var _COMPARATOR_SYMBOLS = {
+    $eq: "=",
+    $ne: "≠",
+    $gt: ">",
+    $gte: "≥",
+    $lt: "<",
+    $lte: "≤"
+};
+
+/**
+ * Formats a value.
+ * @param {*} value
+ * @param {boolean} [inList=false] If true, strings are not quoted,
+ * unless they would be ambiguous.
+ * @returns {string} the formatted value.
+ * @private
+ */
+function _formatValue(value, inList) {
+    if (typeof value == "string") return inList && value.length && !/[,\[\]"]|^\s|\s$/.test(value) ? value : JSON.stringify(value);
+    if (value instanceof Date) return isNaN(value.getTime()) ? "Invalid Date" : value.toISOString();
+    if (value instanceof RegExp) return String(value);
+    if (value && typeof value == "object" && typeof value.toHexString == "function") return value.toHexString();
+    if (Array.isArray(value)) return _formatList(value);
+    if (value === undefined) return "undefined";
+    return dataUtils.JSONstringify(value);
+}
+
+/**
+ * Formats a list of values, e.g. [open, pending].
+ * @param {Array.<*>} values
+ * @returns {string} the formatted list.
+ * @private
+ */
+function _formatList(values) {
+    return "[" + values.map(function (value) {
+        return _formatValue(value, true);
+    }).join(", ") + "]";
+}
+
+/**
+ * Describes a query.
+ * <p>Searches are described by their tokens, if the searchTerms option
+ * can turn their RegExps back into them, else by the RegExps.
+ * @param {{}} query The query.
+ * @param {{}} [options]
+ * @param {Object.<string, string>|function(string):string} [options.labels]
+ * The labels of the fields, by field, or a function returning them. By
+ * default, fields are shown as they are.
+ * @param {function(RegExp):?{match: string, clauses: Array.<Array.<{text: string, wordStart: boolean}>>}} [options.searchTerms]
+ * Turns a search RegExp back into its tokens: all or any of the clauses
+ * are matched, and each clause is a group of OR'ed tokens. Returns null
+ * for other RegExps.
+ * @returns {string} the description, or "everything" for an empty query.
+ */
+function describe(query, options) {
+    if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid query, should be a JSON: " + dataUtils.JSONstringify(query));
+    var text = _describeQuery(query, options || {}, false);
+    return text.length ? text : "everything";
+}
+
+/**
+ * Returns the label of a field.
+ * @param {string} field
+ * @param {{}} options The describe options.
+ * @returns {string} the label.
+ * @private
+ */
+function _label(field, options) {
+    var labels = options.labels;
+    if (typeof labels == "function") return labels(field) || field;
+    return labels && labels.hasOwnProperty(field) ? labels[field] : field;
+}
+
+/**
+ * Describes a query.
+ * @param {{}} query
+ * @param {{}} options The describe options.
+ * @param {boolean} grouped If true, a description of more than one
+ * part is parenthesized.
+ * @returns {string} the description.
+ * @private
+ */
+function _describeQuery(query, options, grouped) {
+    var parts = [];
+    var keys = Object.keys(query);
+    var i, key;
+    for (i = 0; i < keys.length; ++i) {
+        key = keys[i];
+        switch (key) {
+            case "$and":
+                parts = parts.concat(query.$and.map(function (q) {
+                    return _describeQuery(q, options, true);
+                }));
+                break;
+            case "$or":
+                parts.push(_join(query.$or.map(function (q) {
+                    return _describeQuery(q, options, true);
+                }), " OR ", query.$or.length > 1 && (keys.length > 1 || grouped)));
+                break;
+            case "$nor":
+                parts.push("NOT " + _join(query.$nor.map(function (q) {
+                    return _describeQuery(q, options, true);
+                }), " OR ", true));
+                break;
+            case "$text":
+                parts.push("text matches " + JSON.stringify(query.$text.$search));
+                break;
+            case "$expr":
+                parts.push("expression " + _formatValue(query.$expr));
+                break;
+            case "$where":
+                parts.push("JavaScript " + _formatValue(String(query.$where)));
+                break;
+            default:
+                parts = parts.concat(_describeCondition(_label(key, options), query[key], options));
+        }
+    }
+    return _join(parts, " AND ", grouped && parts.length > 1);
+}
+
+/**
+ * Joins descriptions.
+ * @param {Array.<string>} parts
+ * @param {string} separator
+ * @param {boolean} parenthesize If true, more than one part is
+ * parenthesized.
+ * @returns {string} the joined description.
+ * @private
+ */
+function _join(parts, separator, parenthesize) {
+    var text = parts.join(separator);
+    return parenthesize && parts.length > 1 ? "(" + text + ")" : text;
+}
+
+/**
+ * Describes the condition on a field.
+ * @param {string} label The field label.
+ * @param {*} condition
+ * @param {{}} options The describe options.
+ * @returns {Array.<string>} the descriptions of the ANDed parts.
+ * @private
+ */
+function _describeCondition(label, condition, options) {
+    if (condition instanceof RegExp) return [_describeRegex(label, condition, false, options)];
+    if (!evaluator.isOperatorObject(condition)) {
+        return [condition === null ? label + " has no value" : label + " = " + _formatValue(condition)];
+    }
+
+    var parts = [];
+    var operators = Object.keys(condition);
+    var operator, operand;
+    for (var i = 0; i < operators.length; ++i) {
+        operator = operators[i];
+        operand = condition[operator];
+        switch (operator) {
+            case "$eq":
+            case "$ne":
+                if (operand === null) parts.push(label + (operator == "$eq" ? " has no value" : " has a value"));
+                else parts.push(label + " " + _COMPARATOR_SYMBOLS[operator] + " " + _formatValue(operand));
+                break;
+            case "$gt":
+            case "$gte":
+            case "$lt":
+            case "$lte":
+                parts.push(label + " " + _COMPARATOR_SYMBOLS[operator] + " " + _formatValue(operand));
+                break;
+            case "$in":
+                parts.push(label + " is one of " + _formatList(operand));
+                break;
+            case "$nin":
+                parts.push(label + " is not one of " + _formatList(operand));
+                break;
+            case "$all":
+                parts.push(label + " has all of " + _formatList(operand));
+                break;
+            case "$exists":
+                parts.push(label + (operand ? " exists" : " does not exist"));
+                break;
+            case "$regex":
+                parts.push(_describeRegex(label, operand instanceof RegExp ? operand :
+                    new RegExp(operand, condition.$options || ""), false, options));
+                break;
+            case "$options":
+                break;
+            case "$not":
+                if (operand instanceof RegExp) parts.push(_describeRegex(label, operand, true, options));
+                else parts.push("NOT " + _join(_describeCondition(label, operand, options), " AND ", true));
+                break;
+            case "$size":
+                parts.push(label + " has " + operand + " element" + (operand == 1 ? "" : "s"));
+                break;
+            case "$elemMatch":
+                parts.push(label + " has an element " + (evaluator.isOperatorObject(operand) && !operand.$and && !operand.$or && !operand.$nor ?
+                    _describeCondition("", operand, options).map(function (part) {
+                        return part.trim();
+                    }).join(" and ") :
+                    "where " + _describeQuery(operand, {labels: null, searchTerms: options.searchTerms}, true)));
+                break;
+            case "$mod":
+                parts.push(label + " mod " + _formatValue(operand[0]) + " = " + _formatValue(operand[1]));
+                break;
+            case "$type":
+                parts.push(label + " is of type " + _formatValue(operand, true));
+                break;
+            default:
+                parts.push(label + " " + operator + " " + _formatValue(operand));
+        }
+    }
+    return parts;
+}
+
+/**
+ * Describes a RegExp match, by its search tokens if possible.
+ * @param {string} label The field label.
+ * @param {RegExp} regExp
+ * @param {boolean} negated If true, the field should not match.
+ * @param {{}} options The describe options.
+ * @returns {string} the description.
+ * @private
+ */
+function _describeRegex(label, regExp, negated, options) {
+    var search = options.searchTerms ? options.searchTerms(regExp) : null;
+    if (!search || !search.clauses.length) return label + (negated ? " does not match " : " matches ") + String(regExp);
+
+    var wordStart = search.clauses[0][0].wordStart;
+    var clauses = search.clauses.map(function (terms) {
+        return _join(terms.map(function (term) {
+            return JSON.stringify(term.text);
+        }), " or ", search.match == "all");
+    });
+    return label + (negated ? " does not contain " : " contains ") + (wordStart ? "words starting with " : "") +
+        clauses.join(search.match == "all" ? " and " : " or ");
+}
+
+module.exports = {
+    describe: describe
+};
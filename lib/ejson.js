@@ -0,0 +1,238 @@
+/**
+ * Converts queries to and from MongoDB Extended JSON, so that Dates,
+ * RegExps and ObjectIds survive JSON.stringify(), e.g. for saved
+ * searches and logs. For example, the query:
+ * <pre>{createdAt: {$gte: new Date(0)}, name: /^jo/i}</pre>
+ * is serialized in the relaxed form as:
+ * <pre>{createdAt: {$gte: {$date: "1970-01-01T00:00:00Z"}},
+ *  name: {$regularExpression: {pattern: "^jo", options: "i"}}}</pre>
+ * The canonical form also wraps numbers, and Dates as milliseconds,
+ * to keep the exact types.
+ * <p>ObjectIds are serialized as {$oid: ...}, but deserialized as their
+ * hex strings, unless given the createObjectId option, so that only
+ * then does a query survive a round trip unchanged.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+
+/**
+ * The largest date serialized as an ISO string in the relaxed form.
+ * @type {number}
+ * @private
+ */
+var _MAX_ISO_DATE = Date.UTC(9999, 11, 31, 23, 59, 59, 999);
+
+/**
+ * Returns true for plain objects, i.e. not Dates, ObjectIds, etc.
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _isPlainObject(value) {
+    if (value === null || typeof value != "object") return false;
+    var proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Serializes a number.
+ * @param {number} value
+ * @param {boolean} relaxed
+ * @returns {number|{}} the serialized number.
+ * @private
+ */
+function _serializeNumber(value, relaxed) {
+    if (relaxed && isFinite(value)) return value;
+    if (Math.floor(value) === value && value >= -0x80000000 && value <= 0x7fffffff && !(value === 0 && 1 / value < 0)) {
+        return {$numberInt: String(value)};
+    }
+    if (value === 0) return {$numberDouble: "-0.0"};
+    if (isNaN(value)) return {$numberDouble: "NaN"};
+    return {$numberDouble: Math.floor(value) === value ? value.toFixed(1) : String(value)};
+}
+
+/**
+ * Serializes a date.
+ * @param {Date} value
+ * @param {boolean} relaxed
+ * @returns {{$date: *}} the serialized date.
+ * @private
+ */
+function _serializeDate(value, relaxed) {
+    var time = value.getTime();
+    if (isNaN(time)) throw new errors.InvalidValueError("Invalid date, cannot be serialized: " + String(value));
+    if (relaxed && time >= 0 && time <= _MAX_ISO_DATE) {
+        return {$date: value.toISOString().replace(".000Z", "Z")};
+    }
+    return {$date: {$numberLong: String(time)}};
+}
+
+/**
+ * Converts a query to Extended JSON.
+ * @param {*} value The query, or any value in it.
+ * @param {{}} [options]
+ * @param {boolean} [options.relaxed=true] If true, uses the relaxed
+ * form, with plain numbers and ISO date strings, else the canonical
+ * form, which keeps the exact types.
+ * @returns {*} the JSON-safe Extended JSON value.
+ */
+function serialize(value, options) {
+    var relaxed = !options || options.relaxed !== false;
+    if (typeof value == "number") return _serializeNumber(value, relaxed);
+    if (value instanceof Date) return _serializeDate(value, relaxed);
+    if (value instanceof RegExp) {
+        // g, y and d have no meaning in queries
+        return {$regularExpression: {pattern: value.source, options: value.flags.replace(/[^imsu]/g, "").split("").sort().join("")}};
+    }
+    if (value && typeof value == "object" && typeof value.toHexString == "function") {
+        return {$oid: value.toHexString()};
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (v) {
+            return serialize(v, options);
+        });
+    }
+    if (_isPlainObject(value)) {
+        var result = {};
+        for (var key in value) {
+            if (value.hasOwnProperty(key) && value[key] !== undefined) result[key] = serialize(value[key], options);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Converts Extended JSON, in either form, back to a query.
+ * @param {*} value The Extended JSON value.
+ * @param {{}} [options]
+ * @param {function(string):*} [options.createObjectId] Creates the
+ * ObjectIds, from their hex strings, e.g. the ObjectId of the MongoDB
+ * driver. By default, ObjectIds are deserialized as hex strings.
+ * @returns {*} the query. Plain objects and arrays are always copied.
+ */
+function deserialize(value, options) {
+    if (Array.isArray(value)) {
+        return value.map(function (v) {
+            return deserialize(v, options);
+        });
+    }
+    if (value instanceof Date) return new Date(value.getTime());
+    if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+    if (!_isPlainObject(value)) return value;
+
+    var keys = Object.keys(value);
+    if (keys.length == 1) {
+        var wrapped = value[keys[0]];
+        switch (keys[0]) {
+            case "$date":
+                return _deserializeDate(wrapped);
+            case "$regularExpression":
+                if (!dataUtils.isJSON(wrapped) || typeof wrapped.pattern != "string") break;
+                return _deserializeRegExp(wrapped.pattern, wrapped.options);
+            case "$numberInt":
+            case "$numberLong":
+            case "$numberDouble":
+                if (typeof wrapped != "string") break;
+                return wrapped == "-0.0" ? -0 : Number(wrapped);
+            case "$oid":
+                if (typeof wrapped != "string") break;
+                return options && options.createObjectId ? options.createObjectId(wrapped) : wrapped;
+        }
+    }
+    var result = {};
+    for (var i = 0; i < keys.length; ++i) {
+        result[keys[i]] = deserialize(value[keys[i]], options);
+    }
+    return result;
+}
+
+/**
+ * The JavaScript RegExp flags of the MongoDB regular expression
+ * options, or "" for those without an effect here.
+ * @type {Object.<string, string>}
+ * @private
+ */
+var _REGEX_FLAGS = {
+    i: "i",
+    m: "m",
+    s: "s",
+    u: "u",
+    // extended, applied to the pattern
+    x: "",
+    // locale dependent, ignored by MongoDB as well since 4.0
+    l: ""
+};
+
+/**
+ * Deserializes a $regularExpression, with the MongoDB options mapped
+ * to RegExp flags.
+ * @param {string} pattern
+ * @param {string} [options] e.g. "ix".
+ * @returns {RegExp} the RegExp.
+ * @private
+ */
+function _deserializeRegExp(pattern, options) {
+    options = typeof options == "string" ? options : "";
+    var flags = "";
+    for (var i = 0; i < options.length; ++i) {
+        if (!_REGEX_FLAGS.hasOwnProperty(options.charAt(i))) {
+            throw new errors.InvalidValueError("Invalid Extended JSON regular expression option: " + dataUtils.JSONstringify(options.charAt(i)), {operator: "$regex"});
+        }
+        if (flags.indexOf(_REGEX_FLAGS[options.charAt(i)]) < 0) flags += _REGEX_FLAGS[options.charAt(i)];
+    }
+    if (options.indexOf("x") >= 0) pattern = _stripExtended(pattern);
+    try {
+        return new RegExp(pattern, flags);
+    } catch (e) {
+        throw new errors.InvalidValueError("Invalid Extended JSON regular expression: " + dataUtils.JSONstringify(pattern) + " with options " + dataUtils.JSONstringify(options), {operator: "$regex"});
+    }
+}
+
+/**
+ * Applies the extended option "x" to a pattern, i.e. removes the
+ * whitespace and the # comments, except when escaped or in a
+ * character class.
+ * @param {string} pattern
+ * @returns {string} the pattern.
+ * @private
+ */
+function _stripExtended(pattern) {
+    var result = "";
+    var inBrackets = false;
+    var c;
+    for (var i = 0; i < pattern.length; ++i) {
+        c = pattern.charAt(i);
+        if (c == "\\") {
+            result += pattern.substr(i, 2);
+            ++i;
+        } else if (inBrackets) {
+            if (c == "]") inBrackets = false;
+            result += c;
+        } else if (c == "#") {
+            while (i + 1 < pattern.length && pattern.charAt(i + 1) != "\n") ++i;
+        } else if (!/\s/.test(c)) {
+            if (c == "[") inBrackets = true;
+            result += c;
+        }
+    }
+    return result;
+}
+
+/**
+ * Deserializes the value of a $date.
+ * @param {*} wrapped An ISO string, milliseconds, or {$numberLong: ...}.
+ * @returns {Date} the date.
+ * @private
+ */
+function _deserializeDate(wrapped) {
+    if (dataUtils.isJSON(wrapped) && typeof wrapped.$numberLong == "string") wrapped = Number(wrapped.$numberLong);
+    var date = new Date(wrapped);
+    if (isNaN(date.getTime())) throw new errors.InvalidValueError("Invalid Extended JSON date: " + dataUtils.JSONstringify(wrapped));
+    return date;
+}
+
+module.exports = {
+    serialize: serialize,
+    deserialize: deserialize
+};
@@ -0,0 +1,140 @@
+/**
+ * The errors thrown by the builders, so that they can be caught by
+ * type, e.g. with instanceof InvalidFieldError, or by code, e.g.
+ * "INVALID_FIELD". All are QueryBuilderErrors, and have the field and
+ * the operator concerned, if any.
+ */
+
+/**
+ * The base error of the builders.
+ * @param {string} message
+ * @param {{code: string, field: string, operator: string}} [details] The
+ * code, by default that of the error type, and the field and operator
+ * concerned, if any.
+ * @constructor
+ */
+function QueryBuilderError(message, details) {
+    details = details || {};
+    this.name = "QueryBuilderError";
+    this.message = message;
+    /**
+     * The code of the error, e.g. "INVALID_FIELD".
+     * @type {string}
+     */
+    this.code = details.code || "QUERY_BUILDER_ERROR";
+    /**
+     * The field concerned, if any.
+     * @type {string|undefined}
+     */
+    this.field = details.field;
+    /**
+     * The operator concerned, if any, e.g. "$regex".
+     * @type {string|undefined}
+     */
+    this.operator = details.operator;
+    if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+    else this.stack = new Error(message).stack;
+}
+QueryBuilderError.prototype = Object.create(Error.prototype);
+QueryBuilderError.prototype.constructor = QueryBuilderError;
+
+/**
+ * Defines a subclass of {@link QueryBuilderError}.
+ * @param {string} name
+ * @param {string} code The default code.
+ * @param {function(this:QueryBuilderError, {})} [init] Sets the other
+ * properties from the details.
+ * @returns {function(new:QueryBuilderError, string, {})} the subclass.
+ * @private
+ */
+function _defineError(name, code, init) {
+    var ErrorType = function (message, details) {
+        details = details || {};
+        QueryBuilderError.call(this, message, details);
+        this.name = name;
+        this.code = details.code || code;
+        if (init) init.call(this, details);
+    };
+    ErrorType.prototype = Object.create(QueryBuilderError.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+    return ErrorType;
+}
+
+/**
+ * An invalid field, e.g. not a string, or not in the schema.
+ * Code "INVALID_FIELD" by default.
+ * @constructor
+ */
+var InvalidFieldError = _defineError("InvalidFieldError", "INVALID_FIELD");
+
+/**
+ * An invalid or unsupported operator, e.g. an unknown comparator, or
+ * one not allowed for the field type. Code "INVALID_OPERATOR" by
+ * default.
+ * @constructor
+ */
+var InvalidOperatorError = _defineError("InvalidOperatorError", "INVALID_OPERATOR");
+
+/**
+ * An invalid value or argument, e.g. a negative $limit. Code
+ * "INVALID_VALUE" by default.
+ * @constructor
+ */
+var InvalidValueError = _defineError("InvalidValueError", "INVALID_VALUE");
+
+/**
+ * A builder method called out of order, e.g. andField() before
+ * field(), or one not allowed there, e.g. near() in an OR group. Code
+ * "ILLEGAL_CHAIN" by default.
+ * @constructor
+ */
+var IllegalChainError = _defineError("IllegalChainError", "ILLEGAL_CHAIN");
+
+/**
+ * A syntax error in a text filter, with its position. Code
+ * "FILTER_SYNTAX" by default.
+ * @constructor
+ */
+var FilterSyntaxError = _defineError("FilterSyntaxError", "FILTER_SYNTAX", function (details) {
+    /**
+     * The position of the error in the filter string.
+     * @type {number}
+     */
+    this.position = details.position;
+});
+
+/**
+ * All the problems found in a query by the strict mode, in its
+ * errors. Code "INVALID_QUERY" by default.
+ * @constructor
+ */
+var QueryValidationError = _defineError("QueryValidationError", "INVALID_QUERY", function (details) {
+    /**
+     * The problems found.
+     * @type {Array.<QueryBuilderError>}
+     */
+    this.errors = details.errors || [];
+});
+
+/**
+ * Creates the {@link QueryValidationError} of problems.
+ * @param {Array.<QueryBuilderError>} problems
+ * @returns {QueryValidationError} the error.
+ */
+QueryValidationError.of = function (problems) {
+    var message = "Invalid query, " + problems.length + " problem" + (problems.length == 1 ? "" : "s") + " found: " +
+        problems.map(function (problem, i) {
+            return (i + 1) + ") " + problem.message;
+        }).join("; ");
+    return new QueryValidationError(message, {errors: problems});
+};
+
+module.exports = {
+    QueryBuilderError: QueryBuilderError,
+    InvalidFieldError: InvalidFieldError,
+    InvalidOperatorError: InvalidOperatorError,
+    InvalidValueError: InvalidValueError,
+    IllegalChainError: IllegalChainError,
+    FilterSyntaxError: FilterSyntaxError,
+    QueryValidationError: QueryValidationError
+};
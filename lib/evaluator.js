@@ -0,0 +1,380 @@
+/**
+ * Evaluates query objects, as generated by {@link QueryBuilder#build}(),
+ * against plain JavaScript documents, following the MongoDB query
+ * semantics for dotted paths, arrays and missing fields.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+
+/**
+ * Returns true if the given value is an object whose keys are all
+ * operators, i.e. prefixed with $. For example:
+ * <pre>{$gt: 1, $lt: 5}</pre>
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _isOperatorObject(value) {
+    if (!dataUtils.isJSON(value)) return false;
+    var keys = Object.keys(value);
+    if (!keys.length) return false;
+    for (var i = 0; i < keys.length; ++i) {
+        if (keys[i].charAt(0) != "$") return false;
+    }
+    return true;
+}
+
+/**
+ * Resolves a dotted path in the given value. Arrays met along the
+ * path are traversed element-wise, and numeric path parts also
+ * index into them.
+ * <p>For example, the path "items.sku" in the document:
+ * <pre>{items: [{sku: "a"}, {sku: "b"}]}</pre>
+ * resolves to:
+ * <pre>["a", "b"]</pre>
+ * @param {*} value The value to be resolved.
+ * @param {Array.<string>} parts The path parts.
+ * @param {number} index Index of the path part to be resolved next.
+ * @returns {Array.<*>} Array of resolved values. A missing field
+ * resolves to undefined.
+ * @private
+ */
+function _resolvePath(value, parts, index) {
+    if (index == parts.length) return [value];
+
+    var part = parts[index];
+    if (Array.isArray(value)) {
+        var results = [];
+        if (/^\d+$/.test(part)) {
+            results = results.concat(_resolvePath(value[+part], parts, index + 1));
+        }
+        for (var i = 0; i < value.length; ++i) {
+            if (dataUtils.isJSON(value[i])) {
+                results = results.concat(_resolvePath(value[i], parts, index));
+            }
+        }
+        return results.length ? results : [undefined];
+    }
+    if (value !== null && typeof value == "object") {
+        return _resolvePath(value[part], parts, index + 1);
+    }
+    return [undefined];
+}
+
+/**
+ * Checks whether two values are equal. Dates are compared by time,
+ * and everything else deeply.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ * @private
+ */
+function _valuesEqual(a, b) {
+    if (a instanceof Date && b instanceof Date) return a.getTime() == b.getTime();
+    if (a instanceof RegExp && b instanceof RegExp) return a.toString() == b.toString();
+    return dataUtils.deepEquals(a, b);
+}
+
+/**
+ * Returns the value itself and, if it is an array, its elements.
+ * Most operators match a document if either the array field or
+ * any of its elements match.
+ * @param {*} value
+ * @returns {Array.<*>}
+ * @private
+ */
+function _selfAndElements(value) {
+    return Array.isArray(value) ? [value].concat(value) : [value];
+}
+
+/**
+ * Compares two values of the same type. Values of different types
+ * are not comparable, as MongoDB compares only within a BSON type.
+ * @param {*} a
+ * @param {*} b
+ * @returns {null|number} a negative number, zero or a positive number
+ * if a is less than, equal to or greater than b; or null if the values
+ * are not comparable.
+ * @private
+ */
+function _compareValues(a, b) {
+    if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+    if (typeof a == "number" && typeof b == "number") return a - b;
+    if (typeof a == "string" && typeof b == "string") return a < b ? -1 : a > b ? 1 : 0;
+    if (typeof a == "boolean" && typeof b == "boolean") return +a - +b;
+    return null;
+}
+
+/**
+ * Tests a regular expression against a value, or against the
+ * elements of an array value.
+ * @param {RegExp} regExp
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _regexMatches(regExp, value) {
+    var candidates = _selfAndElements(value);
+    for (var i = 0; i < candidates.length; ++i) {
+        if (typeof candidates[i] == "string" && regExp.test(candidates[i])) return true;
+    }
+    return false;
+}
+
+/**
+ * Creates the RegExp for a $regex condition.
+ * @param {RegExp|string} pattern
+ * @param {string} [options] MongoDB regex options. The unsupported
+ * "x" option is ignored.
+ * @returns {RegExp}
+ * @private
+ */
+function _toRegExp(pattern, options) {
+    if (pattern instanceof RegExp) {
+        return options ? new RegExp(pattern.source, options.replace(/[^ims]/g, "")) : pattern;
+    }
+    if (typeof pattern != "string") throw new errors.InvalidValueError("Invalid $regex, should be a string or RegExp: " + dataUtils.JSONstringify(pattern), {operator: "$regex"});
+    return new RegExp(pattern, (options || "").replace(/[^ims]/g, ""));
+}
+
+/**
+ * Checks whether a resolved value equals the given value. A RegExp
+ * value is matched as a regular expression, a null value also
+ * matches missing fields, and array fields match if any of their
+ * elements match.
+ * @param {*} resolved A resolved document value.
+ * @param {*} value The value in the query.
+ * @returns {boolean}
+ * @private
+ */
+function _equals(resolved, value) {
+    if (value instanceof RegExp) return _regexMatches(value, resolved);
+    if (value === null && (resolved === null || resolved === undefined)) return true;
+
+    var candidates = _selfAndElements(resolved);
+    for (var i = 0; i < candidates.length; ++i) {
+        if (_valuesEqual(candidates[i], value)) return true;
+    }
+    return false;
+}
+
+/**
+ * Type names accepted by the $type operator, with the checks for
+ * each of them.
+ * @type {Object.<string, function(*):boolean>}
+ * @private
+ */
+var _TYPE_CHECKS = {
+    "double": function (v) { return typeof v == "number"; },
+    "number": function (v) { return typeof v == "number"; },
+    "int": function (v) { return typeof v == "number" && v % 1 === 0; },
+    "string": function (v) { return typeof v == "string"; },
+    "bool": function (v) { return typeof v == "boolean"; },
+    "date": function (v) { return v instanceof Date; },
+    "regex": function (v) { return v instanceof RegExp; },
+    "null": function (v) { return v === null; },
+    "array": function (v) { return Array.isArray(v); },
+    "object": function (v) { return dataUtils.isJSON(v); }
+};
+
+/**
+ * Checks a single operator against the resolved values of a field.
+ * @param {Array.<*>} values The resolved values of the field.
+ * @param {string} operator e.g. "$gt", "$in", etc.
+ * @param {*} operand The operand of the operator.
+ * @param {{}} condition The whole operator object, for operators
+ * that depend on their siblings, like $regex on $options.
+ * @returns {boolean}
+ * @private
+ */
+function _matchOperator(values, operator, operand, condition) {
+    var i, j;
+    switch (operator) {
+        case "$eq":
+            for (i = 0; i < values.length; ++i) {
+                if (_equals(values[i], operand)) return true;
+            }
+            return false;
+        case "$ne":
+            return !_matchOperator(values, "$eq", operand);
+        case "$in":
+            if (!Array.isArray(operand)) throw new errors.InvalidValueError("Invalid $in, should be an array: " + dataUtils.JSONstringify(operand), {operator: "$in"});
+            for (j = 0; j < operand.length; ++j) {
+                if (_matchOperator(values, "$eq", operand[j])) return true;
+            }
+            return false;
+        case "$nin":
+            return !_matchOperator(values, "$in", operand);
+        case "$gt":
+        case "$gte":
+        case "$lt":
+        case "$lte":
+            for (i = 0; i < values.length; ++i) {
+                var candidates = _selfAndElements(values[i]);
+                for (j = 0; j < candidates.length; ++j) {
+                    var c = _compareValues(candidates[j], operand);
+                    if (c === null) continue;
+                    if (operator == "$gt" ? c > 0 :
+                            operator == "$gte" ? c >= 0 :
+                                operator == "$lt" ? c < 0 : c <= 0) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        case "$exists":
+            for (i = 0; i < values.length; ++i) {
+                if (values[i] !== undefined) return !!operand;
+            }
+            return !operand;
+        case "$regex":
+            var regExp = _toRegExp(operand, condition && condition.$options);
+            for (i = 0; i < values.length; ++i) {
+                if (_regexMatches(regExp, values[i])) return true;
+            }
+            return false;
+        case "$options":
+            // applied along with $regex
+            return true;
+        case "$not":
+            if (operand instanceof RegExp) return !_matchOperator(values, "$regex", operand);
+            if (!_isOperatorObject(operand)) throw new errors.InvalidValueError("Invalid $not, should be a RegExp or an operator object: " + dataUtils.JSONstringify(operand), {operator: "$not"});
+            return !_matchCondition(values, operand);
+        case "$all":
+            if (!Array.isArray(operand)) throw new errors.InvalidValueError("Invalid $all, should be an array: " + dataUtils.JSONstringify(operand), {operator: "$all"});
+            if (!operand.length) return false;
+            for (j = 0; j < operand.length; ++j) {
+                if (!_matchCondition(values, operand[j])) return false;
+            }
+            return true;
+        case "$size":
+            for (i = 0; i < values.length; ++i) {
+                if (Array.isArray(values[i]) && values[i].length === operand) return true;
+            }
+            return false;
+        case "$elemMatch":
+            if (!dataUtils.isJSON(operand)) throw new errors.InvalidValueError("Invalid $elemMatch, should be a JSON: " + dataUtils.JSONstringify(operand), {operator: "$elemMatch"});
+            // operators apply to the elements, unless they are logical ones
+            var onValues = _isOperatorObject(operand) && !operand.$and && !operand.$or && !operand.$nor;
+            for (i = 0; i < values.length; ++i) {
+                if (!Array.isArray(values[i])) continue;
+                for (j = 0; j < values[i].length; ++j) {
+                    if (onValues ? _matchCondition([values[i][j]], operand) :
+                            dataUtils.isJSON(values[i][j]) && matches(operand, values[i][j])) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        case "$mod":
+            if (!Array.isArray(operand) || operand.length != 2) throw new errors.InvalidValueError("Invalid $mod, should be [divisor, remainder]: " + dataUtils.JSONstringify(operand), {operator: "$mod"});
+            for (i = 0; i < values.length; ++i) {
+                var numbers = _selfAndElements(values[i]);
+                for (j = 0; j < numbers.length; ++j) {
+                    if (typeof numbers[j] == "number" && numbers[j] % operand[0] == operand[1]) return true;
+                }
+            }
+            return false;
+        case "$type":
+            var typeCheck = _TYPE_CHECKS[operand];
+            if (!typeCheck) throw new errors.InvalidOperatorError("Unsupported $type: " + dataUtils.JSONstringify(operand), {code: "UNSUPPORTED_OPERATOR", operator: "$type"});
+            for (i = 0; i < values.length; ++i) {
+                if (values[i] !== undefined && typeCheck(values[i])) return true;
+                if (Array.isArray(values[i]) && values[i].some(typeCheck)) return true;
+            }
+            return false;
+        default:
+            throw new errors.InvalidOperatorError("Unsupported operator: " + operator, {code: "UNSUPPORTED_OPERATOR", operator: operator});
+    }
+}
+
+/**
+ * Checks a field condition against the resolved values of a field.
+ * The condition is either an operator object, or a value to be
+ * matched for equality.
+ * @param {Array.<*>} values The resolved values of the field.
+ * @param {*} condition
+ * @returns {boolean}
+ * @private
+ */
+function _matchCondition(values, condition) {
+    if (!_isOperatorObject(condition)) return _matchOperator(values, "$eq", condition);
+
+    var operators = Object.keys(condition);
+    for (var i = 0; i < operators.length; ++i) {
+        if (!_matchOperator(values, operators[i], condition[operators[i]], condition)) return false;
+    }
+    return true;
+}
+
+/**
+ * Checks every query in the given array, as used by the logical
+ * operators.
+ * @param {string} operator "$and", "$or" or "$nor".
+ * @param {Array.<{}>} queries
+ * @param {{}} doc
+ * @returns {boolean}
+ * @private
+ */
+function _matchLogical(operator, queries, doc) {
+    if (!Array.isArray(queries) || !queries.length) throw new errors.InvalidValueError("Invalid " + operator + ", should be a non-empty array: " + dataUtils.JSONstringify(queries), {operator: operator});
+
+    for (var i = 0; i < queries.length; ++i) {
+        var matched = matches(queries[i], doc);
+        if (operator == "$and" && !matched) return false;
+        if (operator == "$or" && matched) return true;
+        if (operator == "$nor" && matched) return false;
+    }
+    return operator != "$or";
+}
+
+/**
+ * Evaluates a query object against a document.
+ * <p>For example, the query:
+ * <pre>{"tags": "a", "price": {$gt: 10}}</pre>
+ * matches the document:
+ * <pre>{tags: ["a", "b"], price: 12}</pre>
+ * @param {{}} query The query object, e.g. from {@link QueryBuilder#build}().
+ * @param {{}} doc The document to be evaluated.
+ * @returns {boolean} true if the document matches the query.
+ */
+function matches(query, doc) {
+    if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid query, should be a JSON: " + dataUtils.JSONstringify(query));
+
+    var keys = Object.keys(query);
+    var key;
+    for (var i = 0; i < keys.length; ++i) {
+        key = keys[i];
+        if (key == "$and" || key == "$or" || key == "$nor") {
+            if (!_matchLogical(key, query[key], doc)) return false;
+        }
+        else if (key.charAt(0) == "$") {
+            throw new errors.InvalidOperatorError("Unsupported operator: " + key, {code: "UNSUPPORTED_OPERATOR", operator: key});
+        }
+        else if (!_matchCondition(_resolvePath(doc, key.split("."), 0), query[key])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Creates a predicate function for the given query object, e.g.
+ * to be used with Array.prototype.filter().
+ * @param {{}} query The query object, e.g. from {@link QueryBuilder#build}().
+ * @returns {function({}):boolean} the predicate.
+ */
+function toPredicate(query) {
+    if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid query, should be a JSON: " + dataUtils.JSONstringify(query));
+    return function (doc) {
+        return matches(query, doc);
+    };
+}
+
+module.exports = {
+    matches: matches,
+    toPredicate: toPredicate,
+    isOperatorObject: _isOperatorObject,
+    valuesEqual: _valuesEqual,
+    compareValues: _compareValues
+};
@@ -0,0 +1,536 @@
+/**
+ * Builds aggregation expressions, e.g. for $expr conditions comparing
+ * fields with each other, or computed values:
+ * <pre>field("qty").times(field("price")).gte(100)</pre>
+ * creates:
+ * <pre>{$gte: [{$multiply: ["$qty", "$price"]}, 100]}</pre>
+ * Values that could be taken for expressions, i.e. strings starting
+ * with $ and objects, are wrapped in $literal, except for the boolean
+ * conditions of cond(), and(), or() and not(), where operator objects
+ * like {$gt: ["$qty", 1]} are expressions.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+var evaluator = require('./evaluator');
+
+/**
+ * The date units of $dateAdd, $dateSubtract and $dateDiff.
+ * @type {Array.<string>}
+ */
+var DATE_UNITS = ["year", "quarter", "month", "week", "day", "hour", "minute", "second", "millisecond"];
+
+/**
+ * An aggregation expression, with methods to build on it. Expressions
+ * are immutable, so each method returns a new one.
+ * @param {*} expression The aggregation expression.
+ * @param {function(Expression):*} [finish] Called with the boolean
+ * expression created by a comparison, whose result the comparison
+ * returns, e.g. to add it to a query builder. By default, comparisons
+ * return the boolean expression.
+ * @constructor
+ */
+var Expression = function (expression, finish) {
+    var _expression = this;
+
+    /**
+     * Creates an expression with an operator, applied to this and the
+     * given operands.
+     * @param {string} operator
+     * @param {Array.<*>} operands
+     * @returns {Expression} the new expression.
+     * @private
+     */
+    function _apply(operator, operands) {
+        var args = [expression];
+        for (var i = 0; i < operands.length; ++i) args.push(toExpression(operands[i]));
+        var e = {};
+        e[operator] = args;
+        return new Expression(e, finish);
+    }
+
+    /**
+     * Creates an expression with a unary operator, applied to this.
+     * @param {string} operator
+     * @returns {Expression} the new expression.
+     * @private
+     */
+    function _unary(operator) {
+        var e = {};
+        e[operator] = expression;
+        return new Expression(e, finish);
+    }
+
+    /**
+     * Creates a comparison of this with an operand, and finishes it.
+     * @param {string} operator
+     * @param {*} operand
+     * @returns {*} the boolean {@link Expression}, or the result of finish.
+     * @private
+     */
+    function _compare(operator, operand) {
+        var comparison = _apply(operator, [operand]);
+        return finish ? finish(comparison) : comparison;
+    }
+
+    /**
+     * Creates a date part expression.
+     * @param {string} operator e.g. "$year".
+     * @param {string} [timezone] e.g. "Europe/Paris".
+     * @returns {Expression} the new expression.
+     * @private
+     */
+    function _datePart(operator, timezone) {
+        var e = {};
+        e[operator] = timezone ? {date: expression, timezone: timezone} : expression;
+        return new Expression(e, finish);
+    }
+
+    /**
+     * Creates a $dateAdd or $dateSubtract expression.
+     * @param {string} operator
+     * @param {string} unit
+     * @param {*} amount
+     * @param {string} [timezone]
+     * @returns {Expression} the new expression.
+     * @private
+     */
+    function _dateShift(operator, unit, amount, timezone) {
+        _validateUnit(unit);
+        var e = {};
+        e[operator] = {startDate: expression, unit: unit, amount: toExpression(amount)};
+        if (timezone) e[operator].timezone = timezone;
+        return new Expression(e, finish);
+    }
+
+    /**
+     * Returns the aggregation expression.
+     * @returns {*} the aggregation expression.
+     */
+    this.build = function () {
+        return expression;
+    };
+
+    // arithmetic
+
+    /**
+     * Adds numbers, or milliseconds to a date.
+     * @param {...*} operand
+     * @returns {Expression} the new expression.
+     */
+    this.plus = function (operand) {
+        return _apply("$add", arguments);
+    };
+
+    /**
+     * Subtracts a number, or a date or milliseconds from a date.
+     * @param {*} operand
+     * @returns {Expression} the new expression.
+     */
+    this.minus = function (operand) {
+        return _apply("$subtract", [operand]);
+    };
+
+    /**
+     * Multiplies numbers.
+     * @param {...*} operand
+     * @returns {Expression} the new expression.
+     */
+    this.times = function (operand) {
+        return _apply("$multiply", arguments);
+    };
+
+    /**
+     * Divides by a number.
+     * @param {*} operand
+     * @returns {Expression} the new expression.
+     */
+    this.dividedBy = function (operand) {
+        return _apply("$divide", [operand]);
+    };
+
+    /**
+     * The remainder of dividing by a number.
+     * @param {*} operand
+     * @returns {Expression} the new expression.
+     */
+    this.mod = function (operand) {
+        return _apply("$mod", [operand]);
+    };
+
+    /**
+     * The absolute value.
+     * @returns {Expression} the new expression.
+     */
+    this.abs = function () {
+        return _unary("$abs");
+    };
+
+    /**
+     * Rounds to a number of decimal places.
+     * @param {number} [place=0]
+     * @returns {Expression} the new expression.
+     */
+    this.round = function (place) {
+        return _apply("$round", [place || 0]);
+    };
+
+    // strings
+
+    /**
+     * Concatenates strings.
+     * @param {...*} operand
+     * @returns {Expression} the new expression.
+     */
+    this.concat = function (operand) {
+        return _apply("$concat", arguments);
+    };
+
+    /**
+     * Converts a string to lower case.
+     * @returns {Expression} the new expression.
+     */
+    this.toLower = function () {
+        return _unary("$toLower");
+    };
+
+    /**
+     * Converts a string to upper case.
+     * @returns {Expression} the new expression.
+     */
+    this.toUpper = function () {
+        return _unary("$toUpper");
+    };
+
+    /**
+     * Trims the whitespace of a string.
+     * @returns {Expression} the new expression.
+     */
+    this.trim = function () {
+        return new Expression({$trim: {input: expression}}, finish);
+    };
+
+    /**
+     * The number of characters of a string.
+     * @returns {Expression} the new expression.
+     */
+    this.strLength = function () {
+        return _unary("$strLenCP");
+    };
+
+    /**
+     * A part of a string.
+     * @param {*} start The index of the first character.
+     * @param {*} length The number of characters.
+     * @returns {Expression} the new expression.
+     */
+    this.substr = function (start, length) {
+        return _apply("$substrCP", [start, length]);
+    };
+
+    /**
+     * The number of elements of an array.
+     * @returns {Expression} the new expression.
+     */
+    this.size = function () {
+        return _unary("$size");
+    };
+
+    // dates
+
+    /**
+     * The year of a date.
+     * @param {string} [timezone] e.g. "Europe/Paris". By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.year = function (timezone) {
+        return _datePart("$year", timezone);
+    };
+
+    /**
+     * The month of a date, from 1 to 12.
+     * @param {string} [timezone] e.g. "Europe/Paris". By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.month = function (timezone) {
+        return _datePart("$month", timezone);
+    };
+
+    /**
+     * The day of the month of a date, from 1 to 31.
+     * @param {string} [timezone] e.g. "Europe/Paris". By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.dayOfMonth = function (timezone) {
+        return _datePart("$dayOfMonth", timezone);
+    };
+
+    /**
+     * The day of the week of a date, from 1 (Sunday) to 7 (Saturday).
+     * @param {string} [timezone] e.g. "Europe/Paris". By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.dayOfWeek = function (timezone) {
+        return _datePart("$dayOfWeek", timezone);
+    };
+
+    /**
+     * The hour of a date, from 0 to 23.
+     * @param {string} [timezone] e.g. "Europe/Paris". By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.hour = function (timezone) {
+        return _datePart("$hour", timezone);
+    };
+
+    /**
+     * Adds an amount of time to a date.
+     * @param {string} unit One of {@link DATE_UNITS}.
+     * @param {*} amount
+     * @param {string} [timezone] e.g. "Europe/Paris", for days and
+     * longer units across DST changes. By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.dateAdd = function (unit, amount, timezone) {
+        return _dateShift("$dateAdd", unit, amount, timezone);
+    };
+
+    /**
+     * Subtracts an amount of time from a date.
+     * @param {string} unit One of {@link DATE_UNITS}.
+     * @param {*} amount
+     * @param {string} [timezone] e.g. "Europe/Paris". By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.dateSubtract = function (unit, amount, timezone) {
+        return _dateShift("$dateSubtract", unit, amount, timezone);
+    };
+
+    /**
+     * The time from a date to this date, in whole units, e.g.
+     * field("endDate").dateDiff(field("startDate"), "day").lte(7).
+     * @param {*} startDate
+     * @param {string} unit One of {@link DATE_UNITS}.
+     * @param {string} [timezone] e.g. "Europe/Paris". By default, UTC.
+     * @returns {Expression} the new expression.
+     */
+    this.dateDiff = function (startDate, unit, timezone) {
+        _validateUnit(unit);
+        var diff = {startDate: toExpression(startDate), endDate: expression, unit: unit};
+        if (timezone) diff.timezone = timezone;
+        return new Expression({$dateDiff: diff}, finish);
+    };
+
+    // conditions
+
+    /**
+     * This, or a replacement if this is null or missing.
+     * @param {*} replacement
+     * @returns {Expression} the new expression.
+     */
+    this.ifNull = function (replacement) {
+        return _apply("$ifNull", [replacement]);
+    };
+
+    /**
+     * Negates this boolean expression.
+     * @returns {Expression} the new expression.
+     */
+    this.not = function () {
+        return new Expression({$not: [expression]}, finish);
+    };
+
+    /**
+     * ANDs this boolean expression with others.
+     * @param {...*} operand Boolean expressions, or operator objects.
+     * @returns {Expression} the new expression.
+     */
+    this.and = function (operand) {
+        return _apply("$and", Array.prototype.map.call(arguments, _condition));
+    };
+
+    /**
+     * ORs this boolean expression with others.
+     * @param {...*} operand Boolean expressions, or operator objects.
+     * @returns {Expression} the new expression.
+     */
+    this.or = function (operand) {
+        return _apply("$or", Array.prototype.map.call(arguments, _condition));
+    };
+
+    // comparisons
+
+    /**
+     * Ensures that this equals the operand.
+     * @param {*} operand
+     * @returns {*} the boolean {@link Expression}, or the parent builder.
+     */
+    this.eq = function (operand) {
+        return _compare("$eq", operand);
+    };
+
+    /**
+     * Ensures that this does not equal the operand.
+     * @param {*} operand
+     * @returns {*} the boolean {@link Expression}, or the parent builder.
+     */
+    this.ne = function (operand) {
+        return _compare("$ne", operand);
+    };
+
+    /**
+     * Ensures that this is greater than the operand.
+     * @param {*} operand
+     * @returns {*} the boolean {@link Expression}, or the parent builder.
+     */
+    this.gt = function (operand) {
+        return _compare("$gt", operand);
+    };
+
+    /**
+     * Ensures that this is greater than or equal to the operand.
+     * @param {*} operand
+     * @returns {*} the boolean {@link Expression}, or the parent builder.
+     */
+    this.gte = function (operand) {
+        return _compare("$gte", operand);
+    };
+
+    /**
+     * Ensures that this is less than the operand.
+     * @param {*} operand
+     * @returns {*} the boolean {@link Expression}, or the parent builder.
+     */
+    this.lt = function (operand) {
+        return _compare("$lt", operand);
+    };
+
+    /**
+     * Ensures that this is less than or equal to the operand.
+     * @param {*} operand
+     * @returns {*} the boolean {@link Expression}, or the parent builder.
+     */
+    this.lte = function (operand) {
+        return _compare("$lte", operand);
+    };
+
+    /**
+     * Ensures that this is one of the elements of an array.
+     * @param {*} array An array, or an array expression.
+     * @returns {*} the boolean {@link Expression}, or the parent builder.
+     */
+    this.isIn = function (array) {
+        return _compare("$in", array);
+    };
+
+    /**
+     * Ensures that this boolean expression is true, e.g. one built
+     * with {@link Expression#and}() or {@link Expression#or}().
+     * @returns {*} this {@link Expression}, or the parent builder.
+     */
+    this.isTrue = function () {
+        return finish ? finish(_expression) : _expression;
+    };
+};
+
+/**
+ * Validates a date unit.
+ * @param {string} unit
+ * @private
+ */
+function _validateUnit(unit) {
+    if (DATE_UNITS.indexOf(unit) < 0) throw new errors.InvalidValueError("Invalid date unit, should be one of " + DATE_UNITS.join(", ") + ": " + dataUtils.JSONstringify(unit));
+}
+
+/**
+ * Converts a value to an aggregation expression. Expressions are
+ * taken as they are, and values that could be taken for expressions
+ * are wrapped in $literal.
+ * @param {*} value
+ * @returns {*} the aggregation expression.
+ */
+function toExpression(value) {
+    if (value instanceof Expression) return value.build();
+    if ((typeof value == "string" && value.charAt(0) == "$") || dataUtils.isJSON(value)) return {$literal: value};
+    if (Array.isArray(value)) return value.map(toExpression);
+    return value;
+}
+
+/**
+ * Converts a boolean condition to an expression. Unlike
+ * {@link toExpression}(), operator objects, e.g. {$gt: ["$qty", 1]},
+ * are taken as expressions, not as literals.
+ * @param {*} condition
+ * @returns {*} the {@link Expression}, or the value, as it is.
+ * @private
+ */
+function _condition(condition) {
+    if (!evaluator.isOperatorObject(condition)) return condition;
+    if (Object.keys(condition).length != 1) throw new errors.InvalidValueError("Invalid condition, an operator object should have exactly one operator: " + dataUtils.JSONstringify(condition));
+    return new Expression(condition);
+}
+
+/**
+ * Creates a reference to a field, e.g. field("price") for "$price".
+ * @param {string} path A field in the target document.
+ * @param {function(Expression):*} [finish] See {@link Expression}.
+ * @returns {Expression} the expression.
+ */
+function field(path, finish) {
+    if (!dataUtils.isValidStr(path) || path.charAt(0) == "$") throw new errors.InvalidFieldError("Invalid field, should be a string not starting with $: " + dataUtils.JSONstringify(path), {field: path});
+    return new Expression("$" + path, finish);
+}
+
+/**
+ * Creates a literal value, e.g. to compute on.
+ * @param {*} literal
+ * @param {function(Expression):*} [finish] See {@link Expression}.
+ * @returns {Expression} the expression.
+ */
+function value(literal, finish) {
+    return new Expression(toExpression(literal), finish);
+}
+
+/**
+ * Creates a reference to a variable, e.g. variable("NOW") for "$$NOW",
+ * the current date.
+ * @param {string} name
+ * @param {function(Expression):*} [finish] See {@link Expression}.
+ * @returns {Expression} the expression.
+ */
+function variable(name, finish) {
+    if (!/^[A-Za-z_]\w*$/.test(name)) throw new errors.InvalidValueError("Invalid variable name: " + dataUtils.JSONstringify(name));
+    return new Expression("$$" + name, finish);
+}
+
+/**
+ * Creates a conditional expression.
+ * @param {*} condition A boolean expression, or an operator object.
+ * @param {*} then The value if true.
+ * @param {*} otherwise The value if false.
+ * @param {function(Expression):*} [finish] See {@link Expression}.
+ * @returns {Expression} the expression.
+ */
+function cond(condition, then, otherwise, finish) {
+    return new Expression({$cond: [toExpression(_condition(condition)), toExpression(then), toExpression(otherwise)]}, finish);
+}
+
+/**
+ * Wraps a raw aggregation expression, taken as it is.
+ * @param {*} expression
+ * @param {function(Expression):*} [finish] See {@link Expression}.
+ * @returns {Expression} the expression.
+ */
+function raw(expression, finish) {
+    return new Expression(expression instanceof Expression ? expression.build() : expression, finish);
+}
+
+module.exports = {
+    DATE_UNITS: DATE_UNITS,
+    Expression: Expression,
+    toExpression: toExpression,
+    field: field,
+    value: value,
+    variable: variable,
+    cond: cond,
+    raw: raw
+};
@@ -0,0 +1,213 @@
+/**
+ * GeoJSON helpers for the geospatial queries of
+ * {@link FieldQueryBuilder}, with the validation of coordinates.
+ * Positions are [longitude, latitude], in that order, as in GeoJSON.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+
+/**
+ * The radius of the Earth, by distance unit, to convert distances to
+ * radians for $centerSphere.
+ * @type {Object.<string, number>}
+ */
+var EARTH_RADIUS = {
+    m: 6378100,
+    km: 6378.1,
+    mi: 3963.2
+};
+
+/**
+ * The GeoJSON geometry types.
+ * @type {Array.<string>}
+ */
+var GEOMETRY_TYPES = ["Point", "MultiPoint", "LineString", "MultiLineString", "Polygon", "MultiPolygon"];
+
+/**
+ * Validates a position, i.e. [longitude, latitude].
+ * @param {*} position
+ * @returns {Array.<number>} the position.
+ * @private
+ */
+function _validatePosition(position) {
+    if (!Array.isArray(position) || position.length < 2 || position.length > 3 ||
+        typeof position[0] != "number" || typeof position[1] != "number" || !isFinite(position[0]) || !isFinite(position[1])) {
+        throw new errors.InvalidValueError("Invalid position, should be [longitude, latitude]: " + dataUtils.JSONstringify(position));
+    }
+    var lng = position[0];
+    var lat = position[1];
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+        var swapped = lat >= -180 && lat <= 180 && lng >= -90 && lng <= 90;
+        throw new errors.InvalidValueError("Invalid position, longitude should be within -180 and 180, and latitude within -90 and 90" +
+            (swapped ? " (are they swapped? positions are [longitude, latitude])" : "") + ": " + dataUtils.JSONstringify(position));
+    }
+    return position;
+}
+
+/**
+ * Validates a list of positions.
+ * @param {*} positions
+ * @param {number} min The minimum number of positions.
+ * @param {string} what What the positions are, for the errors.
+ * @returns {Array.<Array.<number>>} the positions.
+ * @private
+ */
+function _validatePositions(positions, min, what) {
+    if (!Array.isArray(positions) || positions.length < min) throw new errors.InvalidValueError("Invalid " + what + ", should have at least " + min + " positions: " + dataUtils.JSONstringify(positions));
+    for (var i = 0; i < positions.length; ++i) _validatePosition(positions[i]);
+    return positions;
+}
+
+/**
+ * Validates a linear ring of a polygon, which should be closed, i.e.
+ * end at its first position, and have at least 4 positions.
+ * @param {*} ring
+ * @returns {Array.<Array.<number>>} the ring.
+ * @private
+ */
+function _validateRing(ring) {
+    _validatePositions(ring, 4, "polygon ring");
+    var first = ring[0];
+    var last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) throw new errors.InvalidValueError("Invalid polygon ring, should be closed, i.e. end at its first position: " + dataUtils.JSONstringify(ring));
+    return ring;
+}
+
+/**
+ * Validates the rings of a polygon.
+ * @param {*} rings
+ * @returns {Array.<Array.<Array.<number>>>} the rings.
+ * @private
+ */
+function _validateRings(rings) {
+    if (!Array.isArray(rings) || !rings.length) throw new errors.InvalidValueError("Invalid polygon, should have at least one ring: " + dataUtils.JSONstringify(rings));
+    for (var i = 0; i < rings.length; ++i) _validateRing(rings[i]);
+    return rings;
+}
+
+/**
+ * Validates a GeoJSON geometry, including its coordinates.
+ * @param {*} geometry
+ * @returns {{type: string, coordinates: Array}} the geometry.
+ */
+function validate(geometry) {
+    if (!dataUtils.isJSON(geometry) || GEOMETRY_TYPES.indexOf(geometry.type) < 0) {
+        throw new errors.InvalidValueError("Invalid GeoJSON geometry, should have a type out of " + GEOMETRY_TYPES.join(", ") + ": " + dataUtils.JSONstringify(geometry));
+    }
+    var coordinates = geometry.coordinates;
+    var i;
+    switch (geometry.type) {
+        case "Point":
+            _validatePosition(coordinates);
+            break;
+        case "MultiPoint":
+            _validatePositions(coordinates, 1, "MultiPoint");
+            break;
+        case "LineString":
+            _validatePositions(coordinates, 2, "LineString");
+            break;
+        case "MultiLineString":
+            if (!Array.isArray(coordinates) || !coordinates.length) throw new errors.InvalidValueError("Invalid MultiLineString, should have at least one line: " + dataUtils.JSONstringify(coordinates));
+            for (i = 0; i < coordinates.length; ++i) _validatePositions(coordinates[i], 2, "LineString");
+            break;
+        case "Polygon":
+            _validateRings(coordinates);
+            break;
+        case "MultiPolygon":
+            if (!Array.isArray(coordinates) || !coordinates.length) throw new errors.InvalidValueError("Invalid MultiPolygon, should have at least one polygon: " + dataUtils.JSONstringify(coordinates));
+            for (i = 0; i < coordinates.length; ++i) _validateRings(coordinates[i]);
+            break;
+    }
+    return geometry;
+}
+
+/**
+ * Returns the position of a point, given either as a position or as
+ * a GeoJSON Point.
+ * @param {Array.<number>|{type: string, coordinates: Array.<number>}} point
+ * @returns {Array.<number>} the position, [longitude, latitude].
+ */
+function position(point) {
+    if (dataUtils.isJSON(point)) {
+        if (point.type != "Point") throw new errors.InvalidValueError("Invalid point, should be a GeoJSON Point or [longitude, latitude]: " + dataUtils.JSONstringify(point));
+        return _validatePosition(point.coordinates);
+    }
+    return _validatePosition(point);
+}
+
+/**
+ * Creates a GeoJSON Point.
+ * @param {number|Array.<number>} lng The longitude, or the position.
+ * @param {number} [lat] The latitude.
+ * @returns {{type: string, coordinates: Array.<number>}} the Point.
+ */
+function point(lng, lat) {
+    return {type: "Point", coordinates: _validatePosition(Array.isArray(lng) ? lng.slice() : [lng, lat])};
+}
+
+/**
+ * Creates a GeoJSON MultiPoint.
+ * @param {Array.<Array.<number>>} positions
+ * @returns {{type: string, coordinates: Array}} the MultiPoint.
+ */
+function multiPoint(positions) {
+    return validate({type: "MultiPoint", coordinates: positions});
+}
+
+/**
+ * Creates a GeoJSON LineString.
+ * @param {Array.<Array.<number>>} positions
+ * @returns {{type: string, coordinates: Array}} the LineString.
+ */
+function lineString(positions) {
+    return validate({type: "LineString", coordinates: positions});
+}
+
+/**
+ * Creates a GeoJSON Polygon, from its rings, the first of which is the
+ * exterior, and the others holes. A single ring can also be given as
+ * it is.
+ * @param {Array.<Array.<Array.<number>>>|Array.<Array.<number>>} rings
+ * @returns {{type: string, coordinates: Array}} the Polygon.
+ */
+function polygon(rings) {
+    if (Array.isArray(rings) && Array.isArray(rings[0]) && typeof rings[0][0] == "number") rings = [rings];
+    return validate({type: "Polygon", coordinates: rings});
+}
+
+/**
+ * Creates a GeoJSON MultiPolygon.
+ * @param {Array.<Array.<Array.<Array.<number>>>>} polygons The rings of
+ * each polygon.
+ * @returns {{type: string, coordinates: Array}} the MultiPolygon.
+ */
+function multiPolygon(polygons) {
+    return validate({type: "MultiPolygon", coordinates: polygons});
+}
+
+/**
+ * Converts a distance on the Earth to radians, e.g. for
+ * {@link FieldQueryBuilder#withinCenterSphere}().
+ * @param {number} distance
+ * @param {string} [unit="km"] "m", "km" or "mi".
+ * @returns {number} the radians.
+ */
+function radians(distance, unit) {
+    unit = unit || "km";
+    if (!EARTH_RADIUS.hasOwnProperty(unit)) throw new errors.InvalidValueError("Invalid distance unit, should be one of " + Object.keys(EARTH_RADIUS).join(", ") + ": " + dataUtils.JSONstringify(unit));
+    if (typeof distance != "number" || !(distance >= 0)) throw new errors.InvalidValueError("Invalid distance, should be a non-negative number: " + dataUtils.JSONstringify(distance));
+    return distance / EARTH_RADIUS[unit];
+}
+
+module.exports = {
+    EARTH_RADIUS: EARTH_RADIUS,
+    GEOMETRY_TYPES: GEOMETRY_TYPES,
+    validate: validate,
+    position: position,
+    point: point,
+    multiPoint: multiPoint,
+    lineString: lineString,
+    polygon: polygon,
+    multiPolygon: multiPolygon,
+    radians: radians
+};
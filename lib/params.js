@@ -0,0 +1,296 @@
+/**
+ * Maps request query parameters, like:
+ * <pre>?age[gte]=21&status=open,closed&q=foo</pre>
+ * onto query builder calls, as declared by a filter spec.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+var schema = require('./schema');
+
+/**
+ * The parameter operators, with the query builder comparators
+ * they map to.
+ * @type {Object.<string, string>}
+ */
+var OPERATORS = {
+    eq: "$eq",
+    ne: "$ne",
+    gt: "$gt",
+    gte: "$gte",
+    lt: "$lt",
+    lte: "$lte",
+    in: "$in",
+    nin: "$nin",
+    exists: "$exists"
+};
+
+/**
+ * The search methods of {@link SearchQueryBuilder} that a search
+ * parameter can use.
+ * @type {Array.<string>}
+ */
+var SEARCH_MODES = ["in", "anyIn", "inAny", "anyInAny"];
+
+/**
+ * Parameter names and operators that are skipped, as they would reach
+ * the prototypes of the folded objects.
+ * @type {Array.<string>}
+ * @private
+ */
+var _UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Returns true for missing and empty parameter values, which are
+ * skipped.
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _isEmpty(value) {
+    return value === undefined || value === null ||
+        (typeof value == "string" && !value.trim().length) ||
+        (Array.isArray(value) && !value.length);
+}
+
+/**
+ * Folds flat parameter keys like "age[gte]" into nested objects like
+ * {age: {gte: ...}}, as done by most query string parsers already.
+ * Keys like __proto__ are skipped.
+ * @param {{}} params The request query parameters.
+ * @returns {{}} the folded parameters.
+ * @private
+ */
+function _foldParams(params) {
+    var folded = {};
+    var match;
+    for (var key in params) {
+        if (!_hasOwn(params, key) || _UNSAFE_KEYS.indexOf(key) >= 0) continue;
+        match = key.match(/^([^\[\]]+)\[([^\[\]]+)\]$/);
+        if (match) {
+            if (_UNSAFE_KEYS.indexOf(match[1]) >= 0 || _UNSAFE_KEYS.indexOf(match[2]) >= 0) continue;
+            if (!_hasOwn(folded, match[1]) || !dataUtils.isJSON(folded[match[1]])) folded[match[1]] = {};
+            folded[match[1]][match[2]] = params[key];
+        } else if (!_hasOwn(folded, key)) {
+            folded[key] = params[key];
+        }
+    }
+    return folded;
+}
+
+/**
+ * Checks for an own property, also on objects without a prototype,
+ * like those of the querystring module, or with a "hasOwnProperty"
+ * parameter.
+ * @param {{}} object
+ * @param {string} key
+ * @returns {boolean}
+ * @private
+ */
+function _hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Validates a filter spec entry.
+ * @param {string} param The parameter name.
+ * @param {{}} entry The spec entry.
+ * @private
+ */
+function _validateEntry(param, entry) {
+    if (!dataUtils.isJSON(entry)) throw new errors.InvalidValueError("Invalid filter spec for " + param + ", should be a JSON: " + dataUtils.JSONstringify(entry));
+    if (entry.search) {
+        if (!Array.isArray(entry.search) || !entry.search.length) throw new errors.InvalidValueError("Invalid filter spec for " + param + ", search should be a non-empty array of fields: " + dataUtils.JSONstringify(entry.search));
+        if (entry.mode && SEARCH_MODES.indexOf(entry.mode) < 0) throw new errors.InvalidValueError("Invalid filter spec for " + param + ", mode should be one of " + SEARCH_MODES.join(", ") + ": " + dataUtils.JSONstringify(entry.mode));
+        return;
+    }
+    if (entry.type && !schema.COERCIONS.hasOwnProperty(entry.type)) throw new errors.InvalidValueError("Invalid filter spec for " + param + ", unknown type: " + dataUtils.JSONstringify(entry.type));
+    var operators = entry.operators || [];
+    for (var i = 0; i < operators.length; ++i) {
+        if (!OPERATORS.hasOwnProperty(operators[i])) throw new errors.InvalidOperatorError("Invalid filter spec for " + param + ", unknown operator: " + dataUtils.JSONstringify(operators[i]), {operator: operators[i]});
+    }
+}
+
+/**
+ * Applies request query parameters to a query builder, as declared
+ * by the filter spec. Parameters not in the spec are ignored, and
+ * missing or empty ones are skipped, unless they have a default.
+ * <p>For example, the spec:
+ * <pre>{
+ *   age: {type: "number", operators: ["eq", "gte", "lte"]},
+ *   status: {operators: ["eq", "in"], default: "open"},
+ *   q: {search: ["title", "body"]}
+ * }</pre>
+ * maps the parameters of ?age[gte]=21&status=open,closed&q=foo to:
+ * <pre>builder.field("age").is("$gte", 21)
+ *     .field("status").matchesAny(["open", "closed"])
+ *     .search("foo").inAny("title", "body");</pre>
+ * A parameter with an operator, like age[gte], uses that operator. A
+ * list of values, either separated like open,closed or repeated, uses
+ * "in", and a single value "eq".
+ * @param {QueryBuilder} builder The query builder.
+ * @param {{}} params The request query parameters, e.g. req.query.
+ * @param {Object.<string, {}>} spec The filter spec, by parameter.
+ * Each entry has:
+ * <ul>
+ * <li>field: the document field, by default the parameter name.</li>
+ * <li>type: "string" (default), "number", "boolean", "date" or "objectId",
+ * to coerce the values to.</li>
+ * <li>operators: the allowed operators, out of eq, ne, gt, gte, lt, lte,
+ * in, nin and exists. By default, eq and in.</li>
+ * <li>default: the value to use when the parameter is missing or empty.</li>
+ * <li>separator: the list separator, by default a comma.</li>
+ * <li>search: the fields to {@link QueryBuilder#search}() in, instead
+ * of a field.</li>
+ * <li>mode: the search method, out of in, anyIn, inAny (default) and
+ * anyInAny.</li>
+ * </ul>
+ * @returns {Array.<{param: string, operator: string, value: *, code: string, message: string}>}
+ * the errors for invalid parameters, which are not applied.
+ */
+function applyParams(builder, params, spec) {
+    if (!dataUtils.isJSON(spec)) throw new errors.InvalidValueError("Invalid filter spec, should be a JSON: " + dataUtils.JSONstringify(spec));
+    params = _foldParams(dataUtils.isJSON(params) ? params : {});
+
+    var problems = [];
+    var names = Object.keys(spec);
+    var i, param, entry, value;
+    for (i = 0; i < names.length; ++i) {
+        param = names[i];
+        entry = spec[param];
+        _validateEntry(param, entry);
+
+        value = _hasOwn(params, param) ? params[param] : undefined;
+        if (_isEmpty(value)) value = entry.default;
+        if (_isEmpty(value)) continue;
+
+        if (entry.search) {
+            _applySearch(builder, param, entry, value, problems);
+        } else {
+            _applyField(builder, param, entry, value, problems);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Applies a search parameter.
+ * @param {QueryBuilder} builder The query builder.
+ * @param {string} param The parameter name.
+ * @param {{}} entry The spec entry.
+ * @param {*} value The parameter value.
+ * @param {Array.<{}>} problems The errors to add to.
+ * @private
+ */
+function _applySearch(builder, param, entry, value, problems) {
+    if (typeof value != "string") {
+        problems.push(_error(param, null, value, "invalid_value", "should be a string"));
+        return;
+    }
+    var searchBuilder = builder.search(value);
+    searchBuilder[entry.mode || "inAny"].apply(searchBuilder, entry.search);
+}
+
+/**
+ * Applies a field parameter.
+ * @param {QueryBuilder} builder The query builder.
+ * @param {string} param The parameter name.
+ * @param {{}} entry The spec entry.
+ * @param {*} value The parameter value, or values by operator.
+ * @param {Array.<{}>} problems The errors to add to.
+ * @private
+ */
+function _applyField(builder, param, entry, value, problems) {
+    var allowed = entry.operators || ["eq", "in"];
+    var separator = entry.separator || ",";
+
+    // values by operator
+    var byOperator = {};
+    if (dataUtils.isJSON(value)) {
+        byOperator = value;
+    } else if (Array.isArray(value) || (typeof value == "string" && value.indexOf(separator) >= 0 && allowed.indexOf("in") >= 0)) {
+        byOperator["in"] = value;
+    } else {
+        byOperator.eq = value;
+    }
+
+    var operators = Object.keys(byOperator);
+    var operator, operatorValue, coerced;
+    for (var i = 0; i < operators.length; ++i) {
+        operator = operators[i];
+        operatorValue = byOperator[operator];
+        if (_isEmpty(operatorValue)) continue;
+        if (!OPERATORS.hasOwnProperty(operator)) {
+            problems.push(_error(param, operator, operatorValue, "unknown_operator", "unknown operator " + operator));
+            continue;
+        }
+        if (allowed.indexOf(operator) < 0) {
+            problems.push(_error(param, operator, operatorValue, "operator_not_allowed", "operator " + operator + " is not allowed"));
+            continue;
+        }
+
+        coerced = _coerceValue(operator, operatorValue, entry.type || "string", separator);
+        if (coerced === undefined) {
+            problems.push(_error(param, operator, operatorValue, "invalid_value",
+                "should be " + (operator == "exists" ? "a boolean" : (operator == "in" || operator == "nin" ? "a list of " : "a ") + (entry.type || "string"))));
+            continue;
+        }
+
+        if (operator == "eq") builder.field(entry.field || param).matches(coerced);
+        else if (operator == "in") builder.field(entry.field || param).matchesAny(coerced);
+        else builder.field(entry.field || param).is(OPERATORS[operator], coerced);
+    }
+}
+
+/**
+ * Coerces a parameter value for an operator.
+ * @param {string} operator The parameter operator.
+ * @param {*} value The parameter value.
+ * @param {string} type The type to coerce to.
+ * @param {string} separator The list separator.
+ * @returns {*} the coerced value, or undefined if invalid.
+ * @private
+ */
+function _coerceValue(operator, value, type, separator) {
+    if (operator == "exists") return schema.COERCIONS.boolean(value);
+    if (operator != "in" && operator != "nin") {
+        return Array.isArray(value) || dataUtils.isJSON(value) ? undefined : schema.COERCIONS[type](typeof value == "string" ? value.trim() : value);
+    }
+
+    var values = Array.isArray(value) ? value : typeof value == "string" ? value.split(separator) : [value];
+    var coerced = [];
+    var v;
+    for (var i = 0; i < values.length; ++i) {
+        if (_isEmpty(values[i])) continue;
+        v = schema.COERCIONS[type](typeof values[i] == "string" ? values[i].trim() : values[i]);
+        if (v === undefined) return undefined;
+        coerced.push(v);
+    }
+    return coerced.length ? coerced : undefined;
+}
+
+/**
+ * Creates an error for an invalid parameter.
+ * @param {string} param The parameter name.
+ * @param {?string} operator The parameter operator.
+ * @param {*} value The parameter value.
+ * @param {string} code The error code.
+ * @param {string} message The error message.
+ * @returns {{param: string, operator: ?string, value: *, code: string, message: string}}
+ * the error.
+ * @private
+ */
+function _error(param, operator, value, code, message) {
+    return {
+        param: param,
+        operator: operator,
+        value: value,
+        code: code,
+        message: "Invalid " + param + (operator ? "[" + operator + "]" : "") + ": " + message
+    };
+}
+
+module.exports = {
+    OPERATORS: OPERATORS,
+    SEARCH_MODES: SEARCH_MODES,
+    applyParams: applyParams
+};
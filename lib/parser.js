@@ -0,0 +1,317 @@
+/**
+ * Parses text filters, like:
+ * <pre>status in (open, pending) and (age >= 21 or vip = true) and name ~ "smi*"</pre>
+ * and applies them to query builders. Values are always literals, and
+ * fields and operators can be restricted, so that filters are safe to
+ * accept from clients.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+
+/**
+ * The comparison operators, with the query builder comparators
+ * they map to.
+ * @type {Object.<string, string>}
+ */
+var COMPARATORS = {
+    "=": "$eq",
+    "!=": "$ne",
+    ">": "$gt",
+    ">=": "$gte",
+    "<": "$lt",
+    "<=": "$lte"
+};
+
+/**
+ * All the filter operators.
+ * @type {Array.<string>}
+ */
+var OPERATORS = Object.keys(COMPARATORS).concat(["in", "not in", "~", "exists", "not exists"]);
+
+/**
+ * Maximum nesting depth of parentheses and NOTs.
+ * @type {number}
+ */
+var MAX_DEPTH = 32;
+
+/**
+ * Regular expressions for the filter tokens, tried in order.
+ * @type {Array.<{type: string, regex: RegExp}>}
+ * @private
+ */
+var _TOKEN_TYPES = [
+    {type: "space", regex: /^\s+/},
+    {type: "punctuation", regex: /^[(),]/},
+    {type: "operator", regex: /^(>=|<=|!=|=|>|<|~)/},
+    {type: "string", regex: /^("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')/},
+    {type: "number", regex: /^-?\d+(\.\d+)?(?![\w.])/},
+    {type: "word", regex: /^[A-Za-z_][\w.]*/}
+];
+
+/**
+ * Creates a syntax error.
+ * @param {string} message
+ * @param {number} position Position in the filter string.
+ * @param {{field: string, operator: string}} [details] The field and
+ * operator concerned, if any.
+ * @returns {FilterSyntaxError} the error.
+ * @private
+ */
+function _syntaxError(message, position, details) {
+    details = details || {};
+    return new errors.FilterSyntaxError("Filter syntax error at position " + position + ": " + message,
+        {position: position, field: details.field, operator: details.operator});
+}
+
+/**
+ * Splits a filter string into tokens.
+ * @param {string} str The filter string.
+ * @returns {Array.<{type: string, value: *, text: string, position: number}>}
+ * the tokens.
+ * @private
+ */
+function _tokenize(str) {
+    var tokens = [];
+    var position = 0;
+    var rest, match, type, i;
+    while (position < str.length) {
+        rest = str.substr(position);
+        match = null;
+        for (i = 0; i < _TOKEN_TYPES.length && !match; ++i) {
+            match = rest.match(_TOKEN_TYPES[i].regex);
+            type = _TOKEN_TYPES[i].type;
+        }
+        if (!match) throw _syntaxError("unexpected character " + dataUtils.JSONstringify(rest.charAt(0)), position);
+
+        if (type != "space") {
+            tokens.push({type: type, value: _tokenValue(type, match[0]), text: match[0], position: position});
+        }
+        position += match[0].length;
+    }
+    return tokens;
+}
+
+/**
+ * Returns the value of a token.
+ * @param {string} type The token type.
+ * @param {string} text The token text.
+ * @returns {*} the value.
+ * @private
+ */
+function _tokenValue(type, text) {
+    if (type == "number") return parseFloat(text);
+    if (type == "string") return text.substr(1, text.length - 2).replace(/\\(.)/g, "$1");
+    return text;
+}
+
+/**
+ * Parses a filter string into a syntax tree.
+ * <p>For example, the filter:
+ * <pre>age >= 21 or vip = true</pre>
+ * is parsed into:
+ * <pre>{type: "or", operands: [
+ *   {type: "compare", field: "age", operator: ">=", value: 21},
+ *   {type: "compare", field: "vip", operator: "=", value: true}
+ * ]}</pre>
+ * @param {string} str The filter string.
+ * @param {{}} [options]
+ * @param {Array.<string>|Object.<string, boolean|Array.<string>>} [options.fields]
+ * The allowed fields, or the allowed operators by field. By default,
+ * all fields are allowed.
+ * @param {Array.<string>} [options.operators] The allowed operators, out
+ * of {@link OPERATORS}. By default, all are allowed.
+ * @returns {null|{type: string}} the syntax tree, or null for an empty
+ * filter.
+ */
+function parse(str, options) {
+    if (typeof str != "string") throw new errors.InvalidValueError("Invalid filter, should be a string: " + dataUtils.JSONstringify(str));
+    options = options || {};
+
+    var tokens = _tokenize(str);
+    var index = 0;
+
+    function peek() {
+        return tokens[index];
+    }
+
+    function isKeyword(token, keyword) {
+        return token && token.type == "word" && token.value.toLowerCase() == keyword;
+    }
+
+    function isPunctuation(token, punctuation) {
+        return token && token.type == "punctuation" && token.value == punctuation;
+    }
+
+    function expect(punctuation) {
+        var token = tokens[index];
+        if (!isPunctuation(token, punctuation)) {
+            throw _syntaxError("expected \"" + punctuation + "\"" + (token ? " but found \"" + token.text + "\"" : " but reached the end"),
+                token ? token.position : str.length);
+        }
+        ++index;
+    }
+
+    function checkAllowed(field, fieldPosition, operator, operatorPosition) {
+        if (options.fields) {
+            var allowed = Array.isArray(options.fields) ? options.fields.indexOf(field) >= 0 :
+                options.fields.hasOwnProperty(field) && options.fields[field];
+            if (!allowed) throw _syntaxError("field \"" + field + "\" is not allowed", fieldPosition, {field: field});
+            if (Array.isArray(allowed) && allowed.indexOf(operator) < 0) {
+                throw _syntaxError("operator \"" + operator + "\" is not allowed for field \"" + field + "\"", operatorPosition,
+                    {field: field, operator: operator});
+            }
+        }
+        if (options.operators && options.operators.indexOf(operator) < 0) {
+            throw _syntaxError("operator \"" + operator + "\" is not allowed", operatorPosition, {operator: operator});
+        }
+    }
+
+    function parseValue() {
+        var token = tokens[index];
+        if (!token || token.type == "punctuation" || token.type == "operator") {
+            throw _syntaxError("expected a value" + (token ? " but found \"" + token.text + "\"" : " but reached the end"),
+                token ? token.position : str.length);
+        }
+        ++index;
+        if (token.type == "word") {
+            var lower = token.value.toLowerCase();
+            if (lower == "true") return true;
+            if (lower == "false") return false;
+            if (lower == "null") return null;
+        }
+        return token.value;
+    }
+
+    function parseComparison() {
+        var token = tokens[index];
+        if (!token || token.type != "word") {
+            throw _syntaxError("expected a field" + (token ? " but found \"" + token.text + "\"" : " but reached the end"),
+                token ? token.position : str.length);
+        }
+        var field = token.value;
+        ++index;
+
+        var operatorToken = tokens[index];
+        var operator;
+        if (isKeyword(operatorToken, "not") && (isKeyword(tokens[index + 1], "in") || isKeyword(tokens[index + 1], "exists"))) {
+            operator = "not " + tokens[index + 1].value.toLowerCase();
+            index += 2;
+        } else if (isKeyword(operatorToken, "in") || isKeyword(operatorToken, "exists")) {
+            operator = operatorToken.value.toLowerCase();
+            ++index;
+        } else if (operatorToken && operatorToken.type == "operator") {
+            operator = operatorToken.value;
+            ++index;
+        } else {
+            throw _syntaxError("expected an operator after \"" + field + "\"" +
+                (operatorToken ? " but found \"" + operatorToken.text + "\"" : " but reached the end"),
+                operatorToken ? operatorToken.position : str.length);
+        }
+        checkAllowed(field, token.position, operator, operatorToken.position);
+
+        var node = {type: "compare", field: field, operator: operator, position: token.position};
+        if (operator == "in" || operator == "not in") {
+            expect("(");
+            node.value = [parseValue()];
+            while (isPunctuation(peek(), ",")) {
+                ++index;
+                node.value.push(parseValue());
+            }
+            expect(")");
+        } else if (operator == "~") {
+            var textToken = tokens[index];
+            node.value = parseValue();
+            if (typeof node.value != "string") throw _syntaxError("expected a search string", textToken.position);
+        } else if (operator != "exists" && operator != "not exists") {
+            node.value = parseValue();
+        }
+        return node;
+    }
+
+    function parsePrimary(depth) {
+        if (depth > MAX_DEPTH) throw _syntaxError("too deeply nested", peek() ? peek().position : str.length);
+        if (isKeyword(peek(), "not")) {
+            ++index;
+            return {type: "not", operand: parsePrimary(depth + 1)};
+        }
+        if (isPunctuation(peek(), "(")) {
+            ++index;
+            var node = parseOr(depth + 1);
+            expect(")");
+            return node;
+        }
+        return parseComparison();
+    }
+
+    function parseBinary(keyword, parseOperand, depth) {
+        var operands = [parseOperand(depth)];
+        while (isKeyword(peek(), keyword)) {
+            ++index;
+            operands.push(parseOperand(depth));
+        }
+        return operands.length == 1 ? operands[0] : {type: keyword, operands: operands};
+    }
+
+    function parseAnd(depth) {
+        return parseBinary("and", parsePrimary, depth);
+    }
+
+    function parseOr(depth) {
+        return parseBinary("or", parseAnd, depth);
+    }
+
+    if (!tokens.length) return null;
+    var tree = parseOr(0);
+    if (index < tokens.length) throw _syntaxError("unexpected \"" + tokens[index].text + "\"", tokens[index].position);
+    return tree;
+}
+
+/**
+ * Applies a filter syntax tree to a query builder.
+ * @param {QueryBuilder} builder The query builder.
+ * @param {null|{type: string}} tree The syntax tree from {@link parse}().
+ * @returns {QueryBuilder} the query builder.
+ */
+function apply(builder, tree) {
+    if (!tree) return builder;
+
+    var i, child;
+    switch (tree.type) {
+        case "and":
+            for (i = 0; i < tree.operands.length; ++i) {
+                apply(builder, tree.operands[i]);
+            }
+            return builder;
+        case "or":
+            child = builder.either();
+            for (i = 0; i < tree.operands.length; ++i) {
+                if (i) child = child.or();
+                apply(child, tree.operands[i]);
+            }
+            return child.end();
+        case "not":
+            return apply(builder.not(), tree.operand).end();
+        default: // compare
+            switch (tree.operator) {
+                case "=":
+                    return builder.field(tree.field).matches(tree.value);
+                case "in":
+                    return builder.field(tree.field).matchesAny(tree.value);
+                case "not in":
+                    return builder.field(tree.field).is("$nin", tree.value);
+                case "~":
+                    return builder.search(tree.value).in(tree.field);
+                case "exists":
+                case "not exists":
+                    return builder.field(tree.field).is("$exists", tree.operator == "exists");
+                default:
+                    return builder.field(tree.field).is(COMPARATORS[tree.operator], tree.value);
+            }
+    }
+}
+
+module.exports = {
+    OPERATORS: OPERATORS,
+    parse: parse,
+    apply: apply
+};
@@ -0,0 +1,312 @@
+/**
+ * Describes the fields of documents, to validate the fields of
+ * queries and to coerce their values. A schema maps field names to
+ * types, like:
+ * <pre>{
+ *   name: "string",
+ *   age: "number",
+ *   createdAt: "date",
+ *   owner: "objectId",
+ *   tags: ["string"],
+ *   address: {city: "string", zip: "string"},
+ *   items: [{sku: "string", qty: "number"}],
+ *   extra: "mixed"
+ * }</pre>
+ * An array holds its element type, and an object describes an
+ * embedded document. Fields of type "mixed" are not checked, and
+ * neither are their sub-fields. The _id field is implicitly declared
+ * as an "objectId", unless the schema declares it.
+ * <p>Values of "objectId" fields are ObjectIds, i.e. objects with a
+ * toHexString() method, or 24 character hex strings.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+var evaluator = require('./evaluator');
+
+/**
+ * Functions coercing values to each type. They return undefined for
+ * values that cannot be coerced.
+ * @type {Object.<string, function(*):*>}
+ */
+var COERCIONS = {
+    string: function (value) {
+        return typeof value == "string" ? value : typeof value == "number" || typeof value == "boolean" ? String(value) : undefined;
+    },
+    number: function (value) {
+        if (typeof value == "number") return isFinite(value) ? value : undefined;
+        if (typeof value != "string" || !/^\s*-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(value)) return undefined;
+        return parseFloat(value);
+    },
+    boolean: function (value) {
+        if (typeof value == "boolean") return value;
+        var lower = String(value).toLowerCase();
+        if (lower == "true" || lower == "1" || lower == "yes") return true;
+        if (lower == "false" || lower == "0" || lower == "no") return false;
+        return undefined;
+    },
+    date: function (value) {
+        var date = value instanceof Date ? value :
+            typeof value == "number" || /^\d+$/.test(value) ? new Date(+value) :
+                typeof value == "string" ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? date : undefined;
+    },
+    objectId: function (value) {
+        if (value && typeof value == "object" && typeof value.toHexString == "function") return value;
+        return typeof value == "string" && /^[0-9a-f]{24}$/i.test(value) ? value : undefined;
+    }
+};
+
+/**
+ * The field types, besides embedded documents and arrays.
+ * @type {Array.<string>}
+ */
+var TYPES = Object.keys(COERCIONS).concat(["mixed"]);
+
+/**
+ * The types that can be compared with $gt, $gte, $lt and $lte.
+ * @type {Array.<string>}
+ * @private
+ */
+var _ORDERED_TYPES = ["string", "number", "date", "objectId"];
+
+/**
+ * Validates a schema.
+ * @param {{}} schema The schema.
+ * @param {string} [path] The path of the schema, if embedded.
+ */
+function validate(schema, path) {
+    if (!dataUtils.isJSON(schema)) throw new errors.InvalidValueError("Invalid schema" + (path ? " for field " + path : "") + ", should be a JSON: " + dataUtils.JSONstringify(schema), {code: "INVALID_SCHEMA", field: path});
+    var fields = Object.keys(schema);
+    for (var i = 0; i < fields.length; ++i) {
+        _validateType(schema[fields[i]], path ? path + "." + fields[i] : fields[i]);
+    }
+}
+
+/**
+ * Validates the type of a schema field.
+ * @param {*} type The type.
+ * @param {string} path The field path.
+ * @private
+ */
+function _validateType(type, path) {
+    if (Array.isArray(type)) {
+        if (type.length != 1) throw new errors.InvalidValueError("Invalid schema for field " + path + ", an array should hold exactly one element type: " + dataUtils.JSONstringify(type), {code: "INVALID_SCHEMA", field: path});
+        _validateType(type[0], path);
+    } else if (dataUtils.isJSON(type)) {
+        validate(type, path);
+    } else if (TYPES.indexOf(type) < 0) {
+        throw new errors.InvalidValueError("Invalid schema for field " + path + ", unknown type: " + dataUtils.JSONstringify(type), {code: "INVALID_SCHEMA", field: path});
+    }
+}
+
+/**
+ * Returns the type name of a schema field type.
+ * @param {*} type The type.
+ * @returns {string} the type name, or "object" for embedded documents.
+ * @private
+ */
+function _typeName(type) {
+    if (dataUtils.isJSON(type)) return "object";
+    // arrays of arrays are not checked
+    if (Array.isArray(type)) return "mixed";
+    return type;
+}
+
+/**
+ * Resolves a dotted path in a schema. Arrays met along the path are
+ * traversed element-wise, and numeric path parts index into them.
+ * @param {{}} schema The schema.
+ * @param {string} path The field path.
+ * @returns {{type: string, array: boolean, traversed: boolean, schema: *}}
+ * the field type name, whether the field holds an array, whether an
+ * array was traversed to reach the field, and the field schema.
+ */
+function resolve(schema, path) {
+    var type = schema;
+    var traversed = false;
+    var parts = path.split(".");
+    if (parts[0] == "_id" && !schema.hasOwnProperty("_id")) type = {_id: "objectId"};
+    for (var i = 0; i < parts.length; ++i) {
+        if (type == "mixed") break;
+        if (Array.isArray(type)) {
+            type = type[0];
+            if (/^\d+$/.test(parts[i])) continue;
+            traversed = true;
+            if (type == "mixed") break;
+        }
+        if (!dataUtils.isJSON(type) || !type.hasOwnProperty(parts[i])) throw new errors.InvalidFieldError("Unknown field, not in the schema: " + dataUtils.JSONstringify(path), {code: "UNKNOWN_FIELD", field: path});
+        type = type[parts[i]];
+    }
+    var array = Array.isArray(type);
+    return {
+        type: _typeName(array ? type[0] : type),
+        array: array,
+        traversed: traversed,
+        schema: array ? type[0] : type
+    };
+}
+
+/**
+ * Checks whether a field always holds a single value, i.e. it is in
+ * the schema, and neither an array, nor in one, nor "mixed".
+ * @param {{}} schema The schema.
+ * @param {string} path The field path.
+ * @returns {boolean} true if the field is a scalar field.
+ */
+function isScalar(schema, path) {
+    var field;
+    try {
+        field = resolve(schema, path);
+    } catch (e) {
+        if (e instanceof errors.InvalidFieldError) return false;
+        throw e;
+    }
+    return !field.array && !field.traversed && field.type != "mixed";
+}
+
+/**
+ * Returns the schema of the elements of an array field, for
+ * conditions on them with $elemMatch.
+ * @param {{}} schema The schema.
+ * @param {string} path The field path.
+ * @returns {?{}} the element schema, or null if the elements are
+ * not embedded documents, or are not checked.
+ */
+function elementSchema(schema, path) {
+    var field = resolve(schema, path);
+    if (field.type == "mixed") return null;
+    _checkOperator(path, field.array, "$elemMatch", "an array field");
+    return field.type == "object" ? field.schema : null;
+}
+
+/**
+ * Checks that a field allows an operator.
+ * @param {string} path The field path.
+ * @param {boolean} allowed
+ * @param {string} operator
+ * @param {string} requirement The fields allowing the operator.
+ * @private
+ */
+function _checkOperator(path, allowed, operator, requirement) {
+    if (!allowed) throw new errors.InvalidOperatorError("Invalid operator for field " + dataUtils.JSONstringify(path) + ": " + operator + " needs " + requirement, {field: path, operator: operator});
+}
+
+/**
+ * Coerces a single value to the type of a field.
+ * @param {string} path The field path.
+ * @param {{type: string}} field The resolved field.
+ * @param {*} value
+ * @returns {*} the coerced value.
+ * @private
+ */
+function _coerceScalar(path, field, value) {
+    var coerced = COERCIONS[field.type] ? COERCIONS[field.type](value) : undefined;
+    if (coerced === undefined) throw new errors.InvalidValueError("Invalid value for field " + dataUtils.JSONstringify(path) + ", should be of type " + field.type + ": " + dataUtils.JSONstringify(value), {field: path});
+    return coerced;
+}
+
+/**
+ * Coerces a value matched for equality with a field. RegExps are
+ * allowed for string fields, and arrays for array fields.
+ * @param {string} path The field path.
+ * @param {{type: string, array: boolean}} field The resolved field.
+ * @param {*} value
+ * @returns {*} the coerced value.
+ * @private
+ */
+function _coerceEquality(path, field, value) {
+    if (value === null) return value;
+    if (value instanceof RegExp) {
+        _checkOperator(path, field.type == "string", "a RegExp", "a string field");
+        return value;
+    }
+    if (field.array && Array.isArray(value)) {
+        return value.map(function (v) {
+            return _coerceEquality(path, {type: field.type, array: false}, v);
+        });
+    }
+    if (field.type == "object") {
+        if (!dataUtils.isJSON(value)) throw new errors.InvalidValueError("Invalid value for field " + dataUtils.JSONstringify(path) + ", should be an embedded document: " + dataUtils.JSONstringify(value), {field: path});
+        return value;
+    }
+    return _coerceScalar(path, field, value);
+}
+
+/**
+ * Checks a comparison of a field with a value against the schema, and
+ * coerces the value to the field type, e.g. ISO strings to Dates for
+ * date fields, and numeric strings to numbers for number fields.
+ * @param {{}} schema The schema.
+ * @param {string} path The field path.
+ * @param {?string} comparator e.g. "$gt", "$in", etc., or null for an
+ * equality match.
+ * @param {*} value
+ * @returns {*} the coerced value.
+ */
+function coerce(schema, path, comparator, value) {
+    var field = resolve(schema, path);
+    if (field.type == "mixed") return value;
+
+    var coerced, i;
+    switch (comparator) {
+        case null:
+        case undefined:
+        case "$eq":
+        case "$ne":
+            // extended JSON, e.g. {$oid: "..."}, is checked as a value, i.e. rejected, not as operators
+            if (field.type != "object" && evaluator.isOperatorObject(value) && !value.hasOwnProperty("$oid")) {
+                coerced = {};
+                for (i in value) {
+                    if (value.hasOwnProperty(i)) coerced[i] = coerce(schema, path, i, value[i]);
+                }
+                return coerced;
+            }
+            return _coerceEquality(path, field, value);
+        case "$in":
+        case "$nin":
+        case "$all":
+            if (comparator == "$all") _checkOperator(path, field.array || field.traversed, comparator, "an array field");
+            if (!Array.isArray(value)) throw new errors.InvalidValueError("Invalid value for field " + dataUtils.JSONstringify(path) + ", " + comparator + " should be an array: " + dataUtils.JSONstringify(value), {field: path, operator: comparator});
+            return value.map(function (v) {
+                return _coerceEquality(path, field, v);
+            });
+        case "$gt":
+        case "$gte":
+        case "$lt":
+        case "$lte":
+            _checkOperator(path, _ORDERED_TYPES.indexOf(field.type) >= 0, comparator, "a field of type " + _ORDERED_TYPES.join(", "));
+            return _coerceScalar(path, field, value);
+        case "$regex":
+            _checkOperator(path, field.type == "string", comparator, "a string field");
+            return value;
+        case "$not":
+            if (value instanceof RegExp) _checkOperator(path, field.type == "string", "a RegExp", "a string field");
+            else if (field.type != "object" && evaluator.isOperatorObject(value)) return coerce(schema, path, null, value);
+            return value;
+        case "$exists":
+            return _coerceScalar(path, {type: "boolean"}, value);
+        case "$size":
+            _checkOperator(path, field.array, comparator, "an array field");
+            return _coerceScalar(path, {type: "number"}, value);
+        case "$elemMatch":
+            _checkOperator(path, field.array, comparator, "an array field");
+            // the conditions on scalar elements, e.g. {$gt: 1}, are checked as those on the field
+            if (field.type != "object" && evaluator.isOperatorObject(value)) return coerce(schema, path, null, value);
+            return value;
+        case "$mod":
+            _checkOperator(path, field.type == "number", comparator, "a number field");
+            return value;
+        default:
+            return value;
+    }
+}
+
+module.exports = {
+    COERCIONS: COERCIONS,
+    TYPES: TYPES,
+    validate: validate,
+    resolve: resolve,
+    isScalar: isScalar,
+    elementSchema: elementSchema,
+    coerce: coerce
+};
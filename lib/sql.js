@@ -0,0 +1,577 @@
+/**
+ * Translates queries to parameterized SQL WHERE clauses on a Postgres
+ * JSONB column, like:
+ * <pre>toSQL({status: "open", age: {$gte: 21}}, {column: "doc"})
+ * // {where: '"doc" @> $1::jsonb AND (jsonb_typeof("doc" #> '{age}') = 'number'
+ * //     AND "doc" #> '{age}' >= $2::jsonb)',
+ * //  values: ['{"status":"open"}', '21']}</pre>
+ * so that the same filter can serve both MongoDB and Postgres.
+ * <p>Equality is matched by JSONB containment, which GIN indexes can
+ * serve. As in MongoDB, conditions on arrays match any of their
+ * elements, and conditions on the fields of arrays of documents any
+ * of the documents, if the arrayFields option lists the arrays, e.g.
+ * {scores: {$gt: 5}} or {"items.sku": /^a/}. Comparisons only
+ * match values of the same JSON type, and strings and Dates, which
+ * are stored as ISO strings, are compared by code points, as in
+ * MongoDB. Operators without a SQL translation, e.g. $text, $where,
+ * $expr or the geospatial ones, are rejected.
+ */
+var dataUtils = require('utils-data');
+var errors = require('./errors');
+var evaluator = require('./evaluator');
+
+/**
+ * The SQL operators of the comparisons.
+ * @type {Object.<string, string>}
+ * @private
+ */
+var _COMPARISONS = {
+    $gt: ">",
+    $gte: ">=",
+    $lt: "<",
+    $lte: "<="
+};
+
+/**
+ * The Postgres character classes of the Unicode properties used by
+ * the searches, within brackets.
+ * @type {Object.<string, string>}
+ * @private
+ */
+var _UNICODE_CLASSES = {
+    L: "[:alpha:]",
+    N: "[:digit:]",
+    // combining marks have no class, and [:alpha:] is the closest
+    M: "[:alpha:]"
+};
+
+/**
+ * Translates a query to a SQL WHERE clause.
+ * @param {{}} query The query, e.g. from QueryBuilder#build().
+ * @param {{}} [options]
+ * @param {string} [options.column="doc"] The JSONB column, or
+ * table.column, quoted as it is.
+ * @param {number} [options.paramOffset=0] The number of bind values
+ * before these ones, e.g. 2 to start at $3.
+ * @param {Array.<string>} [options.arrayFields] Fields that may hold
+ * arrays, whose conditions match any of their elements.
+ * @returns {{where: string, values: Array.<string>}} the WHERE clause,
+ * without "WHERE", and its bind values, for $1, $2, etc. It is "TRUE"
+ * for an empty query.
+ */
+function toSQL(query, options) {
+    if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid query, should be a JSON: " + dataUtils.JSONstringify(query));
+    options = options || {};
+    var paramOffset = options.paramOffset || 0;
+    if (Math.floor(paramOffset) !== paramOffset || paramOffset < 0) throw new errors.InvalidValueError("Invalid paramOffset, should be a non-negative integer: " + dataUtils.JSONstringify(options.paramOffset));
+
+    var context = {
+        values: [],
+        paramOffset: paramOffset,
+        arrayFields: options.arrayFields || [],
+        depth: 0
+    };
+    var where = _query(query, {base: _quoteColumn(options.column || "doc"), path: []}, context, true);
+    return {where: where, values: context.values};
+}
+
+/**
+ * Quotes a column, or table.column.
+ * @param {string} column
+ * @returns {string} the quoted column.
+ * @private
+ */
+function _quoteColumn(column) {
+    if (!dataUtils.isValidStr(column)) throw new errors.InvalidValueError("Invalid column, should be a string: " + dataUtils.JSONstringify(column));
+    return column.split(".").map(function (part) {
+        return "\"" + part.replace(/"/g, "\"\"") + "\"";
+    }).join(".");
+}
+
+/**
+ * Adds a bind value.
+ * @param {string} value
+ * @param {{}} context The translation context.
+ * @returns {string} its placeholder, e.g. $1.
+ * @private
+ */
+function _param(value, context) {
+    context.values.push(value);
+    return "$" + (context.paramOffset + context.values.length);
+}
+
+/**
+ * Converts a value to JSON, with Dates as ISO strings and ObjectIds as
+ * hex strings.
+ * @param {*} value
+ * @returns {*} the JSON value.
+ * @private
+ */
+function _toJSON(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof RegExp) throw new errors.InvalidValueError("Unsupported RegExp in SQL, except as a condition: " + String(value), {code: "UNSUPPORTED_VALUE"});
+    if (value && typeof value == "object" && typeof value.toHexString == "function") return value.toHexString();
+    if (Array.isArray(value)) return value.map(_toJSON);
+    if (value && typeof value == "object") {
+        var json = {};
+        for (var key in value) {
+            if (value.hasOwnProperty(key)) json[key] = _toJSON(value[key]);
+        }
+        return json;
+    }
+    if (value === undefined || typeof value == "function" || (typeof value == "number" && !isFinite(value))) {
+        throw new errors.InvalidValueError("Unsupported value in SQL: " + dataUtils.JSONstringify(value), {code: "UNSUPPORTED_VALUE"});
+    }
+    return value;
+}
+
+/**
+ * Whether a value is an object or an array, as opposed to a scalar, in
+ * JSON.
+ * @param {*} value
+ * @returns {boolean}
+ * @private
+ */
+function _isComposite(value) {
+    return !!value && typeof value == "object" && !(value instanceof Date) && typeof value.toHexString != "function";
+}
+
+/**
+ * Returns the JSONB at a target, i.e. a path within a base JSONB
+ * expression.
+ * @param {{base: string, path: Array.<string>}} target
+ * @returns {string} the SQL expression.
+ * @private
+ */
+function _jsonb(target) {
+    return target.path.length ? target.base + " #> " + _pathLiteral(target.path) : target.base;
+}
+
+/**
+ * Returns the text at a target.
+ * @param {{base: string, path: Array.<string>}} target
+ * @returns {string} the SQL expression.
+ * @private
+ */
+function _text(target) {
+    return "(" + target.base + " #>> " + _pathLiteral(target.path) + ")";
+}
+
+/**
+ * Returns the literal of a path, e.g. '{"a","b"}'.
+ * @param {Array.<string>} path
+ * @returns {string} the SQL literal.
+ * @private
+ */
+function _pathLiteral(path) {
+    return "'{" + path.map(function (part) {
+        return "\"" + part.replace(/[\\"]/g, "\\$&").replace(/'/g, "''") + "\"";
+    }).join(",") + "}'";
+}
+
+/**
+ * Returns a target within another one.
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * @param {string} field A dotted field.
+ * @returns {{base: string, path: Array.<string>, prefix: string}} the
+ * target, with the prefix of its dotted path for the array fields.
+ * @private
+ */
+function _subTarget(target, field) {
+    return {
+        base: target.base,
+        path: target.path.concat(field.split(".")),
+        prefix: target.prefix ? target.prefix + "." + field : field
+    };
+}
+
+/**
+ * Joins conditions.
+ * @param {Array.<string>} conditions
+ * @param {string} operator "AND" or "OR".
+ * @param {boolean} [top=false] If true, more than one condition is not
+ * parenthesized.
+ * @returns {string} the condition.
+ * @private
+ */
+function _join(conditions, operator, top) {
+    var neutral = operator == "AND" ? "TRUE" : "FALSE";
+    conditions = conditions.filter(function (condition) {
+        return condition != neutral;
+    });
+    if (!conditions.length) return neutral;
+    if (conditions.length == 1) return conditions[0];
+    var condition = conditions.join(" " + operator + " ");
+    return top ? condition : "(" + condition + ")";
+}
+
+/**
+ * Negates a condition, so that it matches when the condition is NULL,
+ * e.g. for missing fields, as in MongoDB.
+ * @param {string} condition
+ * @returns {string} the condition.
+ * @private
+ */
+function _negate(condition) {
+    if (condition == "TRUE") return "FALSE";
+    if (condition == "FALSE") return "TRUE";
+    return "NOT COALESCE(" + condition + ", FALSE)";
+}
+
+/**
+ * Translates a query.
+ * @param {{}} query
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * The JSONB holding the fields.
+ * @param {{}} context The translation context.
+ * @param {boolean} [top=false] If true, the top-level query.
+ * @returns {string} the condition.
+ * @private
+ */
+function _query(query, target, context, top) {
+    var conditions = [];
+    var key;
+    for (key in query) {
+        if (!query.hasOwnProperty(key)) continue;
+        switch (key) {
+            case "$and":
+            case "$or":
+            case "$nor":
+                if (!Array.isArray(query[key])) throw new errors.InvalidValueError("Invalid " + key + ", should be an array: " + dataUtils.JSONstringify(query[key]), {operator: key});
+                var parts = query[key].map(function (q) {
+                    return _query(q, target, context);
+                });
+                if (key == "$and") conditions.push(_join(parts, "AND"));
+                else if (key == "$or") conditions.push(_join(parts, "OR"));
+                else conditions.push(_negate(_join(parts, "OR")));
+                break;
+            default:
+                if (key.charAt(0) == "$") throw new errors.InvalidOperatorError("Unsupported operator in SQL: " + key, {code: "UNSUPPORTED_OPERATOR", operator: key});
+                conditions.push(_condition(_subTarget(target, key), query[key], context));
+        }
+    }
+    return _join(conditions, "AND", top);
+}
+
+/**
+ * Translates the condition on a field.
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * @param {*} condition
+ * @param {{}} context The translation context.
+ * @returns {string} the condition.
+ * @private
+ */
+function _condition(target, condition, context) {
+    if (!evaluator.isOperatorObject(condition)) return _equals(target, condition, context);
+
+    var conditions = [];
+    var operator, operand;
+    for (operator in condition) {
+        if (!condition.hasOwnProperty(operator)) continue;
+        operand = condition[operator];
+        switch (operator) {
+            case "$eq":
+                conditions.push(_equals(target, operand, context));
+                break;
+            case "$ne":
+                conditions.push(_negate(_equals(target, operand, context)));
+                break;
+            case "$gt":
+            case "$gte":
+            case "$lt":
+            case "$lte":
+                conditions.push(_compare(target, operator, operand, context));
+                break;
+            case "$in":
+            case "$nin":
+                if (!Array.isArray(operand)) throw new errors.InvalidValueError("Invalid " + operator + ", should be an array: " + dataUtils.JSONstringify(operand), {field: target.prefix, operator: operator});
+                var any = _join(operand.map(function (value) {
+                    return _equals(target, value, context);
+                }), "OR");
+                conditions.push(operator == "$in" ? any : _negate(any));
+                break;
+            case "$all":
+                if (!Array.isArray(operand)) throw new errors.InvalidValueError("Invalid $all, should be an array: " + dataUtils.JSONstringify(operand), {field: target.prefix, operator: "$all"});
+                conditions.push(_join(operand.map(function (value) {
+                    if (evaluator.isOperatorObject(value)) throw new errors.InvalidOperatorError("Unsupported operator in SQL: $all with " + Object.keys(value)[0], {code: "UNSUPPORTED_OPERATOR", field: target.prefix, operator: Object.keys(value)[0]});
+                    return _equals(target, value, context);
+                }), "AND"));
+                break;
+            case "$exists":
+                var exists = _anyValue(target, context, false, function (value) {
+                    return _jsonb(value) + " IS NOT NULL";
+                });
+                conditions.push(operand ? exists : _negate(exists));
+                break;
+            case "$regex":
+                conditions.push(_regex(target, operand instanceof RegExp ? operand : _toRegExp(operand, condition.$options), context));
+                break;
+            case "$options":
+                if (!condition.hasOwnProperty("$regex")) throw new errors.InvalidValueError("Invalid $options, without $regex: " + dataUtils.JSONstringify(condition), {field: target.prefix, operator: "$options"});
+                break;
+            case "$not":
+                conditions.push(_negate(operand instanceof RegExp ? _regex(target, operand, context) : _condition(target, operand, context)));
+                break;
+            case "$size":
+                if (Math.floor(operand) !== operand || operand < 0) throw new errors.InvalidValueError("Invalid $size, should be a non-negative integer: " + dataUtils.JSONstringify(operand), {field: target.prefix, operator: "$size"});
+                conditions.push(_anyValue(target, context, false, function (value) {
+                    return "CASE WHEN jsonb_typeof(" + _jsonb(value) + ") = 'array' THEN jsonb_array_length(" +
+                        _jsonb(value) + ") = " + operand + " ELSE FALSE END";
+                }));
+                break;
+            case "$elemMatch":
+                conditions.push(_anyValue(target, context, false, function (value) {
+                    return _elemMatch(value, operand, context);
+                }));
+                break;
+            default:
+                throw new errors.InvalidOperatorError("Unsupported operator in SQL: " + operator + (target.prefix ? " (field \"" + target.prefix + "\")" : ""), {code: "UNSUPPORTED_OPERATOR", field: target.prefix, operator: operator});
+        }
+    }
+    return _join(conditions, "AND");
+}
+
+/**
+ * Translates a string $regex with its $options to a RegExp.
+ * @param {string} regex
+ * @param {string} [flags]
+ * @returns {RegExp} the RegExp.
+ * @private
+ */
+function _toRegExp(regex, flags) {
+    try {
+        return new RegExp(regex, flags || "");
+    } catch (e) {
+        throw new errors.InvalidValueError("Invalid $regex: " + dataUtils.JSONstringify(regex) + " with $options " + dataUtils.JSONstringify(flags), {operator: "$regex"});
+    }
+}
+
+/**
+ * Returns the containment document of a value at a target, e.g.
+ * {a: {b: 1}} for a.b, or {tags: ["x"]} for an array field tags.
+ * @param {{path: Array.<string>, prefix: string}} target
+ * @param {*} value The JSON value.
+ * @param {{}} context The translation context.
+ * @returns {*} the document.
+ * @private
+ */
+function _containment(target, value, context) {
+    var parts = target.prefix.split(".");
+    var depth = parts.length - target.path.length;
+    for (var i = target.path.length - 1; i >= 0; --i) {
+        if (context.arrayFields.indexOf(parts.slice(0, depth + i + 1).join(".")) >= 0) value = [value];
+        var doc = {};
+        doc[target.path[i]] = value;
+        value = doc;
+    }
+    return value;
+}
+
+/**
+ * Translates the equality of a field with a value.
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * @param {*} value
+ * @param {{}} context The translation context.
+ * @returns {string} the condition.
+ * @private
+ */
+function _equals(target, value, context) {
+    if (value instanceof RegExp) return _regex(target, value, context);
+    if (value === null) {
+        return _anyValue(target, context, true, function (value) {
+            return "(" + _jsonb(value) + " IS NULL OR " + _jsonb(value) + " = 'null'::jsonb)";
+        });
+    }
+    if (evaluator.isOperatorObject(value)) throw new errors.InvalidOperatorError("Unsupported operator object as a value in SQL: " + dataUtils.JSONstringify(value), {code: "UNSUPPORTED_OPERATOR", field: target.prefix});
+
+    var json = _toJSON(value);
+    // objects and arrays are matched exactly, and scalars also within arrays
+    if (_isComposite(value)) return _jsonb(target) + " = " + _param(JSON.stringify(json), context) + "::jsonb";
+    // array indexes cannot be expressed as containment
+    var indexed = target.path.some(function (part) {
+        return /^\d+$/.test(part);
+    });
+    if (indexed || !target.path.length) return _jsonb(target) + " @> " + _param(JSON.stringify(json), context) + "::jsonb";
+    return target.base + " @> " + _param(JSON.stringify(_containment(target, json, context)), context) + "::jsonb";
+}
+
+/**
+ * Translates a condition on the values of a field, which are, besides
+ * the field itself, those within the array fields on its path, as per
+ * the arrayFields option. For example, for the array field items, the
+ * values of items.sku are the sku of each element of items, and for
+ * the array field tags, the values of tags are tags and its elements,
+ * if elements is true.
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * @param {{}} context The translation context.
+ * @param {boolean} elements If true, the elements of an array field
+ * are values, besides the array itself, e.g. for comparisons, but not
+ * for $size.
+ * @param {function({base: string, path: Array.<string>, prefix: string}):string} valueCondition
+ * Translates the condition on a value.
+ * @param {number} [start=0] The index of the path to look for array
+ * fields from.
+ * @returns {string} the condition, true if any value matches.
+ * @private
+ */
+function _anyValue(target, context, elements, valueCondition, start) {
+    var parts = target.prefix.split(".");
+    var depth = parts.length - target.path.length;
+    var field, array, rest, alias, inElements;
+    for (var i = start || 0; i < target.path.length; ++i) {
+        field = parts.slice(0, depth + i + 1).join(".");
+        rest = target.path.slice(i + 1);
+        // numeric parts index into the array
+        if (context.arrayFields.indexOf(field) < 0 || (!rest.length && !elements) || /^\d+$/.test(rest[0])) continue;
+
+        array = {base: target.base, path: target.path.slice(0, i + 1), prefix: field};
+        // the value itself, as long as it does not go through the array
+        var itself = _anyValue(target, context, elements, valueCondition, i + 1);
+        if (rest.length) itself = _join(["jsonb_typeof(" + _jsonb(array) + ") IS DISTINCT FROM 'array'", itself], "AND");
+
+        alias = "elem" + (++context.depth);
+        inElements = _anyValue({base: alias + ".value", path: rest, prefix: target.prefix}, context, elements, valueCondition);
+        --context.depth;
+        return _join([itself, _elements(array, alias, inElements)], "OR");
+    }
+    return valueCondition(target);
+}
+
+/**
+ * Returns a condition on the elements of an array, as an EXISTS over
+ * them.
+ * @param {{base: string, path: Array.<string>}} target The array.
+ * @param {string} alias The alias of the elements, whose value column
+ * holds each element.
+ * @param {string} condition The condition on an element.
+ * @returns {string} the condition, false if not an array.
+ * @private
+ */
+function _elements(target, alias, condition) {
+    return "EXISTS (SELECT 1 FROM jsonb_array_elements(CASE WHEN jsonb_typeof(" + _jsonb(target) + ") = 'array' THEN " +
+        _jsonb(target) + " ELSE '[]'::jsonb END) AS " + alias + "(value) WHERE " + condition + ")";
+}
+
+/**
+ * Translates a comparison of any of the values of a field, see
+ * {@link _anyValue}(), which only matches values of the same JSON
+ * type, as in MongoDB.
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * @param {string} operator "$gt", "$gte", "$lt" or "$lte".
+ * @param {*} value
+ * @param {{}} context The translation context.
+ * @returns {string} the condition.
+ * @private
+ */
+function _compare(target, operator, value, context) {
+    if (value === null) return operator == "$gte" || operator == "$lte" ? _equals(target, null, context) : "FALSE";
+    var json = _toJSON(value);
+    var sqlOperator = _COMPARISONS[operator];
+    var param;
+    switch (typeof json) {
+        case "string":
+            param = _param(json, context);
+            return _anyValue(target, context, true, function (value) {
+                // by code points, as in MongoDB
+                return "(jsonb_typeof(" + _jsonb(value) + ") = 'string' AND " + _text(value) + " COLLATE \"C\" " + sqlOperator + " " + param + ")";
+            });
+        case "number":
+        case "boolean":
+            param = _param(JSON.stringify(json), context);
+            return _anyValue(target, context, true, function (value) {
+                return "(jsonb_typeof(" + _jsonb(value) + ") = '" + typeof json + "' AND " + _jsonb(value) + " " + sqlOperator + " " + param + "::jsonb)";
+            });
+    }
+    throw new errors.InvalidValueError("Unsupported " + operator + " value in SQL, should be a string, a number, a boolean or a Date: " + dataUtils.JSONstringify(value), {code: "UNSUPPORTED_VALUE", field: target.prefix, operator: operator});
+}
+
+/**
+ * Translates an $elemMatch, as an EXISTS over the array elements.
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * @param {{}} query The $elemMatch query, of fields of the elements or
+ * of operators on the elements themselves.
+ * @param {{}} context The translation context.
+ * @returns {string} the condition.
+ * @private
+ */
+function _elemMatch(target, query, context) {
+    if (!dataUtils.isJSON(query)) throw new errors.InvalidValueError("Invalid $elemMatch, should be a JSON: " + dataUtils.JSONstringify(query), {field: target.prefix, operator: "$elemMatch"});
+    var alias = "elem" + (++context.depth);
+    var element = {base: alias + ".value", path: [], prefix: target.prefix};
+    var condition = evaluator.isOperatorObject(query) ? _condition(element, query, context) : _query(query, element, context);
+    --context.depth;
+    return _elements(target, alias, condition);
+}
+
+/**
+ * Translates a RegExp match, with ~* if case-insensitive, of any of
+ * the values of a field, see {@link _anyValue}().
+ * @param {{base: string, path: Array.<string>, prefix: string}} target
+ * @param {RegExp} regExp
+ * @param {{}} context The translation context.
+ * @returns {string} the condition.
+ * @private
+ */
+function _regex(target, regExp, context) {
+    var param = _param(regexToPostgres(regExp), context);
+    return _anyValue(target, context, true, function (value) {
+        return "(jsonb_typeof(" + _jsonb(value) + ") = 'string' AND " + _text(value) + (regExp.ignoreCase ? " ~* " : " ~ ") + param + ")";
+    });
+}
+
+/**
+ * Translates a RegExp to a Postgres advanced regular expression, e.g.
+ * \b to \y, and \p{L} to [:alpha:]. The i flag is left to the ~*
+ * operator.
+ * @param {RegExp} regExp
+ * @returns {string} the Postgres regular expression.
+ */
+function regexToPostgres(regExp) {
+    var flags = regExp.flags.replace(/[giuy]/g, "");
+    if (/[^ms]/.test(flags)) throw new errors.InvalidValueError("Unsupported RegExp flags in SQL: " + regExp.flags, {code: "UNSUPPORTED_VALUE"});
+    var source = regExp.source;
+    var result = "";
+    var inBrackets = false;
+    var c;
+    for (var i = 0; i < source.length; ++i) {
+        c = source.charAt(i);
+        if (c == "\\") {
+            var next = source.charAt(i + 1);
+            if (next == "p" && source.charAt(i + 2) == "{") {
+                var end = source.indexOf("}", i);
+                var property = source.substring(i + 3, end);
+                if (!_UNICODE_CLASSES.hasOwnProperty(property)) throw new errors.InvalidValueError("Unsupported RegExp Unicode property in SQL: \\p{" + property + "}", {code: "UNSUPPORTED_VALUE"});
+                result += inBrackets ? _UNICODE_CLASSES[property] : "[" + _UNICODE_CLASSES[property] + "]";
+                i = end;
+                continue;
+            }
+            if (next == "P" || next == "k") throw new errors.InvalidValueError("Unsupported RegExp escape in SQL: \\" + next, {code: "UNSUPPORTED_VALUE"});
+            if (!inBrackets && next == "b") result += "\\y";
+            else if (!inBrackets && next == "B") result += "\\Y";
+            else if (next == "/") result += "/";
+            else result += c + next;
+            ++i;
+            continue;
+        }
+        if (inBrackets) {
+            if (c == "]") inBrackets = false;
+        } else if (c == "[") {
+            inBrackets = true;
+            // [] and [^] have no Postgres equivalent
+            if (source.charAt(i + 1) == "]" || source.substr(i + 1, 2) == "^]") throw new errors.InvalidValueError("Unsupported RegExp empty class in SQL: " + String(regExp), {code: "UNSUPPORTED_VALUE"});
+        } else if (c == "(" && source.substr(i, 3) == "(?<" && source.charAt(i + 3) != "=" && source.charAt(i + 3) != "!") {
+            throw new errors.InvalidValueError("Unsupported RegExp named group in SQL: " + String(regExp), {code: "UNSUPPORTED_VALUE"});
+        }
+        result += c;
+    }
+    // JavaScript's . does not match newlines, and ^ and $ match lines with m
+    var multiline = flags.indexOf("m") >= 0;
+    var dotAll = flags.indexOf("s") >= 0;
+    var embedded = multiline ? (dotAll ? "w" : "n") : (dotAll ? "" : "p");
+    return (embedded ? "(?" + embedded + ")" : "") + result;
+}
+
+module.exports = {
+    toSQL: toSQL,
+    regexToPostgres: regexToPostgres
+};
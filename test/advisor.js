@@ -0,0 +1,25 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("index advice", function () {
+    it("follows the equality-sort-range order", function () {
+        var advice = QueryBuilder.adviseIndex({status: "open", age: {$gte: 21}}, {sort: {createdAt: -1}});
+        assert.deepStrictEqual(advice.index, {status: 1, createdAt: -1, age: 1});
+    });
+
+    it("prefixes the fields of $or branches in $elemMatch", function () {
+        var query = {items: {$elemMatch: {$or: [{sku: "a"}, {qty: {$gt: 1}}]}}};
+        var advice = QueryBuilder.adviseIndex(query);
+        assert.deepStrictEqual(advice.orIndexes, [{"items.sku": 1}, {"items.qty": 1}]);
+    });
+
+    it("does not prefix the fields of top level $or branches", function () {
+        var advice = QueryBuilder.adviseIndex({$or: [{a: 1}, {b: 1}]});
+        assert.deepStrictEqual(advice.orIndexes, [{a: 1}, {b: 1}]);
+    });
+});
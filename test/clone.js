@@ -0,0 +1,92 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("clone and build", function () {
+    it("builds new copies, which can be changed without changing the builder", function () {
+        var date = new Date(0);
+        var b = new QueryBuilder().field("a").matchesAny([1, 2]).field("d").is("$gt", date).field("r").matches(/x/i);
+        var q = b.build();
+        q.a.$in.push(3);
+        q.d.$gt.setTime(5);
+        q.extra = true;
+        assert.deepStrictEqual(b.build(), {a: {$in: [1, 2]}, d: {$gt: new Date(0)}, r: /x/i});
+        assert.notStrictEqual(b.build().r, b.build().r);
+        assert.strictEqual(date.getTime(), 0);
+    });
+
+    it("builds the same query any number of times, with an open OR group", function () {
+        var b = new QueryBuilder();
+        var or = b.field("x").matches(0).either().field("a").matches(1).or().field("b").matches(2);
+        var first = b.build();
+        assert.deepStrictEqual(b.build(), first);
+        assert.deepStrictEqual(first, {x: 0, $or: [{a: 1}, {b: 2}]});
+        or.or().field("c").matches(3);
+        assert.deepStrictEqual(b.build(), {x: 0, $or: [{a: 1}, {b: 2}, {c: 3}]});
+        assert.deepStrictEqual(first, {x: 0, $or: [{a: 1}, {b: 2}]});
+    });
+
+    it("does not change the query it starts from", function () {
+        var input = {a: {$gt: 1}};
+        var b = new QueryBuilder(input);
+        b.field("a").is("$lt", 5);
+        assert.deepStrictEqual(input, {a: {$gt: 1}});
+        assert.deepStrictEqual(b.build(), {a: {$gt: 1, $lt: 5}});
+    });
+
+    it("leaves the original unchanged when adding to a clone, and the other way round", function () {
+        var base = new QueryBuilder().field("status").matches("open");
+        var clone = base.clone();
+        var fork = base.fork();
+        clone.field("age").is("$gte", 21);
+        fork.field("vip").matches(true);
+        base.field("deleted").is("$exists", false);
+        assert.deepStrictEqual(base.build(), {status: "open", deleted: {$exists: false}});
+        assert.deepStrictEqual(clone.build(), {status: "open", age: {$gte: 21}});
+        assert.deepStrictEqual(fork.build(), {status: "open", vip: true});
+    });
+
+    it("copies the sort and the options", function () {
+        var b = new QueryBuilder(null, {safeMode: true}).field("a").matches(1).sort({createdAt: -1});
+        var clone = b.clone();
+        clone.sort({name: 1});
+        assert.deepStrictEqual(b.buildSort(), {createdAt: -1});
+        assert.deepStrictEqual(clone.buildSort(), {name: 1});
+        assert.throws(function () {
+            clone.field("b").matches({$gt: 1});
+        }, builder.InvalidOperatorError);
+    });
+
+    it("clones in the middle of a group", function () {
+        var b = new QueryBuilder().field("x").matches(0);
+        var group = b.group();
+        group.field("a").matches(1);
+        var clone = b.clone();
+        var groupClone = group.clone();
+        group.field("b").matches(2).end();
+        clone.field("y").matches(1);
+        groupClone.field("z").matches(9);
+        assert.deepStrictEqual(b.build(), {x: 0, a: 1, b: 2});
+        // the open group is not part of the builder yet
+        assert.deepStrictEqual(clone.build(), {x: 0, y: 1});
+        // the clone of a group is a root builder of its own
+        assert.deepStrictEqual(groupClone.build(), {a: 1, z: 9});
+        assert.throws(function () {
+            groupClone.end();
+        }, builder.IllegalChainError);
+    });
+
+    it("clones in the middle of an OR group", function () {
+        var b = new QueryBuilder();
+        var or = b.either().field("a").matches(1).or().field("b").matches(2);
+        var clone = b.clone();
+        or.or().field("c").matches(3).end();
+        clone.field("d").matches(4);
+        assert.deepStrictEqual(b.build(), {$or: [{a: 1}, {b: 2}, {c: 3}]});
+        assert.deepStrictEqual(clone.build(), {$or: [{a: 1}, {b: 2}], d: 4});
+    });
+});
@@ -0,0 +1,103 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+/**
+ * A stand-in for the ObjectId of the MongoDB driver.
+ */
+function ObjectId(hex) {
+    this.hex = hex;
+    this.toHexString = function () {
+        return hex;
+    };
+}
+
+function cursorOf(values) {
+    return Buffer.from(JSON.stringify(values)).toString("base64");
+}
+
+function invalid(error) {
+    return error instanceof builder.InvalidValueError;
+}
+
+describe("cursors", function () {
+    var sort = {createdAt: -1, _id: 1};
+
+    it("round-trip Dates and ObjectIds", function () {
+        var id = new ObjectId("5f1d7a3b9c8e4d2a1b0c3e4f");
+        var doc = {createdAt: new Date("2026-10-19T10:00:00Z"), _id: id};
+        var cursor = QueryBuilder.encodeCursor(doc, sort);
+        var values = QueryBuilder.decodeCursor(cursor, sort, {
+            createObjectId: function (hex) {
+                return new ObjectId(hex);
+            }
+        });
+        assert.strictEqual(values[0].getTime(), doc.createdAt.getTime());
+        assert.ok(values[1] instanceof ObjectId);
+        assert.strictEqual(values[1].toHexString(), id.toHexString());
+        assert.deepStrictEqual(QueryBuilder.decodeCursor(cursor, sort), [doc.createdAt, id.toHexString()]);
+    });
+
+    it("decode ObjectIds with the createObjectId option of the builder", function () {
+        var cursor = QueryBuilder.encodeCursor({createdAt: 5, _id: new ObjectId("5f1d7a3b9c8e4d2a1b0c3e4f")}, sort);
+        var query = new QueryBuilder(null, {
+            createObjectId: function (hex) {
+                return new ObjectId(hex);
+            }
+        }).sort(sort).after(cursor).build();
+        assert.ok(query.$or[1]._id.$gt instanceof ObjectId);
+    });
+
+    it("reject operators", function () {
+        [
+            [{$ne: null}, {$ne: null}],
+            [5, {$gt: ""}],
+            [[1], 2],
+            [null, 2],
+            [{a: 1}, 2]
+        ].forEach(function (values) {
+            assert.throws(function () {
+                new QueryBuilder(null, {safeMode: "reject"}).sort({a: 1, b: 1}).after(cursorOf(values));
+            }, invalid, JSON.stringify(values));
+            assert.throws(function () {
+                new QueryBuilder().sort({a: 1, b: 1}).before(cursorOf(values));
+            }, invalid, JSON.stringify(values));
+        });
+    });
+
+    it("reject malformed cursors", function () {
+        ["", "not base64 json", cursorOf([1]), cursorOf({a: 1})].forEach(function (cursor) {
+            assert.throws(function () {
+                QueryBuilder.decodeCursor(cursor, {a: 1, b: 1});
+            }, invalid, cursor);
+        });
+    });
+
+    it("reject documents without scalar sort values", function () {
+        assert.throws(function () {
+            QueryBuilder.encodeCursor({a: [1, 2], b: 1}, {a: 1, b: 1});
+        }, invalid);
+        assert.throws(function () {
+            QueryBuilder.encodeCursor({a: 1}, {a: 1, b: 1});
+        }, invalid);
+    });
+
+    it("restrict the query to the documents after the cursor", function () {
+        var b = new QueryBuilder().sort({a: -1, b: 1});
+        var query = b.after(b.encodeCursor({a: 5, b: "x"})).build();
+        assert.deepStrictEqual(query, {$or: [{a: {$lt: 5}}, {a: 5, b: {$gt: "x"}}]});
+        assert.deepStrictEqual(b.buildSort(), {a: -1, b: 1});
+    });
+
+    it("restrict the query to the documents before the cursor, in reverse order", function () {
+        var b = new QueryBuilder().sort({a: -1, b: 1});
+        var query = b.before(b.encodeCursor({a: 5, b: "x"})).build();
+        assert.deepStrictEqual(query, {$or: [{a: {$gt: 5}}, {a: 5, b: {$lt: "x"}}]});
+        assert.deepStrictEqual(b.buildSort(), {a: 1, b: -1});
+        assert.deepStrictEqual(b.clone().buildSort(), {a: 1, b: -1});
+    });
+});
@@ -0,0 +1,134 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var dates = require("../lib/dates");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+function iso(range) {
+    return [range.start.toISOString(), range.end.toISOString()];
+}
+
+describe("dates", function () {
+    describe("onDay", function () {
+        it("has 23 hours on the spring DST change", function () {
+            assert.deepStrictEqual(iso(dates.onDay("2026-03-29", {tz: "Europe/Berlin"})),
+                ["2026-03-28T23:00:00.000Z", "2026-03-29T22:00:00.000Z"]);
+        });
+
+        it("has 25 hours on the autumn DST change", function () {
+            assert.deepStrictEqual(iso(dates.onDay("2026-10-25", {tz: "Europe/Berlin"})),
+                ["2026-10-24T22:00:00.000Z", "2026-10-25T23:00:00.000Z"]);
+        });
+
+        it("starts at the first instant of a day without midnight", function () {
+            assert.strictEqual(dates.onDay("2026-09-06", {tz: "America/Santiago"}).start.toISOString(),
+                "2026-09-06T04:00:00.000Z");
+        });
+
+        it("uses the day of an instant in the time zone", function () {
+            assert.deepStrictEqual(iso(dates.onDay(new Date("2026-10-18T23:30:00Z"), {tz: "Europe/Berlin"})),
+                ["2026-10-18T22:00:00.000Z", "2026-10-19T22:00:00.000Z"]);
+        });
+    });
+
+    describe("last", function () {
+        it("keeps the local time across a DST change", function () {
+            var clock = function () {
+                return new Date("2026-10-26T12:00:00Z");
+            };
+            assert.deepStrictEqual(iso(dates.last(2, "days", {tz: "Europe/Berlin", clock: clock})),
+                ["2026-10-24T11:00:00.000Z", "2026-10-26T12:00:00.000Z"]);
+        });
+
+        it("counts hours as elapsed time", function () {
+            var clock = function () {
+                return Date.parse("2026-10-25T03:00:00Z");
+            };
+            assert.deepStrictEqual(iso(dates.last(3, "hours", {tz: "Europe/Berlin", clock: clock})),
+                ["2026-10-25T00:00:00.000Z", "2026-10-25T03:00:00.000Z"]);
+        });
+
+        it("rejects an invalid amount", function () {
+            assert.throws(function () {
+                dates.last(-1, "days");
+            }, builder.InvalidValueError);
+        });
+    });
+
+    describe("inMonth", function () {
+        it("is in the time zone", function () {
+            assert.deepStrictEqual(iso(dates.inMonth(2026, 10, {tz: "Europe/Berlin"})),
+                ["2026-09-30T22:00:00.000Z", "2026-10-31T23:00:00.000Z"]);
+        });
+
+        it("rejects an invalid month", function () {
+            assert.throws(function () {
+                dates.inMonth(2026, 13);
+            }, builder.InvalidValueError);
+        });
+    });
+
+    describe("toTime", function () {
+        it("resolves an ISO string without an offset in the time zone", function () {
+            assert.strictEqual(dates.toTime("2026-10-19T10:00", {tz: "Europe/Berlin"}), Date.parse("2026-10-19T08:00:00Z"));
+            assert.strictEqual(dates.toTime("2026-10-26T10:00:30.5", {tz: "Europe/Berlin"}), Date.parse("2026-10-26T09:00:30.500Z"));
+            assert.strictEqual(dates.toTime("2026-10-19T10:00"), Date.parse("2026-10-19T10:00:00Z"));
+        });
+
+        it("keeps the offset of an ISO string", function () {
+            assert.strictEqual(dates.toTime("2026-10-19T10:00:00+05:30", {tz: "Europe/Berlin"}), Date.parse("2026-10-19T04:30:00Z"));
+            assert.strictEqual(dates.toTime("2026-10-19T10:00:00Z", {tz: "Europe/Berlin"}), Date.parse("2026-10-19T10:00:00Z"));
+        });
+
+        it("rejects other strings", function () {
+            ["Oct 19, 2026", "2026-10-19T25:00", "yesterday"].forEach(function (date) {
+                assert.throws(function () {
+                    dates.toTime(date, {tz: "Europe/Berlin"});
+                }, builder.InvalidValueError, date);
+            });
+        });
+
+        it("rejects an unknown time zone", function () {
+            assert.throws(function () {
+                dates.toTime("2026-10-19", {tz: "Mars/Olympus"});
+            });
+        });
+    });
+
+    describe("between", function () {
+        it("includes the whole last day if inclusive", function () {
+            var range = dates.between("2026-10-01", "2026-10-25", {tz: "Europe/Berlin", inclusive: true});
+            assert.deepStrictEqual(iso(range), ["2026-09-30T22:00:00.000Z", "2026-10-25T23:00:00.000Z"]);
+            assert.strictEqual(range.inclusive, false);
+        });
+
+        it("rejects a start after the end", function () {
+            assert.throws(function () {
+                dates.between("2026-10-02", "2026-10-01");
+            }, builder.InvalidValueError);
+        });
+    });
+
+    describe("FieldQueryBuilder", function () {
+        it("builds the range in the time zone of the builder", function () {
+            var query = new QueryBuilder(null, {timeZone: "Europe/Berlin"}).field("at").onDay("2026-03-29").build();
+            assert.deepStrictEqual(query, {at: {$gte: new Date("2026-03-28T23:00:00Z"), $lt: new Date("2026-03-29T22:00:00Z")}});
+        });
+
+        it("uses the clock of the builder", function () {
+            var clock = function () {
+                return new Date("2026-10-19T12:00:00Z");
+            };
+            var query = new QueryBuilder(null, {clock: clock}).field("at").inLast(1, "day").build();
+            assert.deepStrictEqual(query, {at: {$gte: new Date("2026-10-18T12:00:00Z"), $lt: new Date("2026-10-19T12:00:00Z")}});
+        });
+
+        it("overrides the time zone per call", function () {
+            var query = new QueryBuilder().field("at").before("2026-10-19T10:00", {tz: "Europe/Berlin"}).build();
+            assert.deepStrictEqual(query, {at: {$lt: new Date("2026-10-19T08:00:00Z")}});
+        });
+    });
+});
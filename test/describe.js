@@ -0,0 +1,95 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+var SearchQueryBuilder = builder.SearchQueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+/**
+ * Returns the condition of a search in the title.
+ */
+function titleSearch(search, matchWithinWords) {
+    var b = new QueryBuilder();
+    b.search(search, matchWithinWords).in("title");
+    return b.build().title;
+}
+
+describe("describe", function () {
+    it("describes the example query", function () {
+        var query = {
+            status: {$in: ["open", "pending"]},
+            $or: [{age: {$gte: 21}}, {vip: true}],
+            title: titleSearch("rep")
+        };
+        assert.strictEqual(QueryBuilder.describe(query),
+            "status is one of [open, pending] AND (age ≥ 21 OR vip = true) AND title contains words starting with \"rep\"");
+    });
+
+    it("explains built queries", function () {
+        var b = new QueryBuilder();
+        b.field("status").matchesAny(["open", "pending"]).either().field("age").is("$gte", 21).or().field("vip").matches(true).end();
+        assert.strictEqual(b.explain(), "status is one of [open, pending] AND (age ≥ 21 OR vip = true)");
+        assert.strictEqual(new QueryBuilder().explain(), "everything");
+    });
+
+    it("uses labels, given as an object or as a function", function () {
+        var query = {status: "open", age: {$gte: 21}};
+        assert.strictEqual(QueryBuilder.describe(query, {status: "Status"}), "Status = \"open\" AND age ≥ 21");
+        assert.strictEqual(QueryBuilder.describe(query, function (field) {
+            return field == "age" ? "Age" : null;
+        }), "status = \"open\" AND Age ≥ 21");
+        assert.strictEqual(QueryBuilder.describe({toString: 1}, {}), "toString = 1");
+    });
+
+    it("turns search RegExps back into their tokens and phrases", function () {
+        var b = new QueryBuilder();
+        b.search("rep* \"annual report\" -draft").anyIn("title");
+        assert.strictEqual(b.explain(), "title contains words starting with \"rep*\" and \"annual report\"" +
+            " AND title does not contain words starting with \"draft\"");
+
+        b = new QueryBuilder();
+        b.search("cats OR dogs").in("title");
+        assert.strictEqual(b.explain(), "title contains words starting with \"cats\" or \"dogs\"");
+        assert.strictEqual(QueryBuilder.describe({title: titleSearch("rep", true)}), "title contains \"rep\"");
+
+        var terms = SearchQueryBuilder.regexToSearchTerms(titleSearch("rep* \"annual report\"").$regex);
+        assert.deepStrictEqual(terms, {match: "any", clauses: [
+            [{text: "rep*", wordStart: true}],
+            [{text: "annual report", wordStart: true}]
+        ]});
+    });
+
+    it("words $nor, $not and null conditions", function () {
+        assert.strictEqual(QueryBuilder.describe({$nor: [{a: 1}, {b: {$gt: 2}}]}), "NOT (a = 1 OR b > 2)");
+        assert.strictEqual(QueryBuilder.describe({$nor: [{a: 1, b: 2}]}), "NOT (a = 1 AND b = 2)");
+        assert.strictEqual(QueryBuilder.describe({a: {$not: {$gt: 5}}, b: {$not: {$gte: 1, $lt: 3}}}), "NOT a > 5 AND NOT (b ≥ 1 AND b < 3)");
+        assert.strictEqual(QueryBuilder.describe({c: {$ne: null}, d: null, e: {$exists: false}, f: {$exists: true}}),
+            "c has a value AND d has no value AND e does not exist AND f exists");
+    });
+
+    it("shows RegExps that are not search RegExps as they are", function () {
+        assert.strictEqual(QueryBuilder.describe({name: /^jo.*n$/i, t: {$regex: "a|b", $options: "i"}, u: {$not: /^x/}}),
+            "name matches /^jo.*n$/i AND t matches /a|b/i AND u does not match /^x/");
+    });
+
+    it("describes the other operators", function () {
+        assert.strictEqual(QueryBuilder.describe({
+            a: {$in: ["x y", "a,b"]},
+            d: new Date(0),
+            s: {$size: 1},
+            n: {$nin: [1]},
+            all: {$all: ["p", "q"]},
+            items: {$elemMatch: {sku: "a", qty: {$gt: 1}}},
+            tags: {$elemMatch: {$gt: 1, $lt: 3}}
+        }), "a is one of [x y, \"a,b\"] AND d = 1970-01-01T00:00:00.000Z AND s has 1 element AND n is not one of [1]" +
+            " AND all has all of [p, q] AND items has an element where (sku = \"a\" AND qty > 1) AND tags has an element > 1 and < 3");
+    });
+
+    it("rejects queries that are not JSONs", function () {
+        assert.throws(function () {
+            QueryBuilder.describe("status = open");
+        }, builder.InvalidValueError);
+    });
+});
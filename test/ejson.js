@@ -0,0 +1,57 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var ejson = require("../lib/ejson");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+function ObjectId(hex) {
+    this.toHexString = function () {
+        return hex;
+    };
+}
+
+describe("Extended JSON", function () {
+    it("round-trips Dates and RegExps", function () {
+        var query = {createdAt: {$gte: new Date(0)}, name: /^jo/i};
+        assert.deepStrictEqual(QueryBuilder.toEJSON(query), {
+            createdAt: {$gte: {$date: "1970-01-01T00:00:00Z"}},
+            name: {$regularExpression: {pattern: "^jo", options: "i"}}
+        });
+        assert.deepStrictEqual(QueryBuilder.fromEJSON(JSON.stringify(QueryBuilder.toEJSON(query))).build(), query);
+    });
+
+    it("round-trips ObjectIds with createObjectId only", function () {
+        var query = {_id: new ObjectId("5f1d7a3b9c8e4d2a1b0c3e4f")};
+        var serialized = QueryBuilder.toEJSON(query);
+        assert.deepStrictEqual(serialized, {_id: {$oid: "5f1d7a3b9c8e4d2a1b0c3e4f"}});
+        assert.deepStrictEqual(QueryBuilder.fromEJSON(serialized).build(), {_id: "5f1d7a3b9c8e4d2a1b0c3e4f"});
+        var restored = QueryBuilder.fromEJSON(serialized, {
+            createObjectId: function (hex) {
+                return new ObjectId(hex);
+            }
+        }).build();
+        assert.strictEqual(restored._id.toHexString(), "5f1d7a3b9c8e4d2a1b0c3e4f");
+    });
+
+    it("maps the MongoDB regular expression options", function () {
+        var regExp = ejson.deserialize({$regularExpression: {pattern: "^a b # comment\n[ ]c\\ d", options: "xil"}});
+        assert.strictEqual(regExp.source, "^ab[ ]c\\ d");
+        assert.strictEqual(regExp.flags, "i");
+        assert.strictEqual(ejson.deserialize({$regularExpression: {pattern: "a.b", options: "ms"}}).flags, "ms");
+    });
+
+    it("leaves out the RegExp flags without a meaning in queries", function () {
+        assert.deepStrictEqual(ejson.serialize(/a/gi), {$regularExpression: {pattern: "a", options: "i"}});
+    });
+
+    it("rejects invalid regular expressions", function () {
+        [{pattern: "(", options: ""}, {pattern: "a", options: "g"}, {pattern: "a", options: "q"}].forEach(function (wrapped) {
+            assert.throws(function () {
+                ejson.deserialize({$regularExpression: wrapped});
+            }, builder.InvalidValueError, JSON.stringify(wrapped));
+        });
+    });
+});
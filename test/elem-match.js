@@ -0,0 +1,67 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("elemMatch", function () {
+    it("matches all the conditions with the same element", function () {
+        var q = new QueryBuilder().field("items").elemMatch().field("sku").matches("a").field("qty").is("$gt", 1).end().build();
+        assert.deepStrictEqual(q, {items: {$elemMatch: {sku: "a", qty: {$gt: 1}}}});
+        assert.ok(!builder.matches(q, {items: [{sku: "a", qty: 0}, {sku: "b", qty: 5}]}));
+        assert.ok(builder.matches(q, {items: [{sku: "b", qty: 0}, {sku: "a", qty: 5}]}));
+    });
+
+    it("keeps two elemMatch() conditions on the same field separate", function () {
+        var q = new QueryBuilder()
+            .field("items").elemMatch().field("sku").matches("a").end()
+            .field("items").elemMatch().field("qty").is("$gt", 1).end()
+            .build();
+        assert.deepStrictEqual(q, {items: {$elemMatch: {sku: "a"}}, $and: [{items: {$elemMatch: {qty: {$gt: 1}}}}]});
+        // different elements may match each
+        assert.ok(builder.matches(q, {items: [{sku: "a", qty: 0}, {sku: "b", qty: 5}]}));
+    });
+
+    it("keeps elemMatch() apart from other conditions on the field", function () {
+        var q = new QueryBuilder().field("items").is("$size", 2).field("items").elemMatch().field("sku").matches("a").end().build();
+        assert.deepStrictEqual(q, {items: {$size: 2, $elemMatch: {sku: "a"}}});
+    });
+
+    it("supports OR groups and nesting", function () {
+        assert.deepStrictEqual(new QueryBuilder().field("items").elemMatch()
+            .either().field("sku").matches("a").or().field("qty").is("$gt", 1).end()
+            .end().build(), {items: {$elemMatch: {$or: [{sku: "a"}, {qty: {$gt: 1}}]}}});
+        assert.deepStrictEqual(new QueryBuilder().field("a").elemMatch().field("b").elemMatch().field("c").matches(1).end().end().build(),
+            {a: {$elemMatch: {b: {$elemMatch: {c: 1}}}}});
+    });
+
+    it("skips empty scopes, and returns to the parent builder", function () {
+        var b = new QueryBuilder();
+        assert.strictEqual(b.field("items").elemMatch().end(), b);
+        assert.deepStrictEqual(b.build(), {});
+    });
+
+    it("checks the element fields against the schema", function () {
+        var options = {schema: {items: [{sku: "string", qty: "number"}], name: "string"}};
+        assert.deepStrictEqual(new QueryBuilder(null, options).field("items").elemMatch().field("qty").is("$gt", "2").end().build(),
+            {items: {$elemMatch: {qty: {$gt: 2}}}});
+        assert.throws(function () {
+            new QueryBuilder(null, options).field("items").elemMatch().field("qtx").matches(1);
+        }, builder.InvalidFieldError);
+        assert.throws(function () {
+            new QueryBuilder(null, options).field("name").elemMatch();
+        }, builder.InvalidOperatorError);
+    });
+
+    it("rejects near() inside elemMatch()", function () {
+        ["near", "nearSphere"].forEach(function (method) {
+            assert.throws(function () {
+                new QueryBuilder().field("places").elemMatch().field("loc")[method]([0, 0]);
+            }, function (e) {
+                return e instanceof builder.IllegalChainError && e.code == "ILLEGAL_CHAIN";
+            }, method);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var params = require("../lib/params");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("errors", function () {
+    var types = {
+        InvalidFieldError: "INVALID_FIELD",
+        InvalidOperatorError: "INVALID_OPERATOR",
+        InvalidValueError: "INVALID_VALUE",
+        IllegalChainError: "ILLEGAL_CHAIN",
+        FilterSyntaxError: "FILTER_SYNTAX",
+        QueryValidationError: "INVALID_QUERY"
+    };
+
+    it("are QueryBuilderErrors and Errors, with their default codes", function () {
+        Object.keys(types).forEach(function (name) {
+            var error = new builder[name]("message");
+            assert.ok(error instanceof builder[name], name);
+            assert.ok(error instanceof builder.QueryBuilderError, name);
+            assert.ok(error instanceof Error, name);
+            assert.strictEqual(error.name, name);
+            assert.strictEqual(error.code, types[name]);
+            assert.strictEqual(error.message, "message");
+            assert.ok(error.stack);
+            Object.keys(types).forEach(function (other) {
+                if (other != name) assert.ok(!(error instanceof builder[other]), name + " is not a " + other);
+            });
+        });
+    });
+
+    it("keep the code, field and operator details", function () {
+        var error = new builder.InvalidOperatorError("message", {code: "UNKNOWN_OPERATOR", field: "age", operator: "$foo"});
+        assert.strictEqual(error.code, "UNKNOWN_OPERATOR");
+        assert.strictEqual(error.field, "age");
+        assert.strictEqual(error.operator, "$foo");
+        assert.strictEqual(new builder.FilterSyntaxError("message", {position: 3}).position, 3);
+    });
+
+    it("report the details of builder errors", function () {
+        assert.throws(function () {
+            new QueryBuilder(null, {schema: {age: "number"}}).field("age").is("$regex", /^1/);
+        }, function (e) {
+            return e instanceof builder.InvalidOperatorError && e.operator == "$regex" && e.field == "age";
+        });
+        assert.throws(function () {
+            new QueryBuilder().field(1);
+        }, builder.InvalidFieldError);
+    });
+
+    it("are thrown for invalid filter specs, instead of TypeErrors", function () {
+        assert.throws(function () {
+            params.applyParams(new QueryBuilder(), {}, null);
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            QueryBuilder.fromParams({}, {age: "number"});
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            QueryBuilder.fromParams({}, {age: {operators: ["like"]}});
+        }, builder.InvalidOperatorError);
+    });
+});
+
+describe("strict mode", function () {
+    it("reports an empty matchesAny() when building", function () {
+        var b = new QueryBuilder(null, {strict: true}).field("status").matchesAny([]);
+        assert.throws(function () {
+            b.build();
+        }, function (e) {
+            assert.ok(e instanceof builder.QueryValidationError);
+            assert.strictEqual(e.errors.length, 1);
+            assert.ok(e.errors[0] instanceof builder.InvalidValueError);
+            assert.strictEqual(e.errors[0].code, "EMPTY_VALUES");
+            assert.strictEqual(e.errors[0].field, "status");
+            assert.strictEqual(e.errors[0].operator, "$in");
+            return true;
+        });
+    });
+
+    it("ignores an empty matchesAny() otherwise", function () {
+        assert.deepStrictEqual(new QueryBuilder().field("status").matchesAny([]).build(), {});
+    });
+
+    it("reports all the problems at once", function () {
+        var b = new QueryBuilder(null, {strict: true});
+        b.field("status").matchesAny([]);
+        b.search("foo").in();
+        assert.throws(function () {
+            b.build();
+        }, function (e) {
+            assert.deepStrictEqual(e.errors.map(function (error) {
+                return error.code;
+            }), ["EMPTY_VALUES", "EMPTY_FIELDS"]);
+            assert.ok(/2 problems found/.test(e.message));
+            return true;
+        });
+    });
+
+    it("reports unknown operators, and conditions mixing operators and fields", function () {
+        var b = new QueryBuilder({$foo: 1, a: {$bar: 1}, b: {$gt: 1, c: 2}}, {strict: true});
+        assert.throws(function () {
+            b.build();
+        }, function (e) {
+            assert.deepStrictEqual(e.errors.map(function (error) {
+                return [error.code, error.field, error.operator];
+            }), [["UNKNOWN_OPERATOR", undefined, "$foo"], ["UNKNOWN_OPERATOR", "a", "$bar"], ["MIXED_CONDITION", "b", undefined]]);
+            return true;
+        });
+    });
+
+    it("accepts valid queries", function () {
+        var q = new QueryBuilder(null, {strict: true}).field("items").is("$elemMatch", {qty: {$gt: 1}}).build();
+        assert.deepStrictEqual(q, {items: {$elemMatch: {qty: {$gt: 1}}}});
+    });
+});
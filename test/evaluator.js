@@ -0,0 +1,116 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+var matches = builder.matches;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("evaluator", function () {
+    var doc = {
+        name: "Widget",
+        tags: ["a", "b"],
+        price: 12,
+        missing: undefined,
+        nothing: null,
+        items: [{sku: "x", qty: 1}, {sku: "y", qty: 5}],
+        matrix: [[1, 2], [3]]
+    };
+
+    it("matches values and comparisons on array elements", function () {
+        assert.ok(matches({tags: "a"}, doc));
+        assert.ok(matches({tags: ["a", "b"]}, doc));
+        assert.ok(!matches({tags: ["b", "a"]}, doc));
+        assert.ok(matches({tags: {$gt: "a"}}, doc));
+        assert.ok(!matches({tags: {$gt: "b"}}, doc));
+        assert.ok(matches({matrix: [3]}, doc));
+    });
+
+    it("traverses arrays along dotted paths, and indexes them with numbers", function () {
+        assert.ok(matches({"items.sku": "y"}, doc));
+        assert.ok(matches({"items.qty": {$gt: 4}}, doc));
+        assert.ok(!matches({"items.qty": {$gt: 5}}, doc));
+        assert.ok(matches({"items.0.sku": "x"}, doc));
+        assert.ok(!matches({"items.1.sku": "x"}, doc));
+        assert.ok(matches({"tags.1": "b"}, doc));
+    });
+
+    it("matches all the conditions of $elemMatch with the same element", function () {
+        assert.ok(!matches({items: {$elemMatch: {sku: "x", qty: 5}}}, doc));
+        assert.ok(matches({"items.sku": "x", "items.qty": 5}, doc));
+        assert.ok(matches({items: {$elemMatch: {sku: "y", qty: {$gte: 5}}}}, doc));
+        assert.ok(matches({tags: {$elemMatch: {$gt: "a", $lt: "c"}}}, doc));
+        assert.ok(!matches({tags: {$elemMatch: {$gt: "b"}}}, doc));
+        assert.ok(!matches({name: {$elemMatch: {$eq: "Widget"}}}, doc));
+    });
+
+    it("tells missing fields from null ones with $exists", function () {
+        assert.ok(matches({nothing: {$exists: true}}, doc));
+        assert.ok(!matches({missing: {$exists: true}}, doc));
+        assert.ok(matches({other: {$exists: false}}, doc));
+        assert.ok(matches({"items.qty": {$exists: true}}, doc));
+        assert.ok(!matches({"items.price": {$exists: true}}, doc));
+        // null matches both
+        assert.ok(matches({nothing: null}, doc));
+        assert.ok(matches({other: null}, doc));
+        assert.ok(!matches({name: null}, doc));
+    });
+
+    it("matches RegExps in $in, $nin and equality", function () {
+        assert.ok(matches({name: {$in: [/^wid/i, "other"]}}, doc));
+        assert.ok(matches({tags: {$in: [/^b$/]}}, doc));
+        assert.ok(!matches({name: {$in: [/^gad/i]}}, doc));
+        assert.ok(!matches({name: {$nin: [/^wid/i]}}, doc));
+        assert.ok(matches({name: /get$/}, doc));
+        assert.ok(matches({name: {$regex: "^widget$", $options: "i"}}, doc));
+        assert.ok(matches({name: {$not: /^gad/}}, doc));
+    });
+
+    it("evaluates $and, $or and $nor", function () {
+        assert.ok(matches({$or: [{name: "Gadget"}, {price: 12}]}, doc));
+        assert.ok(!matches({$or: [{name: "Gadget"}, {price: 13}]}, doc));
+        assert.ok(matches({$and: [{name: "Widget"}, {price: {$lt: 20}}]}, doc));
+        assert.ok(matches({$nor: [{name: "Gadget"}, {price: 13}]}, doc));
+        assert.ok(!matches({$nor: [{name: "Gadget"}, {price: 12}]}, doc));
+        assert.ok(matches({other: {$ne: 1}, tags: {$nin: ["c"]}, price: {$not: {$gt: 20}}}, doc));
+    });
+
+    it("evaluates the other field operators", function () {
+        assert.ok(matches({tags: {$all: ["b", "a"]}}, doc));
+        assert.ok(!matches({tags: {$all: []}}, doc));
+        assert.ok(matches({tags: {$size: 2}}, doc));
+        assert.ok(matches({price: {$mod: [5, 2]}}, doc));
+        assert.ok(matches({price: {$type: "number"}, tags: {$type: "array"}, nothing: {$type: "null"}}, doc));
+    });
+
+    it("evaluates built queries, as predicates", function () {
+        var b = new QueryBuilder().field("price").is("$gte", 10).field("tags").matchesAny(["c", "b"]);
+        assert.deepStrictEqual([doc, {price: 20}].filter(b.toPredicate()), [doc]);
+    });
+
+    it("rejects unsupported operators and invalid operands", function () {
+        [
+            {$where: "true"},
+            {$text: {$search: "a"}},
+            {name: {$near: [0, 0]}},
+            {name: {$type: "decimal"}}
+        ].forEach(function (query) {
+            assert.throws(function () {
+                matches(query, doc);
+            }, function (e) {
+                return e instanceof builder.InvalidOperatorError && e.code == "UNSUPPORTED_OPERATOR";
+            }, JSON.stringify(query));
+        });
+        [
+            {name: {$in: "Widget"}},
+            {$or: []},
+            {name: {$mod: [2]}},
+            {name: {$not: "Widget"}}
+        ].forEach(function (query) {
+            assert.throws(function () {
+                matches(query, doc);
+            }, builder.InvalidValueError, JSON.stringify(query));
+        });
+    });
+});
@@ -0,0 +1,36 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+var expr = builder.expr;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("expressions", function () {
+    it("takes operator objects as the condition of cond()", function () {
+        assert.deepStrictEqual(expr.cond({$gt: ["$a", 1]}, 1, 0).build(), {$cond: [{$gt: ["$a", 1]}, 1, 0]});
+    });
+
+    it("takes operator objects as the operands of and() and or()", function () {
+        var e = expr.field("a").gt(1).and({$lt: ["$b", 2]}).or({$eq: ["$c", true]});
+        assert.deepStrictEqual(e.build(), {$or: [{$and: [{$gt: ["$a", 1]}, {$lt: ["$b", 2]}]}, {$eq: ["$c", true]}]});
+        assert.deepStrictEqual(expr.raw({$gt: ["$a", 1]}).not().build(), {$not: [{$gt: ["$a", 1]}]});
+    });
+
+    it("rejects operator objects with several operators as conditions", function () {
+        assert.throws(function () {
+            expr.cond({$gt: ["$a", 1], $lt: ["$a", 5]}, 1, 0);
+        }, builder.InvalidValueError);
+    });
+
+    it("still wraps other objects in $literal", function () {
+        assert.deepStrictEqual(expr.cond(true, {$gt: 1}, {a: 1}).build(), {$cond: [true, {$literal: {$gt: 1}}, {$literal: {a: 1}}]});
+        assert.deepStrictEqual(expr.field("a").eq({$size: 1}).build(), {$eq: ["$a", {$literal: {$size: 1}}]});
+    });
+
+    it("builds cond() conditions from the builder", function () {
+        var q = new QueryBuilder(null, {}).expr().cond({$gt: ["$qty", 10]}, expr.field("price"), 0).gte(100).build();
+        assert.deepStrictEqual(q, {$expr: {$gte: [{$cond: [{$gt: ["$qty", 10]}, "$price", 0]}, 100]}});
+    });
+});
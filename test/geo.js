@@ -0,0 +1,137 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+var geo = builder.geo;
+
+var describe = test.describe;
+var it = test.it;
+
+/**
+ * Asserts that the call throws an IllegalChainError for $near.
+ */
+function assertIllegalNear(call, message) {
+    assert.throws(call, function (e) {
+        assert.ok(e instanceof builder.IllegalChainError, String(e));
+        assert.strictEqual(e.operator, "$near");
+        assert.ok(message.test(e.message), e.message);
+        return true;
+    });
+}
+
+describe("geo", function () {
+    var paris = [2.35, 48.86];
+    var square = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+
+    it("validates positions, and detects swapped longitudes and latitudes", function () {
+        assert.deepStrictEqual(geo.point(2.35, 48.86), {type: "Point", coordinates: paris});
+        assert.deepStrictEqual(geo.position({type: "Point", coordinates: paris}), paris);
+        assert.throws(function () {
+            geo.point(48.86, 122.4);
+        }, function (e) {
+            return e instanceof builder.InvalidValueError && /are they swapped/.test(e.message);
+        });
+        assert.throws(function () {
+            geo.point(200, 100);
+        }, function (e) {
+            return e instanceof builder.InvalidValueError && !/swapped/.test(e.message);
+        });
+        [[1], [1, 2, 3, 4], ["1", 2], [NaN, 0], [Infinity, 0], {type: "LineString", coordinates: [0, 0]}].forEach(function (position) {
+            assert.throws(function () {
+                geo.position(position);
+            }, builder.InvalidValueError, JSON.stringify(position));
+        });
+    });
+
+    it("validates polygon rings", function () {
+        assert.deepStrictEqual(geo.polygon(square), {type: "Polygon", coordinates: [square]});
+        assert.throws(function () {
+            geo.polygon([[0, 0], [1, 0], [1, 1], [0, 1]]);
+        }, function (e) {
+            return e instanceof builder.InvalidValueError && /closed/.test(e.message);
+        });
+        assert.throws(function () {
+            geo.polygon([[0, 0], [1, 1], [0, 0]]);
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            geo.polygon([]);
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            geo.multiPolygon([[square], [[[0, 0], [2, 0], [2, 2], [0, 2]]]]);
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            geo.validate({type: "Circle", coordinates: paris});
+        }, builder.InvalidValueError);
+    });
+
+    it("converts distances to radians", function () {
+        assert.strictEqual(geo.radians(6378.1), 1);
+        assert.strictEqual(geo.radians(3963.2, "mi"), 1);
+        assert.throws(function () {
+            geo.radians(1, "ft");
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            geo.radians(-1);
+        }, builder.InvalidValueError);
+    });
+
+    it("builds the geospatial operators", function () {
+        assert.deepStrictEqual(new QueryBuilder().field("loc").near(paris, {maxDistance: 1000, minDistance: 10}).build(),
+            {loc: {$near: {$geometry: {type: "Point", coordinates: paris}, $maxDistance: 1000, $minDistance: 10}}});
+        assert.deepStrictEqual(new QueryBuilder().field("loc").nearSphere({type: "Point", coordinates: paris}).build(),
+            {loc: {$nearSphere: {$geometry: {type: "Point", coordinates: paris}}}});
+        assert.deepStrictEqual(new QueryBuilder().field("loc").withinPolygon(square).build(),
+            {loc: {$geoWithin: {$geometry: {type: "Polygon", coordinates: [square]}}}});
+        assert.deepStrictEqual(new QueryBuilder().field("loc").withinBox([0, 0], [1, 1]).build(),
+            {loc: {$geoWithin: {$box: [[0, 0], [1, 1]]}}});
+        assert.deepStrictEqual(new QueryBuilder().field("loc").withinCenterSphere(paris, 0.01).build(),
+            {loc: {$geoWithin: {$centerSphere: [paris, 0.01]}}});
+        assert.deepStrictEqual(new QueryBuilder().field("route").intersects(geo.lineString([[0, 0], [1, 1]])).build(),
+            {route: {$geoIntersects: {$geometry: {type: "LineString", coordinates: [[0, 0], [1, 1]]}}}});
+    });
+
+    it("validates the near() distances", function () {
+        [{maxDistance: -1}, {maxDistance: "5"}, {minDistance: NaN}].forEach(function (nearOptions) {
+            assert.throws(function () {
+                new QueryBuilder().field("loc").near(paris, nearOptions);
+            }, function (e) {
+                return e instanceof builder.InvalidValueError && e.field == "loc" && e.operator == "$near";
+            }, JSON.stringify(nearOptions));
+        });
+        assert.deepStrictEqual(new QueryBuilder().field("loc").near(paris, {maxDistance: 0}).build(),
+            {loc: {$near: {$geometry: {type: "Point", coordinates: paris}, $maxDistance: 0}}});
+    });
+
+    it("rejects $near inside OR groups", function () {
+        assertIllegalNear(function () {
+            new QueryBuilder().either().field("a").matches(1).or().field("loc").near(paris);
+        }, /OR group/);
+    });
+
+    it("rejects $near inside NOT groups and elemMatch()", function () {
+        assertIllegalNear(function () {
+            new QueryBuilder().not().field("loc").near(paris);
+        }, /NOT group/);
+        assertIllegalNear(function () {
+            new QueryBuilder().group().not().field("loc").near(paris);
+        }, /NOT group/);
+        assertIllegalNear(function () {
+            new QueryBuilder().field("places").elemMatch().field("loc").near(paris);
+        }, /\$elemMatch/);
+    });
+
+    it("rejects a second $near", function () {
+        assertIllegalNear(function () {
+            new QueryBuilder().field("loc").near(paris).field("other").nearSphere(paris);
+        }, /Only one/);
+        assertIllegalNear(function () {
+            var b = new QueryBuilder().field("loc").near(paris);
+            b.group().field("other").near(paris);
+        }, /Only one/);
+        assertIllegalNear(function () {
+            new QueryBuilder().group().field("loc").near(paris).field("other").near(paris);
+        }, /Only one/);
+        assert.deepStrictEqual(new QueryBuilder().group().field("loc").near(paris).end().build(),
+            {loc: {$near: {$geometry: {type: "Point", coordinates: paris}}}});
+    });
+});
@@ -0,0 +1,70 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("groups", function () {
+    it("nests an OR group inside an AND group", function () {
+        var b = new QueryBuilder();
+        b.field("a").matches(1)
+            .group().either().field("b").matches(2).or().field("c").matches(3).end().end()
+            .field("d").matches(4);
+        assert.deepStrictEqual(b.build(), {a: 1, $or: [{b: 2}, {c: 3}], d: 4});
+    });
+
+    it("nests groups inside OR branches", function () {
+        // (A AND (B OR C)) OR NOT D
+        var b = new QueryBuilder();
+        b.either()
+            .field("a").matches(1).either().field("b").matches(2).or().field("c").matches(3).end()
+            .or().not().field("d").matches(4).end()
+            .end();
+        assert.deepStrictEqual(b.build(), {$or: [{a: 1, $or: [{b: 2}, {c: 3}]}, {$nor: [{d: 4}]}]});
+    });
+
+    it("keeps two OR groups ANDed", function () {
+        var b = new QueryBuilder();
+        b.group().either().field("a").matches(1).or().field("b").matches(2).end().end()
+            .group().either().field("c").matches(3).or().field("d").matches(4).end().end();
+        assert.deepStrictEqual(b.build(), {$or: [{a: 1}, {b: 2}], $and: [{$or: [{c: 3}, {d: 4}]}]});
+    });
+
+    it("builds NOT groups as $nor", function () {
+        var b = new QueryBuilder();
+        b.field("x").matches(0).not().field("a").matches(1).field("b").matches(2).end();
+        assert.deepStrictEqual(b.build(), {x: 0, $nor: [{a: 1, b: 2}]});
+
+        b = new QueryBuilder();
+        b.not().either().field("a").matches(1).or().field("b").matches(2).end().end();
+        assert.deepStrictEqual(b.build(), {$nor: [{$or: [{a: 1}, {b: 2}]}]});
+    });
+
+    it("skips empty groups", function () {
+        var b = new QueryBuilder();
+        b.field("a").matches(1).group().end().not().end();
+        assert.deepStrictEqual(b.build(), {a: 1});
+    });
+
+    it("returns to the parent builder from end()", function () {
+        var b = new QueryBuilder();
+        assert.strictEqual(b.group().end(), b);
+        assert.strictEqual(b.not().end(), b);
+        assert.strictEqual(b.either().field("a").matches(1).end(), b);
+        var group = b.group();
+        assert.strictEqual(group.not().end(), group);
+    });
+
+    it("rejects end() on the root builder", function () {
+        assert.throws(function () {
+            new QueryBuilder().end();
+        }, builder.IllegalChainError);
+        assert.throws(function () {
+            new QueryBuilder().group().end().end();
+        }, function (e) {
+            return e instanceof builder.IllegalChainError && e.code == "ILLEGAL_CHAIN";
+        });
+    });
+});
@@ -0,0 +1,111 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+/**
+ * Builds the query of request parameters, failing on parameter errors.
+ */
+function fromParams(requestParams, spec) {
+    var result = QueryBuilder.fromParams(requestParams, spec);
+    assert.deepStrictEqual(result.errors, []);
+    return result.builder.build();
+}
+
+describe("request parameters", function () {
+    var spec = {
+        age: {type: "number", operators: ["eq", "gte", "lte"]},
+        status: {operators: ["eq", "in"], default: "open"},
+        q: {search: ["title", "body"]}
+    };
+
+    it("folds operators, from flat keys or nested objects", function () {
+        assert.deepStrictEqual(fromParams({"age[gte]": "21", "age[lte]": "65"}, spec), {age: {$gte: 21, $lte: 65}, status: "open"});
+        assert.deepStrictEqual(fromParams({age: {gte: "21"}}, spec), {age: {$gte: 21}, status: "open"});
+    });
+
+    it("matches lists of values, separated or repeated, with $in", function () {
+        assert.deepStrictEqual(fromParams({status: "open, closed,"}, spec), {status: {$in: ["open", "closed"]}});
+        assert.deepStrictEqual(fromParams({status: ["open", "closed"]}, spec), {status: {$in: ["open", "closed"]}});
+        assert.deepStrictEqual(fromParams({tags: "a|b"}, {tags: {separator: "|"}}), {tags: {$in: ["a", "b"]}});
+    });
+
+    it("matches separated values literally without the in operator", function () {
+        assert.deepStrictEqual(fromParams({name: "Doe, John"}, {name: {operators: ["eq"]}}), {name: "Doe, John"});
+    });
+
+    it("uses the defaults of missing or empty parameters", function () {
+        assert.deepStrictEqual(fromParams({}, spec), {status: "open"});
+        assert.deepStrictEqual(fromParams({status: " "}, spec), {status: "open"});
+        assert.deepStrictEqual(fromParams({age: ""}, {age: {type: "number"}}), {});
+    });
+
+    it("ignores parameters not in the spec, and maps fields", function () {
+        assert.deepStrictEqual(fromParams({other: "1", owner: "me"}, {owner: {field: "owner.name"}}), {"owner.name": "me"});
+    });
+
+    it("coerces values to the types", function () {
+        var types = {
+            n: {type: "number", operators: ["eq", "in"]},
+            b: {type: "boolean"},
+            d: {type: "date", operators: ["gte"]},
+            e: {operators: ["exists"]}
+        };
+        assert.deepStrictEqual(fromParams({n: "1,2.5", b: "yes", "d[gte]": "2024-01-01T00:00:00Z", "e[exists]": "false"}, types), {
+            n: {$in: [1, 2.5]},
+            b: true,
+            d: {$gte: new Date("2024-01-01T00:00:00Z")},
+            e: {$exists: false}
+        });
+    });
+
+    it("reports invalid values, and disallowed or unknown operators, without applying them", function () {
+        var result = QueryBuilder.fromParams({"age[gt]": "1", "age[like]": "2", "age[lte]": "old", status: "open"}, spec);
+        assert.deepStrictEqual(result.errors.map(function (error) {
+            return [error.param, error.operator, error.value, error.code];
+        }), [
+            ["age", "gt", "1", "operator_not_allowed"],
+            ["age", "like", "2", "unknown_operator"],
+            ["age", "lte", "old", "invalid_value"]
+        ]);
+        assert.strictEqual(result.errors[2].message, "Invalid age[lte]: should be a number");
+        assert.deepStrictEqual(result.builder.build(), {status: "open"});
+    });
+
+    it("reports search parameters that are not strings", function () {
+        var result = QueryBuilder.fromParams({q: ["a", "b"]}, {q: {search: ["title"]}});
+        assert.deepStrictEqual(result.errors.map(function (error) {
+            return error.code;
+        }), ["invalid_value"]);
+        assert.deepStrictEqual(result.builder.build(), {});
+    });
+
+    it("searches with the mode, inAny by default", function () {
+        ["in", "anyIn", "inAny", "anyInAny"].forEach(function (mode) {
+            var expected = new QueryBuilder();
+            expected.search("foo bar")[mode]("title", "body");
+            assert.deepStrictEqual(fromParams({q: "foo bar"}, {q: {search: ["title", "body"], mode: mode}}), expected.build(), mode);
+        });
+        var inAny = new QueryBuilder();
+        inAny.search("foo bar").inAny("title", "body");
+        assert.deepStrictEqual(fromParams({q: "foo bar"}, {q: {search: ["title", "body"]}}), inAny.build());
+    });
+
+    it("does not pollute prototypes", function () {
+        var requestParams = JSON.parse("{\"__proto__[polluted]\": \"yes\", \"constructor[prototype]\": \"yes\", \"__proto__\": {\"polluted\": \"yes\"}, \"status[__proto__]\": \"yes\"}");
+        var result = QueryBuilder.fromParams(requestParams, {status: {}});
+        assert.strictEqual({}.polluted, undefined);
+        assert.strictEqual(Object.prototype.polluted, undefined);
+        assert.deepStrictEqual(result.builder.build(), {});
+    });
+
+    it("accepts parameters without a prototype, or named like Object methods", function () {
+        var requestParams = Object.create(null);
+        requestParams.status = "closed";
+        assert.deepStrictEqual(fromParams(requestParams, spec), {status: "closed"});
+        assert.deepStrictEqual(fromParams({hasOwnProperty: "x", status: "closed"}, spec), {status: "closed"});
+    });
+});
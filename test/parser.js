@@ -0,0 +1,106 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var parser = require("../lib/parser");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+/**
+ * Asserts that parsing the filter throws a FilterSyntaxError at the
+ * position.
+ */
+function assertSyntaxError(filter, options, position, details) {
+    assert.throws(function () {
+        QueryBuilder.parse(filter, options);
+    }, function (e) {
+        assert.ok(e instanceof builder.FilterSyntaxError, filter + ": " + e);
+        assert.strictEqual(e.position, position, filter + ": " + e.message);
+        if (details) {
+            assert.strictEqual(e.field, details.field);
+            assert.strictEqual(e.operator, details.operator);
+        }
+        return true;
+    });
+}
+
+describe("text filters", function () {
+    it("parses comparisons and literal values", function () {
+        assert.deepStrictEqual(QueryBuilder.parse("age >= 21 and vip = true and name != null and score < -1.5 and n <= 2 and m > 0").build(),
+            {age: {$gte: 21}, vip: true, name: {$ne: null}, score: {$lt: -1.5}, n: {$lte: 2}, m: {$gt: 0}});
+        assert.deepStrictEqual(QueryBuilder.parse("status = open").build(), {status: "open"});
+        assert.deepStrictEqual(QueryBuilder.parse("").build(), {});
+    });
+
+    it("gives AND precedence over OR", function () {
+        assert.deepStrictEqual(parser.parse("a = 1 or b = 2 and c = 3"), {type: "or", operands: [
+            {type: "compare", field: "a", operator: "=", value: 1, position: 0},
+            {type: "and", operands: [
+                {type: "compare", field: "b", operator: "=", value: 2, position: 9},
+                {type: "compare", field: "c", operator: "=", value: 3, position: 19}
+            ]}
+        ]});
+        assert.deepStrictEqual(QueryBuilder.parse("a = 1 or b = 2 and c = 3").build(), {$or: [{a: 1}, {b: 2, c: 3}]});
+        assert.deepStrictEqual(QueryBuilder.parse("(a = 1 or b = 2) and c = 3").build(), {$or: [{a: 1}, {b: 2}], c: 3});
+    });
+
+    it("applies not to the next comparison or group", function () {
+        assert.deepStrictEqual(QueryBuilder.parse("not a = 1 and b = 2").build(), {$nor: [{a: 1}], b: 2});
+        assert.deepStrictEqual(QueryBuilder.parse("NOT (a = 1 OR b = 2)").build(), {$nor: [{$or: [{a: 1}, {b: 2}]}]});
+    });
+
+    it("parses in, not in, exists and not exists", function () {
+        assert.deepStrictEqual(QueryBuilder.parse("status in (open, 'on hold', 3) and tag not in (a) and x exists and y not exists").build(),
+            {status: {$in: ["open", "on hold", 3]}, tag: {$nin: ["a"]}, x: {$exists: true}, y: {$exists: false}});
+        assert.deepStrictEqual(parser.parse("tag NOT IN (a)").operator, "not in");
+    });
+
+    it("unescapes quoted strings", function () {
+        assert.deepStrictEqual(QueryBuilder.parse("name = \"say \\\"hi\\\"\" and t = 'it\\'s' and p = \"a\\\\b\" and s = \"and or (\"").build(),
+            {name: "say \"hi\"", t: "it's", p: "a\\b", s: "and or ("});
+    });
+
+    it("matches searches with ~", function () {
+        var expected = new QueryBuilder();
+        expected.search("smi*").in("name");
+        assert.deepStrictEqual(QueryBuilder.parse("name ~ \"smi*\"").build(), expected.build());
+        assertSyntaxError("name ~ 12", null, 7);
+    });
+
+    it("keeps values literal", function () {
+        assert.deepStrictEqual(QueryBuilder.parse("a = \"$gt\" and b = '{\"$ne\": 1}'").build(), {a: "$gt", b: "{\"$ne\": 1}"});
+    });
+
+    it("restricts the fields and the operators, at their positions", function () {
+        assertSyntaxError("age > 1 and secret = 1", {fields: ["age"]}, 12, {field: "secret", operator: undefined});
+        assertSyntaxError("age > 1 and age ~ x", {fields: {age: [">", "<"]}}, 16, {field: "age", operator: "~"});
+        assertSyntaxError("age > 1 and name = x", {fields: {age: true, name: false}}, 12, {field: "name", operator: undefined});
+        assertSyntaxError("age = 1 or age not in (1)", {operators: ["=", "in"]}, 15, {field: undefined, operator: "not in"});
+        assert.deepStrictEqual(QueryBuilder.parse("age > 1 and name = x", {fields: {age: [">"], name: true}, operators: [">", "="]}).build(),
+            {age: {$gt: 1}, name: "x"});
+    });
+
+    it("reports syntax errors at their positions", function () {
+        assertSyntaxError("age >", null, 5);
+        assertSyntaxError("age 21", null, 4);
+        assertSyntaxError("(age = 1", null, 8);
+        assertSyntaxError("age = 1)", null, 7);
+        assertSyntaxError("age = 1 $ 2", null, 8);
+        assertSyntaxError("status in open", null, 10);
+        assertSyntaxError("= 1", null, 0);
+        assertSyntaxError("name = \"open", null, 7);
+        assert.throws(function () {
+            QueryBuilder.parse(12);
+        }, builder.InvalidValueError);
+    });
+
+    it("limits the nesting depth", function () {
+        var nested = function (depth) {
+            return new Array(depth + 1).join("(") + "a = 1" + new Array(depth + 1).join(")");
+        };
+        assert.deepStrictEqual(QueryBuilder.parse(nested(32)).build(), {a: 1});
+        assertSyntaxError(nested(33), null, 33);
+        assertSyntaxError(new Array(34).join("not ") + "a = 1", null, 132);
+    });
+});
@@ -0,0 +1,123 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+var PipelineBuilder = builder.PipelineBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("pipeline builder", function () {
+    it("merges adjacent $match stages", function () {
+        var p = new PipelineBuilder()
+            .match({a: {$gt: 1}})
+            .match(new QueryBuilder().field("a").is("$lt", 5))
+            .match({b: 1});
+        assert.deepStrictEqual(p.build(), [{$match: {a: {$gt: 1, $lt: 5}, b: 1}}]);
+    });
+
+    it("keeps the conditions that do not merge in $and", function () {
+        assert.deepStrictEqual(new PipelineBuilder().match({a: 1}).match({a: 2}).build(), [{$match: {a: 1, $and: [{a: 2}]}}]);
+        assert.deepStrictEqual(new PipelineBuilder().match({$or: [{a: 1}, {b: 1}]}).match({$or: [{c: 1}, {d: 1}]}).build(),
+            [{$match: {$or: [{a: 1}, {b: 1}], $and: [{$or: [{c: 1}, {d: 1}]}]}}]);
+    });
+
+    it("keeps $match stages apart when other stages are between them, and skips empty ones", function () {
+        var p = new PipelineBuilder().match({a: 1}).limit(5).match({}).match({b: 1});
+        assert.deepStrictEqual(p.build(), [{$match: {a: 1}}, {$limit: 5}, {$match: {b: 1}}]);
+    });
+
+    it("keeps the order of the stages", function () {
+        var p = new PipelineBuilder()
+            .match({status: "open"})
+            .unwind("tags")
+            .group("$tags", {total: PipelineBuilder.sum(1), avg: PipelineBuilder.avg("$price")})
+            .sort({total: -1})
+            .skip(10)
+            .limit(5)
+            .project({total: 1})
+            .addFields({rank: 1})
+            .unwind("$items", {preserveNullAndEmptyArrays: true, includeArrayIndex: "i"})
+            .count("n");
+        assert.deepStrictEqual(p.build(), [
+            {$match: {status: "open"}},
+            {$unwind: "$tags"},
+            {$group: {_id: "$tags", total: {$sum: 1}, avg: {$avg: "$price"}}},
+            {$sort: {total: -1}},
+            {$skip: 10},
+            {$limit: 5},
+            {$project: {total: 1}},
+            {$addFields: {rank: 1}},
+            {$unwind: {path: "$items", preserveNullAndEmptyArrays: true, includeArrayIndex: "i"}},
+            {$count: "n"}
+        ]);
+    });
+
+    it("builds $facet stages from builders and arrays", function () {
+        var p = new PipelineBuilder().facet({
+            byStatus: new PipelineBuilder().group("$status", {n: PipelineBuilder.sum(1)}),
+            top: [{$sort: {score: -1}}, {$limit: 3}]
+        });
+        assert.deepStrictEqual(p.build(), [{$facet: {
+            byStatus: [{$group: {_id: "$status", n: {$sum: 1}}}],
+            top: [{$sort: {score: -1}}, {$limit: 3}]
+        }}]);
+        assert.throws(function () {
+            new PipelineBuilder().facet({});
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            new PipelineBuilder().facet({a: {$limit: 1}});
+        }, builder.InvalidValueError);
+    });
+
+    it("builds $lookup stages, with equality joins or pipelines", function () {
+        assert.deepStrictEqual(new PipelineBuilder().lookup({from: "users", localField: "ownerId", foreignField: "_id", as: "owner"}).build(),
+            [{$lookup: {from: "users", localField: "ownerId", foreignField: "_id", as: "owner"}}]);
+        var p = new PipelineBuilder().lookup({
+            from: "orders",
+            let: {id: "$_id"},
+            pipeline: new PipelineBuilder().match({$expr: {$eq: ["$userId", "$$id"]}}).limit(1),
+            as: "orders"
+        });
+        assert.deepStrictEqual(p.build(), [{$lookup: {
+            from: "orders",
+            let: {id: "$_id"},
+            pipeline: [{$match: {$expr: {$eq: ["$userId", "$$id"]}}}, {$limit: 1}],
+            as: "orders"
+        }}]);
+        assert.throws(function () {
+            new PipelineBuilder().lookup({from: "users", as: "owner"});
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            new PipelineBuilder().lookup({from: "users", localField: "a", foreignField: "b"});
+        }, builder.InvalidValueError);
+    });
+
+    it("rejects invalid stages", function () {
+        [
+            function (p) { p.stage({$limit: 1, $skip: 1}); },
+            function (p) { p.limit(0); },
+            function (p) { p.skip(-1); },
+            function (p) { p.sort({}); },
+            function (p) { p.group(null, {_id: 1}); },
+            function (p) { p.count("$n"); },
+            function (p) { p.match("a"); }
+        ].forEach(function (build) {
+            assert.throws(function () {
+                build(new PipelineBuilder());
+            }, builder.InvalidValueError);
+        });
+    });
+
+    it("builds copies, and does not change the queries given", function () {
+        var query = {a: {$gt: 1}};
+        var p = new PipelineBuilder().match(query);
+        var pipeline = p.build();
+        pipeline[0].$match.x = 42;
+        pipeline.push({$limit: 1});
+        p.match({a: {$lt: 5}});
+        assert.deepStrictEqual(p.build(), [{$match: {a: {$gt: 1, $lt: 5}}}]);
+        assert.deepStrictEqual(query, {a: {$gt: 1}});
+        assert.deepStrictEqual(pipeline, [{$match: {a: {$gt: 1}, x: 42}}, {$limit: 1}]);
+    });
+});
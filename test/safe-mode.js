@@ -0,0 +1,90 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+function unsafe(error) {
+    return error instanceof builder.InvalidOperatorError && error.code == "UNSAFE_OPERATOR";
+}
+
+describe("safe mode", function () {
+    describe("reject", function () {
+        it("rejects operators in values", function () {
+            var b = new QueryBuilder(null, {safeMode: "reject"});
+            assert.throws(function () {
+                b.field("pw").matches({$ne: null});
+            }, unsafe);
+            assert.throws(function () {
+                b.field("pw").matchesAny([{$ne: null}]);
+            }, unsafe);
+            assert.throws(function () {
+                b.field("pw").matchesAll(["a", {$gt: ""}]);
+            }, unsafe);
+        });
+
+        it("rejects comparators not allowed", function () {
+            assert.throws(function () {
+                new QueryBuilder(null, {safeMode: true}).field("a").is("$where", "1");
+            }, unsafe);
+        });
+
+        it("rejects fields starting with $", function () {
+            assert.throws(function () {
+                new QueryBuilder(null, {safeMode: true}).field("$where").matches("1");
+            }, function (error) {
+                return error instanceof builder.InvalidFieldError && error.code == "UNSAFE_FIELD";
+            });
+        });
+
+        it("allows plain values", function () {
+            var query = new QueryBuilder(null, {safeMode: "reject"})
+                .field("a").matches("x")
+                .field("b").matchesAny([1, 2])
+                .field("c").is("$gt", 3)
+                .build();
+            assert.deepStrictEqual(query, {a: "x", b: {$in: [1, 2]}, c: {$gt: 3}});
+        });
+    });
+
+    describe("literal", function () {
+        it("matches operator objects literally", function () {
+            var query = new QueryBuilder(null, {safeMode: "literal"}).field("pw").matches({$ne: null}).build();
+            assert.deepStrictEqual(query, {pw: {$eq: {$ne: null}}});
+        });
+
+        it("matches a single matchesAny() value literally", function () {
+            var query = new QueryBuilder(null, {safeMode: "literal"}).field("pw").matchesAny(["x"]).build();
+            assert.deepStrictEqual(query, {pw: "x"});
+            assert.throws(function () {
+                new QueryBuilder(null, {safeMode: "literal"}).field("pw").matchesAny([{$ne: null}]);
+            }, unsafe);
+        });
+
+        it("rejects operators in lists, like is()", function () {
+            var b = new QueryBuilder(null, {safeMode: "literal"});
+            assert.throws(function () {
+                b.field("pw").matchesAny(["x", {$ne: null}]);
+            }, unsafe);
+            assert.throws(function () {
+                b.field("pw").is("$in", [{$ne: null}]);
+            }, unsafe);
+        });
+
+        it("never builds an operator from a value", function () {
+            var values = [{$ne: null}, {$gt: ""}, {$regex: ".*"}];
+            values.forEach(function (value) {
+                var query;
+                try {
+                    query = new QueryBuilder(null, {safeMode: "literal"}).field("pw").matchesAny([value]).build();
+                } catch (error) {
+                    assert.ok(unsafe(error));
+                    return;
+                }
+                assert.ok(!builder.matches(query, {pw: "secret"}), JSON.stringify(query));
+            });
+        });
+    });
+});
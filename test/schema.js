@@ -0,0 +1,53 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("schema", function () {
+    var options = {schema: {owner: "objectId", owners: ["objectId"], name: "string", _ref: "string"}};
+    var hex = "0123456789abcdef01234567";
+    function ObjectId() {}
+    ObjectId.prototype.toHexString = function () {
+        return hex;
+    };
+    var objectId = new ObjectId();
+
+    it("accepts ObjectIds and 24 character hex strings for objectId fields", function () {
+        assert.deepStrictEqual(new QueryBuilder(null, options).field("owner").matches(hex).build(), {owner: hex});
+        assert.strictEqual(new QueryBuilder(null, options).field("owner").matches(objectId).build().owner, objectId);
+    });
+
+    it("rejects other values for objectId fields, in every operator", function () {
+        [
+            function (b) { b.field("owner").matches("abc"); },
+            function (b) { b.field("owner").matches({$oid: hex}); },
+            function (b) { b.field("owner").is("$ne", 12); },
+            function (b) { b.field("owner").matchesAny([hex, "abc"]); },
+            function (b) { b.field("owner").is("$gt", {}); },
+            function (b) { b.field("owner").is("$not", {$eq: "abc"}); },
+            function (b) { b.field("owners").is("$elemMatch", {$eq: "abc"}); }
+        ].forEach(function (build) {
+            assert.throws(function () {
+                build(new QueryBuilder(null, options));
+            }, builder.InvalidValueError);
+        });
+    });
+
+    it("declares _id implicitly as an objectId", function () {
+        assert.deepStrictEqual(new QueryBuilder(null, options).field("_id").matches(hex).build(), {_id: hex});
+        assert.throws(function () {
+            new QueryBuilder(null, options).field("_id").matches("abc");
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            new QueryBuilder(null, options).field("_id.x").matches(1);
+        }, builder.InvalidFieldError);
+    });
+
+    it("keeps an _id declared by the schema", function () {
+        var q = new QueryBuilder(null, {schema: {_id: "number"}}).field("_id").matches("5").build();
+        assert.deepStrictEqual(q, {_id: 5});
+    });
+});
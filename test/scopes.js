@@ -0,0 +1,72 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("scopes", function () {
+    QueryBuilder.defineScope("test.active", function (b) {
+        b.field("deletedAt").is("$exists", false);
+    });
+    QueryBuilder.defineScope("test.ownedBy", function (b, userId) {
+        b.field("ownerId").matches(userId);
+    });
+    QueryBuilder.defineScope("test.tagged", function (b) {
+        b.field("tags").matchesAll(Array.prototype.slice.call(arguments, 1));
+    }, 2);
+
+    it("applies scopes with their arguments", function () {
+        var query = new QueryBuilder().scope("test.active", "test.ownedBy", "u1").build();
+        assert.deepStrictEqual(query, {deletedAt: {$exists: false}, ownerId: "u1"});
+    });
+
+    it("takes the explicit arity", function () {
+        var query = new QueryBuilder().scope("test.tagged", "a", "b", "test.active").build();
+        assert.deepStrictEqual(query, {tags: "a", $and: [{tags: "b"}], deletedAt: {$exists: false}});
+    });
+
+    it("rejects undefined arguments", function () {
+        assert.throws(function () {
+            new QueryBuilder().scope("test.ownedBy", undefined);
+        }, builder.InvalidValueError);
+    });
+
+    it("rejects missing arguments", function () {
+        assert.throws(function () {
+            new QueryBuilder().scope("test.ownedBy");
+        }, builder.InvalidValueError);
+    });
+
+    it("rejects unknown scopes, including Object properties", function () {
+        ["test.unknown", "hasOwnProperty", "toString", "__proto__"].forEach(function (name) {
+            assert.throws(function () {
+                new QueryBuilder().scope(name);
+            }, function (error) {
+                return error.code == "UNKNOWN_SCOPE";
+            }, name);
+        });
+    });
+
+    it("defines scopes named like Object properties", function () {
+        QueryBuilder.defineScope("hasOwnProperty", function (b) {
+            b.field("a").matches(1);
+        });
+        QueryBuilder.defineScope("test.afterHasOwnProperty", function (b) {
+            b.field("b").matches(2);
+        });
+        assert.deepStrictEqual(new QueryBuilder().scope("hasOwnProperty", "test.afterHasOwnProperty").build(), {a: 1, b: 2});
+    });
+
+    it("rejects redefinitions and invalid arities", function () {
+        assert.throws(function () {
+            QueryBuilder.defineScope("test.active", function () {
+            });
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            QueryBuilder.defineScope("test.invalidArity", function () {
+            }, -1);
+        }, builder.InvalidValueError);
+    });
+});
@@ -0,0 +1,110 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+function matcher(build) {
+    var query = build(new QueryBuilder().search("foo bar")).build();
+    return function (doc) {
+        return builder.matches(query, doc);
+    };
+}
+
+describe("search", function () {
+    var both = {title: "foo bar", body: "foo bar"};
+    var oneToken = {title: "foo", body: "foo"};
+    var oneField = {title: "foo bar", body: "baz"};
+
+    it("in() matches any of the tokens in all of the fields", function () {
+        var matches = matcher(function (search) {
+            return search.in("title", "body");
+        });
+        assert.ok(matches(both));
+        assert.ok(matches(oneToken));
+        assert.ok(!matches(oneField));
+    });
+
+    it("anyIn() matches all of the tokens in all of the fields", function () {
+        var matches = matcher(function (search) {
+            return search.anyIn("title", "body");
+        });
+        assert.ok(matches(both));
+        assert.ok(!matches(oneToken));
+        assert.ok(!matches(oneField));
+    });
+
+    it("inAny() matches any of the tokens in any of the fields", function () {
+        var matches = matcher(function (search) {
+            return search.inAny("title", "body");
+        });
+        assert.ok(matches(oneToken));
+        assert.ok(matches(oneField));
+        assert.ok(matches({title: "bar", body: "baz"}));
+        assert.ok(!matches({title: "baz", body: "baz"}));
+    });
+
+    it("anyInAny() matches all of the tokens in any of the fields", function () {
+        var matches = matcher(function (search) {
+            return search.anyInAny("title", "body");
+        });
+        assert.ok(matches(oneField));
+        assert.ok(!matches(oneToken));
+    });
+
+    it("excludes negated tokens", function () {
+        var query = new QueryBuilder().search("foo -draft").in("title").build();
+        assert.ok(builder.matches(query, {title: "foo"}));
+        assert.ok(!builder.matches(query, {title: "foo draft"}));
+    });
+
+    describe("rankedIn", function () {
+        it("adds and sorts by the rank score", function () {
+            var stages = new QueryBuilder().search("foo").rankedIn({title: 2}).buildPipeline();
+            assert.strictEqual(stages.length, 3);
+            assert.ok(stages[1].$addFields.rank.$add.length > 0);
+            assert.deepStrictEqual(stages[2], {$sort: {rank: -1}});
+        });
+
+        it("converts only the values with a string form", function () {
+            var stages = new QueryBuilder().search("foo").rankedIn({title: 1}).buildPipeline();
+            var input = stages[1].$addFields.rank.$add[0].$cond[0].$regexMatch.input;
+            assert.deepStrictEqual(input.$cond[2], {$convert: {input: "$title", to: "string", onError: "", onNull: ""}});
+            assert.ok(JSON.stringify(input).indexOf("$toString") < 0);
+        });
+
+        it("keeps a ranked search in a group or an OR branch", function () {
+            var b = new QueryBuilder();
+            b.either().search("foo").rankedIn({title: 1}).or().field("pinned").matches(true).end();
+            var stages = b.buildPipeline();
+            assert.ok(stages[1].$addFields.rank);
+            b = new QueryBuilder();
+            b.group().search("foo").rankedIn({title: 1}).end();
+            assert.ok(b.buildPipeline()[1].$addFields.rank);
+        });
+
+        it("rejects a ranked search in a NOT group", function () {
+            assert.throws(function () {
+                new QueryBuilder().not().search("foo").rankedIn({title: 1});
+            }, builder.IllegalChainError);
+        });
+
+        it("keeps the rank and text scores apart", function () {
+            var b = new QueryBuilder().textSearch("foo").in().search("bar").rankedIn({title: 1});
+            var stages = b.buildPipeline();
+            assert.ok(stages[1].$addFields.rank);
+            assert.deepStrictEqual(stages[2], {$addFields: {score: {$meta: "textScore"}}});
+            assert.deepStrictEqual(stages[3], {$sort: {rank: -1, score: {$meta: "textScore"}}});
+            assert.throws(function () {
+                new QueryBuilder().textSearch("foo").in().search("bar").rankedIn({title: 1}, "score");
+            }, builder.IllegalChainError);
+        });
+    });
+
+    it("has the same semantics with $text", function () {
+        assert.deepStrictEqual(new QueryBuilder().textSearch("foo bar").in().build(), {$text: {$search: "foo bar"}});
+        assert.deepStrictEqual(new QueryBuilder().textSearch("foo bar").anyIn().build(), {$text: {$search: "\"foo\" \"bar\""}});
+    });
+});
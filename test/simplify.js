@@ -0,0 +1,73 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("simplification", function () {
+    describe("by default", function () {
+        it("keeps $or branches that an array can match", function () {
+            var query = new QueryBuilder()
+                .either().field("tags").matchesAll(["x", "y"])
+                .or().field("a").matches(1).end()
+                .build();
+            assert.deepStrictEqual(query.$or.length, 2);
+            assert.ok(builder.matches(query, {tags: ["x", "y"]}));
+        });
+
+        it("does not report conditions on the same field as unsatisfiable", function () {
+            var b = new QueryBuilder().field("tags").matches("x").field("tags").matches("y");
+            assert.strictEqual(b.isUnsatisfiable(), false);
+            assert.ok(builder.matches(b.build(), {tags: ["x", "y"]}));
+        });
+
+        it("does not intersect $in lists", function () {
+            var query = new QueryBuilder()
+                .field("tags").matchesAny(["a", "b"])
+                .field("tags").matchesAny(["c", "d"])
+                .build();
+            assert.ok(builder.matches(query, {tags: ["a", "c"]}));
+        });
+
+        it("still reports an $or of unsatisfiable scalar branches", function () {
+            var b = new QueryBuilder(null, {scalarFields: ["a"]})
+                .either().field("a").matches(1).field("a").matches(2).end();
+            assert.strictEqual(b.isUnsatisfiable(), true);
+        });
+    });
+
+    describe("scalar fields", function () {
+        it("tightens ranges and intersects $in lists", function () {
+            var query = new QueryBuilder(null, {scalarFields: ["a", "b"]})
+                .field("a").is("$gt", 1).field("a").is("$gt", 5)
+                .field("b").matchesAny([1, 2, 3]).field("b").matchesAny([2, 3, 4])
+                .build();
+            assert.deepStrictEqual(query, {a: {$gt: 5}, b: {$in: [2, 3]}});
+        });
+
+        it("drops $or branches that can never match", function () {
+            var query = new QueryBuilder(null, {scalarFields: ["a"]})
+                .either().field("a").matches(1).field("a").matches(2)
+                .or().field("b").matches(3).end()
+                .build();
+            assert.deepStrictEqual(query, {b: 3});
+        });
+
+        it("are the non-array fields of the schema", function () {
+            var b = new QueryBuilder(null, {schema: {a: "number", tags: ["string"], extra: "mixed"}});
+            b.field("a").matches(1).field("a").matches(2);
+            assert.strictEqual(b.isUnsatisfiable(), true);
+            b = new QueryBuilder(null, {schema: {a: "number", tags: ["string"], extra: "mixed"}});
+            b.field("tags").matches("x").field("tags").matches("y").field("extra").matches(1).field("extra").matches(2);
+            assert.strictEqual(b.isUnsatisfiable(), false);
+        });
+
+        it("exclude the array fields", function () {
+            var b = new QueryBuilder(null, {scalarFields: ["tags"], arrayFields: ["tags"]});
+            b.field("tags").matches("x").field("tags").matches("y");
+            assert.strictEqual(b.isUnsatisfiable(), false);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var sql = require("../lib/sql");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("toSQL", function () {
+    it("matches equality by containment", function () {
+        assert.deepStrictEqual(sql.toSQL({status: "open", "a.b": 1}), {
+            where: "\"doc\" @> $1::jsonb AND \"doc\" @> $2::jsonb",
+            values: ["{\"status\":\"open\"}", "{\"a\":{\"b\":1}}"]
+        });
+    });
+
+    it("compares values of the same type only", function () {
+        assert.deepStrictEqual(sql.toSQL({age: {$gte: 21}, name: {$lt: "m"}}, {column: "t.data", paramOffset: 2}), {
+            where: "(jsonb_typeof(\"t\".\"data\" #> '{\"age\"}') = 'number' AND \"t\".\"data\" #> '{\"age\"}' >= $3::jsonb) AND " +
+            "(jsonb_typeof(\"t\".\"data\" #> '{\"name\"}') = 'string' AND (\"t\".\"data\" #>> '{\"name\"}') COLLATE \"C\" < $4)",
+            values: ["21", "m"]
+        });
+    });
+
+    it("matches null for missing fields", function () {
+        assert.strictEqual(sql.toSQL({a: null}).where, "(\"doc\" #> '{\"a\"}' IS NULL OR \"doc\" #> '{\"a\"}' = 'null'::jsonb)");
+    });
+
+    it("negates with NOT COALESCE", function () {
+        assert.deepStrictEqual(sql.toSQL({a: {$ne: 1}}), {
+            where: "NOT COALESCE(\"doc\" @> $1::jsonb, FALSE)",
+            values: ["{\"a\":1}"]
+        });
+    });
+
+    it("wraps array fields in containment", function () {
+        assert.deepStrictEqual(sql.toSQL({tags: "x"}, {arrayFields: ["tags"]}).values, ["{\"tags\":[\"x\"]}"]);
+    });
+
+    it("compares the elements of array fields", function () {
+        assert.deepStrictEqual(sql.toSQL({scores: {$gt: 5}}, {arrayFields: ["scores"]}), {
+            where: "((jsonb_typeof(\"doc\" #> '{\"scores\"}') = 'number' AND \"doc\" #> '{\"scores\"}' > $1::jsonb) OR " +
+            "EXISTS (SELECT 1 FROM jsonb_array_elements(CASE WHEN jsonb_typeof(\"doc\" #> '{\"scores\"}') = 'array' " +
+            "THEN \"doc\" #> '{\"scores\"}' ELSE '[]'::jsonb END) AS elem1(value) " +
+            "WHERE (jsonb_typeof(elem1.value) = 'number' AND elem1.value > $1::jsonb)))",
+            values: ["5"]
+        });
+    });
+
+    it("matches regexes on the elements of array fields", function () {
+        var result = sql.toSQL({tags: /^x/i}, {arrayFields: ["tags"]});
+        assert.ok(result.where.indexOf("WHERE (jsonb_typeof(elem1.value) = 'string' AND (elem1.value #>> '{}') ~* $1)") > 0, result.where);
+        assert.deepStrictEqual(result.values, ["(?p)^x"]);
+    });
+
+    it("checks fields within arrays of documents", function () {
+        var result = sql.toSQL({"a.b": {$exists: true}}, {arrayFields: ["a"]});
+        assert.strictEqual(result.where, "((jsonb_typeof(\"doc\" #> '{\"a\"}') IS DISTINCT FROM 'array' AND \"doc\" #> '{\"a\",\"b\"}' IS NOT NULL) OR " +
+            "EXISTS (SELECT 1 FROM jsonb_array_elements(CASE WHEN jsonb_typeof(\"doc\" #> '{\"a\"}') = 'array' " +
+            "THEN \"doc\" #> '{\"a\"}' ELSE '[]'::jsonb END) AS elem1(value) WHERE elem1.value #> '{\"b\"}' IS NOT NULL))");
+        assert.ok(/^NOT COALESCE\(/.test(sql.toSQL({"a.b": {$exists: false}}, {arrayFields: ["a"]}).where));
+    });
+
+    it("indexes into array fields with numeric parts", function () {
+        assert.strictEqual(sql.toSQL({"a.0": {$lt: 3}}, {arrayFields: ["a"]}).where,
+            "(jsonb_typeof(\"doc\" #> '{\"a\",\"0\"}') = 'number' AND \"doc\" #> '{\"a\",\"0\"}' < $1::jsonb)");
+    });
+
+    it("translates $elemMatch to EXISTS", function () {
+        assert.deepStrictEqual(sql.toSQL({items: {$elemMatch: {sku: "a", qty: {$gt: 1}}}}), {
+            where: "EXISTS (SELECT 1 FROM jsonb_array_elements(CASE WHEN jsonb_typeof(\"doc\" #> '{\"items\"}') = 'array' " +
+            "THEN \"doc\" #> '{\"items\"}' ELSE '[]'::jsonb END) AS elem1(value) " +
+            "WHERE (elem1.value @> $1::jsonb AND (jsonb_typeof(elem1.value #> '{\"qty\"}') = 'number' AND elem1.value #> '{\"qty\"}' > $2::jsonb)))",
+            values: ["{\"sku\":\"a\"}", "1"]
+        });
+    });
+
+    it("translates the regexes of searches", function () {
+        assert.strictEqual(sql.regexToPostgres(/\bfoo\p{L}/u), "(?p)\\yfoo[[:alpha:]]");
+        assert.strictEqual(sql.regexToPostgres(/^a.b$/ms), "(?w)^a.b$");
+    });
+
+    it("rejects operators without a translation", function () {
+        [{$where: "1"}, {a: {$near: [0, 0]}}, {$text: {$search: "x"}}].forEach(function (query) {
+            assert.throws(function () {
+                sql.toSQL(query);
+            }, function (error) {
+                return error instanceof builder.InvalidOperatorError && error.code == "UNSUPPORTED_OPERATOR";
+            }, JSON.stringify(query));
+        });
+    });
+
+    it("is available on the builder, with its arrayFields", function () {
+        var result = new QueryBuilder(null, {arrayFields: ["tags"]}).field("tags").matches("x").toSQL();
+        assert.deepStrictEqual(result, {where: "\"doc\" @> $1::jsonb", values: ["{\"tags\":[\"x\"]}"]});
+    });
+});
@@ -0,0 +1,61 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+function illegal(error) {
+    return error instanceof builder.IllegalChainError && error.operator == "$text";
+}
+
+describe("$text search", function () {
+    it("projects and sorts by the text score", function () {
+        var b = new QueryBuilder().sort({_id: 1}).textSearch("foo", {scoreField: "relevance"}).in();
+        assert.deepStrictEqual(b.build(), {$text: {$search: "foo"}});
+        assert.deepStrictEqual(b.buildProjection(), {relevance: {$meta: "textScore"}});
+        assert.deepStrictEqual(b.buildSort(), {relevance: {$meta: "textScore"}, _id: 1});
+    });
+
+    it("registers a search in a group with the root builder", function () {
+        var b = new QueryBuilder(null, {searchMode: "text"});
+        b.group().search("foo").in().end();
+        assert.deepStrictEqual(b.build(), {$text: {$search: "foo"}});
+        assert.deepStrictEqual(b.buildProjection(), {score: {$meta: "textScore"}});
+    });
+
+    it("allows only one search per query", function () {
+        var b = new QueryBuilder(null, {searchMode: "text"});
+        b.search("foo").in();
+        assert.throws(function () {
+            b.group().search("bar").in();
+        }, illegal);
+    });
+
+    it("rejects searches in OR and NOT groups, and in $elemMatch", function () {
+        var b = new QueryBuilder(null, {searchMode: "text"});
+        assert.throws(function () {
+            b.either().search("foo").in();
+        }, illegal);
+        assert.throws(function () {
+            b.not().search("foo").in();
+        }, illegal);
+        assert.throws(function () {
+            b.field("items").elemMatch().textSearch("foo").in();
+        }, illegal);
+        assert.strictEqual(b.buildProjection(), undefined);
+    });
+
+    it("combines OR'ed tokens only with negated ones when matching all", function () {
+        assert.deepStrictEqual(new QueryBuilder().textSearch("cats OR dogs -draft").anyIn().build(),
+            {$text: {$search: "cats dogs -draft"}});
+        assert.throws(function () {
+            new QueryBuilder().textSearch("cats OR dogs \"big house\"").anyIn();
+        }, function (error) {
+            return error instanceof builder.InvalidValueError && error.code == "UNSUPPORTED_VALUE";
+        });
+        assert.deepStrictEqual(new QueryBuilder().textSearch("cats OR dogs \"big house\"").in().build(),
+            {$text: {$search: "cats dogs big house"}});
+    });
+});
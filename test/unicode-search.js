@@ -0,0 +1,74 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+var SearchQueryBuilder = builder.SearchQueryBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+/**
+ * Checks whether the title matches the search, with the options.
+ */
+function found(search, options, title) {
+    var b = new QueryBuilder(null, options);
+    b.search(search).in("title");
+    return builder.matches(b.build(), {title: title});
+}
+
+describe("unicode search", function () {
+    var unicode = {unicodeSearch: true};
+    var fold = {foldDiacritics: true};
+    var both = {unicodeSearch: true, foldDiacritics: true};
+
+    it("builds RegExps with the iu flags", function () {
+        var regExps = SearchQueryBuilder.searchQueryToRegexps("rep*", false, unicode);
+        assert.strictEqual(regExps.any.flags, "iu");
+        assert.strictEqual(regExps.all.flags, "iu");
+        assert.strictEqual(SearchQueryBuilder.searchQueryToRegexps("rep*").any.flags, "i");
+    });
+
+    it("folds diacritics both ways", function () {
+        assert.ok(found("cafe", fold, "Le Café"));
+        assert.ok(found("café", fold, "cafe noir"));
+        assert.ok(found("lodz", fold, "ŁÓDŹ"));
+        assert.ok(found("Łódź", fold, "lodz"));
+        assert.ok(!found("cafe", {}, "Le Café"));
+        assert.ok(!found("cafe", unicode, "Le Café"));
+        assert.ok(found("café", unicode, "CAFÉ"));
+    });
+
+    it("handles combining marks", function () {
+        var decomposed = "cafe\u0301 noir";
+        assert.ok(found("cafe", both, decomposed));
+        assert.ok(found("café", both, decomposed));
+        assert.ok(found("cafe\u0301", both, "Café"));
+        // a combining mark is part of the word, so "pot" does not start a word in "épot"
+        assert.ok(!found("pot", unicode, "e\u0301pot"));
+        assert.ok(found("pot", {}, "e\u0301pot"));
+        assert.ok(found("pot", unicode, "tea-pot"));
+    });
+
+    it("matches Cyrillic words at their beginnings", function () {
+        assert.ok(found("мир", unicode, "Мир во всём мире"));
+        assert.ok(found("мир*е", unicode, "во всём мире"));
+        assert.ok(!found("мир", unicode, "примирение"));
+        assert.ok(found("мир", {}, "примирение"));
+    });
+
+    it("matches CJK tokens anywhere, as words are not separated", function () {
+        assert.ok(found("東京", unicode, "我住在東京"));
+        assert.ok(found("とうきょう", unicode, "ここはとうきょうです"));
+        assert.ok(!found("大阪", unicode, "我住在東京"));
+    });
+
+    it("turns Unicode and folded RegExps back into search terms", function () {
+        [unicode, both, fold].forEach(function (options) {
+            var regExp = SearchQueryBuilder.searchQueryToRegexps("café* мир", false, options).all;
+            assert.deepStrictEqual(SearchQueryBuilder.regexToSearchTerms(regExp), {match: "all", clauses: [
+                [{text: options.foldDiacritics ? "cafe*" : "café*", wordStart: true}],
+                [{text: "мир", wordStart: true}]
+            ]}, JSON.stringify(options));
+        });
+    });
+});
@@ -0,0 +1,117 @@
+var test = require("node:test");
+var assert = require("node:assert");
+var builder = require("../index");
+var QueryBuilder = builder.QueryBuilder;
+var UpdateBuilder = builder.UpdateBuilder;
+
+var describe = test.describe;
+var it = test.it;
+
+describe("update builder", function () {
+    it("builds each operator", function () {
+        var u = new UpdateBuilder()
+            .field("name").set("a")
+            .field("old").unset()
+            .field("views").inc(1)
+            .field("price").mul(2)
+            .field("low").min(5)
+            .field("high").max(7)
+            .field("oldName").rename("newName")
+            .field("updatedAt").currentDate()
+            .field("seenAt").currentDate("timestamp");
+        assert.deepStrictEqual(u.build(), {
+            $set: {name: "a"},
+            $unset: {old: ""},
+            $inc: {views: 1},
+            $mul: {price: 2},
+            $min: {low: 5},
+            $max: {high: 7},
+            $rename: {oldName: "newName"},
+            $currentDate: {updatedAt: true, seenAt: {$type: "timestamp"}}
+        });
+    });
+
+    it("merges repeated operations on the same path", function () {
+        var u = new UpdateBuilder()
+            .field("name").set("a").andField().set("b")
+            .field("views").inc(1).andField().inc(2)
+            .field("price").mul(2).andField().mul(3)
+            .field("low").min(5).andField().min(3)
+            .field("high").max(7).andField().max(9);
+        assert.deepStrictEqual(u.build(), {$set: {name: "b"}, $inc: {views: 3}, $mul: {price: 6}, $min: {low: 3}, $max: {high: 9}});
+    });
+
+    it("collapses a single value $each", function () {
+        assert.deepStrictEqual(new UpdateBuilder().field("tags").push("a").field("ids").addToSet(1).build(),
+            {$push: {tags: "a"}, $addToSet: {ids: 1}});
+        assert.deepStrictEqual(new UpdateBuilder().field("tags").push("a").andField().push("b").build(),
+            {$push: {tags: {$each: ["a", "b"]}}});
+        assert.deepStrictEqual(new UpdateBuilder().field("tags").pushEach(["a"], {slice: -5}).build(),
+            {$push: {tags: {$each: ["a"], $slice: -5}}});
+    });
+
+    it("keeps the $push modifiers, and the $addToSet values unique", function () {
+        var u = new UpdateBuilder()
+            .field("scores").pushEach([{s: 1}], {sort: {s: -1}, slice: 3, position: 0})
+            .andField().pushEach([{s: 2}], {position: 0, slice: 3, sort: {s: -1}})
+            .field("tags").addToSetEach(["a", "b", "a"]).andField().addToSet("b").andField().addToSet("c");
+        assert.deepStrictEqual(u.build(), {
+            $push: {scores: {$each: [{s: 1}, {s: 2}], $position: 0, $slice: 3, $sort: {s: -1}}},
+            $addToSet: {tags: {$each: ["a", "b", "c"]}}
+        });
+    });
+
+    it("merges pulled values into $in, and builds pulled conditions", function () {
+        assert.deepStrictEqual(new UpdateBuilder().field("tags").pull("a").andField().pull("b").andField().pull("a").build(),
+            {$pull: {tags: {$in: ["a", "b"]}}});
+        assert.deepStrictEqual(new UpdateBuilder().field("items").pull(new QueryBuilder().field("qty").is("$lte", 0)).build(),
+            {$pull: {items: {qty: {$lte: 0}}}});
+        assert.deepStrictEqual(new UpdateBuilder().field("scores").pull({$gte: 6}).build(), {$pull: {scores: {$gte: 6}}});
+    });
+
+    it("rejects conflicting operations", function () {
+        [
+            function () { new UpdateBuilder().field("a").set(1).field("a.b").inc(1); },
+            function () { new UpdateBuilder().field("a.b").inc(1).field("a").unset(); },
+            function () { new UpdateBuilder().field("a").set(1).field("a").inc(1); },
+            function () { new UpdateBuilder().field("a").set(1).field("b").rename("a"); },
+            function () { new UpdateBuilder().field("a").pushEach([1], {slice: 1}).andField().push(2); },
+            function () { new UpdateBuilder().field("a").pull({$gte: 1}).andField().pull(2); },
+            function () { new UpdateBuilder().field("a").min(1).andField().min("b"); }
+        ].forEach(function (build) {
+            assert.throws(build, function (e) {
+                return e instanceof builder.QueryBuilderError && e.code == "CONFLICTING_UPDATE";
+            });
+        });
+        assert.deepStrictEqual(new UpdateBuilder().field("a.b").set(1).field("a.c").set(2).field("ab").inc(1).build(),
+            {$set: {"a.b": 1, "a.c": 2}, $inc: {ab: 1}});
+    });
+
+    it("rejects invalid values and chains", function () {
+        assert.throws(function () {
+            new UpdateBuilder().field("a").inc("1");
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            new UpdateBuilder().field("a").pushEach("1");
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            new UpdateBuilder().field("a").currentDate("time");
+        }, builder.InvalidValueError);
+        assert.throws(function () {
+            new UpdateBuilder().field("");
+        }, builder.InvalidFieldError);
+        assert.throws(function () {
+            new UpdateBuilder().andField();
+        }, builder.IllegalChainError);
+    });
+
+    it("builds copies, which can be changed without changing the builder", function () {
+        var u = new UpdateBuilder().field("tags").pushEach(["a", "b"]).field("address").set({city: "x"});
+        var update = u.build();
+        update.$push.tags.$each.push("x");
+        update.$set.address.city = "y";
+        assert.deepStrictEqual(u.build(), {$push: {tags: {$each: ["a", "b"]}}, $set: {address: {city: "x"}}});
+        u.field("tags").push("c");
+        assert.deepStrictEqual(update.$push.tags.$each, ["a", "b", "x"]);
+    });
+});